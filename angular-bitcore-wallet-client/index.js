@@ -1,5 +1,6 @@
 var bwcModule = angular.module('bwcModule', []);
 var Client = require('../node_modules/bitcore-wallet-client');
+var Bip38 = require('../node_modules/bip38');
 
 bwcModule.constant('MODULE_VERSION', '1.0.0');
 
@@ -29,6 +30,12 @@ bwcModule.provider("bwcService", function() {
       return Client.Utils;
     };
 
+    service.getBip38 = function(network) {
+      return new Bip38(network == 'testnet' ? {
+        private: 0xef
+      } : null);
+    };
+
     service.getClient = function(walletData, opts) {
       opts = opts || {};
 
@@ -0,0 +1,89 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('addressesController', function($scope, $timeout, $log, lodash, configService, profileService, txHistoryStore, addressLabelService, bwcError) {
+
+  var fc = profileService.focusedClient;
+  var walletId = fc.credentials.walletId;
+  var walletSettings = configService.getSync().wallet.settings;
+
+  $scope.data = {
+    search: '',
+    label: ''
+  };
+
+  var setError = function(err) {
+    $scope.error = lodash.isString(err) ? err : bwcError.msg(err);
+    $timeout(function() {
+      $scope.$apply();
+    });
+  };
+
+  var getSavedTxs = function(cb) {
+    txHistoryStore.getAll(walletId, function(err, txs) {
+      if (err) {
+        $log.warn(err);
+        return cb([]);
+      }
+      return cb(txs);
+    });
+  };
+
+  $scope.init = function() {
+    $scope.error = null;
+    $scope.loading = true;
+
+    fc.getBalance({}, function(err, balance) {
+      if (err) {
+        $scope.loading = false;
+        return setError(err);
+      }
+
+      getSavedTxs(function(txs) {
+        addressLabelService.getLabels(walletId, function(err, labels) {
+          if (err) {
+            $scope.loading = false;
+            return setError(err);
+          }
+
+          addressLabelService.list(fc, balance.byAddress, txs, labels, function(err, addresses) {
+            $scope.loading = false;
+            if (err) return setError(err);
+
+            $scope.addresses = lodash.map(addresses, function(a) {
+              a.balanceStr = profileService.formatAmount(a.balance) + ' ' + walletSettings.unitName;
+              return a;
+            });
+            $timeout(function() {
+              $scope.$apply();
+            });
+          });
+        });
+      });
+    });
+  };
+
+  $scope.matches = function(a) {
+    var search = lodash.trim($scope.data.search).toLowerCase();
+    if (!search) return true;
+    return lodash.includes((a.address + ' ' + (a.label || '')).toLowerCase(), search);
+  };
+
+  $scope.edit = function(a) {
+    $scope.editing = $scope.editing == a ? null : a;
+    $scope.data.label = a.label || '';
+  };
+
+  $scope.saveLabel = function(a) {
+    addressLabelService.setLabel(walletId, a.address, $scope.data.label, function(err, labels) {
+      if (err) return setError(err);
+
+      a.label = labels[a.address] || null;
+      $scope.editing = null;
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+
+  $scope.init();
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('airGappedSignController', function($scope, $timeout, $interval, $log, lodash, gettext, platformInfo, configService, profileService, walletService, backupService, airGappedService, bwcError) {
+  var reader = new FileReader();
+  var config = configService.getSync().wallet.settings;
+  var scanned = {};
+  var client, pkg, cycle;
+
+  $scope.isSafari = platformInfo.isSafari;
+  $scope.isCordova = platformInfo.isCordova;
+  $scope.data = {
+    text: null
+  };
+
+  var formatAmount = function(amount) {
+    return profileService.formatAmount(amount) + ' ' + config.unitName;
+  };
+
+  var setError = function(err) {
+    $scope.error = bwcError.msg(err);
+    $timeout(function() {
+      $scope.$apply();
+    });
+  };
+
+  var stopCycle = function() {
+    if (cycle) $interval.cancel(cycle);
+    cycle = null;
+  };
+
+  $scope.$on('$destroy', function() {
+    stopCycle();
+    if (client) walletService.lock(client);
+  });
+
+  $scope.onQrCodeScanned = function(data) {
+    $scope.error = null;
+    try {
+      var joined = airGappedService.addPart(scanned, data);
+    } catch (e) {
+      $scope.error = e.message;
+      return;
+    }
+    $scope.scanProgress = scanned.count + '/' + scanned.total;
+    if (joined) $scope.load(joined);
+  };
+
+  $scope.getFile = function() {
+    reader.onloadend = function(evt) {
+      if (evt.target.readyState == FileReader.DONE) {
+        $scope.load(evt.target.result);
+        $scope.$apply();
+      }
+    };
+    reader.readAsText($scope.file);
+  };
+
+  $scope.load = function(text) {
+    $scope.error = null;
+    try {
+      pkg = airGappedService.parse(text, 'txp');
+    } catch (e) {
+      $scope.error = e.message;
+      return;
+    }
+
+    client = airGappedService.findSigner(pkg);
+    if (!client) {
+      $scope.error = gettext('None of your wallets holds the keys of this proposal');
+      return;
+    }
+
+    var info = airGappedService.describe(client, pkg);
+    $scope.walletName = client.credentials.walletName;
+    $scope.txp = {
+      message: info.message,
+      amountStr: formatAmount(info.amount),
+      feeStr: formatAmount(info.fee),
+      outputs: lodash.map(info.outputs, function(o) {
+        o.amountStr = formatAmount(o.amount);
+        return o;
+      })
+    };
+  };
+
+  $scope.sign = function() {
+    $scope.error = null;
+
+    walletService.prepare(client, function(err, password) {
+      if (err) return setError(err);
+      if (password) {
+        err = walletService.unlock(client, password);
+        if (err) return setError(err);
+      }
+
+      var signatures;
+      try {
+        signatures = airGappedService.sign(client, pkg);
+      } catch (e) {
+        $log.warn(e);
+        walletService.lock(client);
+        return setError(e.message);
+      }
+      walletService.lock(client);
+
+      $scope.signatures = airGappedService.exportSignatures(pkg, client.credentials.xPubKey, signatures);
+      $scope.parts = airGappedService.split($scope.signatures);
+      $scope.partIndex = 0;
+      if ($scope.parts.length > 1) {
+        cycle = $interval(function() {
+          $scope.partIndex = ($scope.partIndex + 1) % $scope.parts.length;
+        }, 1500);
+      }
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+
+  $scope.save = function() {
+    backupService.download($scope.signatures, 'copay-signatures-' + pkg.txp.id.substring(0, 8) + '.json', function() {});
+  };
+
+  $scope.reset = function() {
+    stopCycle();
+    client = pkg = null;
+    scanned = {};
+    $scope.txp = $scope.signatures = $scope.parts = $scope.scanProgress = $scope.error = null;
+    $scope.data.text = null;
+  };
+});
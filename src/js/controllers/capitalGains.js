@@ -0,0 +1,50 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('capitalGainsController', function($scope, $timeout, $log, lodash, gettext, configService, profileService, platformInfo, capitalGainsService) {
+
+  var walletSettings = configService.getSync().wallet.settings;
+
+  $scope.isCordova = platformInfo.isCordova;
+  $scope.code = walletSettings.alternativeIsoCode;
+  $scope.methods = {
+    fifo: gettext('First in, first out (FIFO)'),
+    lifo: gettext('Last in, first out (LIFO)'),
+    average: gettext('Average cost')
+  };
+  $scope.data = {
+    method: 'fifo'
+  };
+
+  var formatBtc = function(satoshis) {
+    return profileService.formatAmount(satoshis) + ' ' + walletSettings.unitName;
+  };
+
+  $scope.init = function() {
+    $scope.error = null;
+    $scope.report = null;
+    $scope.loading = true;
+
+    capitalGainsService.getReport($scope.data.method, $scope.code, function(err, report) {
+      $scope.loading = false;
+      if (err) {
+        $log.warn('Could not compute the report:', err);
+        $scope.error = gettext('Could not compute the report. Check your connection and try again.');
+      } else {
+        report.holdings.amountStr = formatBtc(report.holdings.amount);
+        report.uncoveredStr = formatBtc(report.uncovered);
+        report.unsyncedStr = lodash.pluck(report.unsynced, 'name').join(', ');
+        $scope.report = report;
+
+        // No file until every wallet is in the report
+        if (lodash.isEmpty(report.unsynced)) {
+          var csv = capitalGainsService.getCsv(report);
+          $scope.csvHeader = csv.header;
+          $scope.csvContent = csv.content;
+        }
+      }
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+});
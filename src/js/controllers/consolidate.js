@@ -0,0 +1,119 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('consolidateController', function($scope, $rootScope, $timeout, $log, lodash, gettext, configService, profileService, walletService, feeService, consolidationService, ongoingProcess, bwcError) {
+
+  var fc = profileService.focusedClient;
+  var walletSettings = configService.getSync().wallet.settings;
+  var currentLevel = feeService.getCurrentFeeLevel();
+
+  $scope.feeOpts = feeService.feeOpts;
+  $scope.data = {
+    level: currentLevel == 'custom' ? 'normal' : currentLevel
+  };
+
+  var formatAmount = function(amount) {
+    return profileService.formatAmount(amount) + ' ' + walletSettings.unitName;
+  };
+
+  var setError = function(err) {
+    $scope.error = lodash.isString(err) ? err : bwcError.msg(err);
+    $timeout(function() {
+      $scope.$apply();
+    });
+  };
+
+  $scope.init = function() {
+    $scope.error = null;
+    $scope.result = null;
+    $scope.loading = true;
+
+    consolidationService.getUtxos(fc, function(err, utxos) {
+      if (err) {
+        $scope.loading = false;
+        return setError(err);
+      }
+
+      fc.getFeeLevels(fc.credentials.network, function(err, levels) {
+        $scope.loading = false;
+        if (err) return setError(err);
+
+        $scope.utxos = utxos;
+        $scope.totalStr = formatAmount(lodash.sum(utxos, 'satoshis'));
+        $scope.feeLevels = levels;
+        $scope.costs = lodash.map(consolidationService.getCosts(fc, utxos, levels), function(c) {
+          c.feeStr = formatAmount(c.fee);
+          return c;
+        });
+        $scope.updatePlan();
+        $timeout(function() {
+          $scope.$apply();
+        });
+      });
+    });
+  };
+
+  $scope.updatePlan = function() {
+    var level = lodash.find($scope.feeLevels, {
+      level: $scope.data.level
+    });
+    if (!level) return setError(gettext('Could not get dynamic fee'));
+
+    var plan = consolidationService.plan(fc, $scope.utxos, level.feePerKB);
+    plan.feeStr = formatAmount(plan.fee);
+    plan.savingsStr = formatAmount(plan.savings);
+    plan.netSavingsStr = formatAmount(Math.abs(plan.netSavings));
+    $scope.plan = plan;
+  };
+
+  $scope.consolidate = function() {
+    var plan = $scope.plan;
+    if (!plan || lodash.isEmpty(plan.txs)) return;
+    $scope.error = null;
+
+    walletService.prepare(fc, function(err, password) {
+      if (err) return setError(err);
+
+      var result = {
+        broadcasted: 0,
+        pending: 0
+      };
+      var i = 0;
+
+      var next = function(err) {
+        if (err || i >= plan.txs.length) {
+          ongoingProcess.set('consolidating', false);
+          $rootScope.$emit('Local/TxProposalAction', result.broadcasted > 0);
+
+          result.savingsStr = plan.savingsStr;
+          if (result.broadcasted || result.pending) $scope.result = result;
+          if (err) return setError(err);
+          $timeout(function() {
+            $scope.$apply();
+          });
+          return;
+        }
+        var tx = plan.txs[i++];
+
+        consolidationService.createTx(fc, tx, function(err, createdTxp) {
+          if (err) return next(err);
+
+          walletService.publishAndSign(fc, createdTxp, password, function(err, txp) {
+            if (err) return next(err);
+
+            if (txp.status == 'broadcasted')
+              result.broadcasted++;
+            else
+              result.pending++;
+            $log.info('Consolidated ' + tx.inputs.length + ' coins: ' + txp.status);
+            next();
+          });
+        });
+      };
+
+      ongoingProcess.set('consolidating', true);
+      next();
+    });
+  };
+
+  $scope.init();
+});
@@ -1,11 +1,9 @@
 'use strict';
 
 angular.module('copayApp.controllers').controller('createController',
-  function($scope, $rootScope, $timeout, $log, lodash, go, profileService, configService, gettext, ledger, trezor, platformInfo, derivationPathHelper, ongoingProcess) {
+  function($scope, $rootScope, $timeout, $log, lodash, go, profileService, configService, gettext, hwWallet, platformInfo, derivationPathHelper, ongoingProcess) {
 
-    var isChromeApp = platformInfo.isChromeApp;
     var isCordova = platformInfo.isCordova;
-    var isDevel = platformInfo.isDevel;
 
     var self = this;
     var defaults = configService.getDefaults();
@@ -55,18 +53,13 @@ angular.module('copayApp.controllers').controller('createController',
       }];
       $scope.seedSource = self.seedOptions[0];
 
-      if (n > 1 && isChromeApp)
+      lodash.each(hwWallet.getAvailableDrivers(), function(driver) {
+        if (n > 1 ? !driver.capabilities.multiSig : !driver.capabilities.singleSig) return;
         self.seedOptions.push({
-          id: 'ledger',
-          label: 'Ledger Hardware Wallet',
+          id: driver.id,
+          label: driver.label,
         });
-
-      if (isChromeApp || isDevel) {
-        self.seedOptions.push({
-          id: 'trezor',
-          label: 'Trezor Hardware Wallet',
-        });
-      }
+      });
     };
 
     this.TCValues = lodash.range(2, defaults.limits.totalCopayers + 1);
@@ -76,10 +69,12 @@ angular.module('copayApp.controllers').controller('createController',
       updateRCSelect(tc);
       updateSeedSourceSelect(tc);
       self.seedSourceId = $scope.seedSource.id;
+      self.isHardware = !!hwWallet.getDriver(self.seedSourceId);
     };
 
     this.setSeedSource = function(src) {
       self.seedSourceId = $scope.seedSource.id;
+      self.isHardware = !!hwWallet.getDriver(self.seedSourceId);
 
       $timeout(function() {
         $rootScope.$apply();
@@ -132,22 +127,25 @@ angular.module('copayApp.controllers').controller('createController',
         return;
       }
 
-      if (self.seedSourceId == 'ledger' || self.seedSourceId == 'trezor') {
+      var driver = hwWallet.getDriver(self.seedSourceId);
+      if (driver) {
         var account = $scope.account;
         if (!account || account < 1) {
           this.error = gettext('Invalid account number');
           return;
         }
 
-        if (self.seedSourceId == 'trezor')
-          account = account - 1;
+        account = account - driver.accountBase;
+
+        if (driver.network && driver.network != opts.networkName) {
+          this.error = gettext('This device can not be used on this network');
+          return;
+        }
 
         opts.account = account;
         ongoingProcess.set('connecting' + self.seedSourceId, true);
 
-        var src = self.seedSourceId == 'ledger' ? ledger : trezor;
-
-        src.getInfoForNewWallet(opts.n > 1, account, function(err, lopts) {
+        driver.getInfoForNewWallet(opts.n > 1, account, function(err, lopts) {
           ongoingProcess.set('connecting' + self.seedSourceId, false);
           if (err) {
             self.error = err;
@@ -1,10 +1,8 @@
 'use strict';
 
 angular.module('copayApp.controllers').controller('importController',
-  function($scope, $rootScope, $timeout, $log, profileService, configService, notification, go, sjcl, gettext, ledger, trezor, derivationPathHelper, platformInfo, bwcService, ongoingProcess) {
+  function($scope, $rootScope, $timeout, $log, profileService, configService, notification, go, sjcl, gettext, hwWallet, derivationPathHelper, platformInfo, bwcService, ongoingProcess, walletDiscoveryService, lodash) {
 
-    var isChromeApp = platformInfo.isChromeApp;
-    var isDevel = platformInfo.isDevel;
     var reader = new FileReader();
     var defaults = configService.getDefaults();
     var errors = bwcService.getErrors();
@@ -14,22 +12,13 @@ angular.module('copayApp.controllers').controller('importController',
     $scope.importErr = false;
 
     var updateSeedSourceSelect = function() {
-      $scope.seedOptions = [];
-
-      if (isChromeApp) {
-        $scope.seedOptions.push({
-          id: 'ledger',
-          label: 'Ledger Hardware Wallet',
-        });
-      }
-
-      if (isChromeApp || isDevel) {
-        $scope.seedOptions.push({
-          id: 'trezor',
-          label: 'Trezor Hardware Wallet',
-        });
-        $scope.seedSource = $scope.seedOptions[0];
-      }
+      $scope.seedOptions = lodash.map(hwWallet.getAvailableDrivers(), function(driver) {
+        return {
+          id: driver.id,
+          label: driver.label,
+        };
+      });
+      $scope.seedSource = $scope.seedOptions[0];
     };
 
     $scope.processWalletInfo = function(code) {
@@ -68,6 +57,7 @@ angular.module('copayApp.controllers').controller('importController',
     $scope.setType = function(type) {
       $scope.type = type;
       $scope.error = null;
+      $scope.discovered = null;
       $timeout(function() {
         $rootScope.$apply();
       }, 1);
@@ -279,33 +269,84 @@ angular.module('copayApp.controllers').controller('importController',
       _importMnemonic(words, opts);
     };
 
-    $scope.importTrezor = function(account, isMultisig) {
-      trezor.getInfoForNewWallet(isMultisig, account, function(err, lopts) {
-        ongoingProcess.clear();
-        if (err) {
-          $scope.error = err;
-          $scope.$apply();
-          return;
-        }
+    var onDiscovered = function(err, wallets) {
+      if (err) {
+        $scope.error = err.message || err;
+      } else {
+        $scope.discovered = wallets;
+        lodash.each(wallets, function(w) {
+          w.selected = !w.alreadyImported;
+        });
+      }
+      $timeout(function() {
+        $scope.$apply();
+      });
+    };
 
-        lopts.externalSource = 'trezor';
-        lopts.bwsurl = $scope.bwsurl;
-        ongoingProcess.set('importingWallet', true);
-        $log.debug('Import opts', lopts);
+    var onProgress = function(current, total) {
+      $log.debug('Wallet discovery: ' + current + '/' + total);
+    };
 
-        profileService.importExtendedPublicKey(lopts, function(err, walletId) {
-          ongoingProcess.set('importingWallet', false);
-          if (err) {
-            $scope.error = err;
-            return $timeout(function() {
-              $scope.$apply();
-            });
-          }
+    $scope.discoverMnemonic = function(form) {
+      var words = form.words.$modelValue;
+      $scope.error = null;
+      $scope.importErr = false;
+      $scope.discovered = null;
+
+      if (!words) {
+        $scope.error = gettext('Please enter the recovery phrase');
+        return;
+      }
+      var wordList = words.split(/[\u3000\s]+/);
+      if ((wordList.length % 3) != 0) {
+        $scope.error = gettext('Wrong number of recovery words:') + wordList.length;
+        return;
+      }
+
+      ongoingProcess.set('discoveringWallets', true);
+      walletDiscoveryService.discoverMnemonic(words, {
+        passphrase: form.passphrase.$modelValue || null,
+        bwsurl: $scope.bwsurl
+      }, onProgress, function(err, wallets) {
+        ongoingProcess.set('discoveringWallets', false);
+        onDiscovered(err, wallets);
+      });
+    };
+
+    $scope.discoverHW = function() {
+      var device = $scope.seedSourceId;
+      $scope.error = null;
+      $scope.discovered = null;
+
+      ongoingProcess.set('connecting' + device, true);
+      walletDiscoveryService.discoverHardware(device, {
+        bwsurl: $scope.bwsurl
+      }, onProgress, function(err, wallets) {
+        ongoingProcess.set('connecting' + device, false);
+        onDiscovered(err, wallets);
+      });
+    };
+
+    $scope.importDiscovered = function() {
+      var selected = lodash.filter($scope.discovered, 'selected');
+      if (lodash.isEmpty(selected)) return;
+
+      ongoingProcess.set('importingWallet', true);
+      walletDiscoveryService.importWallets(selected, $scope.bwsurl, function(err, walletIds) {
+        ongoingProcess.set('importingWallet', false);
+        lodash.each(walletIds, function(walletId) {
           $rootScope.$emit('Local/WalletImported', walletId);
-          notification.success(gettext('Success'), gettext('Your wallet has been imported correctly'));
-          go.walletHome();
         });
-      }, 100);
+
+        if (err) {
+          $scope.error = err;
+          return $timeout(function() {
+            $scope.$apply();
+          });
+        }
+        notification.success(gettext('Success'), gettext('Your wallets have been imported correctly'));
+        go.walletHome();
+      });
     };
 
     $scope.importHW = function(form) {
@@ -319,41 +360,21 @@ angular.module('copayApp.controllers').controller('importController',
       $scope.error = '';
       $scope.importErr = false;
 
-      var account = +$scope.account;
-
-      if ($scope.seedSourceId == 'trezor') {
-        if (account < 1) {
-          $scope.error = gettext('Invalid account number');
-          return;
-        }
-        account = account - 1;
+      var driver = hwWallet.getDriver($scope.seedSourceId);
+      var account = +$scope.account - driver.accountBase;
+      if (account < 0) {
+        $scope.error = gettext('Invalid account number');
+        return;
       }
 
-      switch ($scope.seedSourceId) {
-        case ('ledger'):
-          ongoingProcess.set('connectingledger', true);
-          $scope.importLedger(account);
-          break;
-        case ('trezor'):
-          ongoingProcess.set('connectingtrezor', true);
-          $scope.importTrezor(account, $scope.isMultisig);
-          break;
-        default:
-          throw ('Error: bad source id');
-      };
-    };
-
-    $scope.setSeedSource = function() {
+      var isMultisig = $scope.canChooseMultisig ? !!$scope.isMultisig : driver.capabilities.multiSig;
 
-      if (!$scope.seedSource) return;
-      $scope.seedSourceId = $scope.seedSource.id;
-      $timeout(function() {
-        $rootScope.$apply();
-      });
+      ongoingProcess.set('connecting' + driver.id, true);
+      $scope.importDevice(driver, account, isMultisig);
     };
 
-    $scope.importLedger = function(account) {
-      ledger.getInfoForNewWallet(true, account, function(err, lopts) {
+    $scope.importDevice = function(driver, account, isMultisig) {
+      driver.getInfoForNewWallet(isMultisig, account, function(err, lopts) {
         ongoingProcess.clear();
         if (err) {
           $scope.error = err;
@@ -361,7 +382,7 @@ angular.module('copayApp.controllers').controller('importController',
           return;
         }
 
-        lopts.externalSource = 'ledger';
+        lopts.externalSource = driver.id;
         lopts.bwsurl = $scope.bwsurl;
         ongoingProcess.set('importingWallet', true);
         $log.debug('Import opts', lopts);
@@ -378,7 +399,19 @@ angular.module('copayApp.controllers').controller('importController',
           notification.success(gettext('Success'), gettext('Your wallet has been imported correctly'));
           go.walletHome();
         });
-      }, 100);
+      });
+    };
+
+    $scope.setSeedSource = function() {
+
+      if (!$scope.seedSource) return;
+      $scope.seedSourceId = $scope.seedSource.id;
+
+      var driver = hwWallet.getDriver($scope.seedSourceId);
+      $scope.canChooseMultisig = !!driver && driver.capabilities.singleSig && driver.capabilities.multiSig;
+      $timeout(function() {
+        $rootScope.$apply();
+      });
     };
 
     updateSeedSourceSelect();
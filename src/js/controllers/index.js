@@ -1,6 +1,6 @@
 'use strict';
 
-angular.module('copayApp.controllers').controller('indexController', function($rootScope, $scope, $log, $filter, $timeout, $ionicScrollDelegate, $ionicPopup, $ionicSideMenuDelegate, $httpBackend, latestReleaseService, feeService, bwcService, pushNotificationsService, lodash, go, profileService, configService, rateService, storageService, addressService, gettext, gettextCatalog, amMoment, addonManager, bwcError, txFormatService, uxLanguage, glideraService, coinbaseService, platformInfo, addressbookService, openURLService, ongoingProcess) {
+angular.module('copayApp.controllers').controller('indexController', function($rootScope, $scope, $log, $filter, $timeout, $ionicScrollDelegate, $ionicPopup, $ionicSideMenuDelegate, $httpBackend, latestReleaseService, feeService, bwcService, pushNotificationsService, lodash, go, profileService, configService, rateService, storageService, addressService, paymentRequestService, hwWallet, gettext, gettextCatalog, amMoment, addonManager, bwcError, txFormatService, uxLanguage, glideraService, coinbaseService, platformInfo, addressbookService, openURLService, ongoingProcess, schedulerService, transferService, posService, addressLabelService, txHistoryStore, historyFilterService) {
 
   var self = this;
   var SOFT_CONFIRMATION_LIMIT = 12;
@@ -130,6 +130,7 @@ angular.module('copayApp.controllers').controller('indexController', function($r
       $rootScope.$apply();
 
       self.hasProfile = true;
+      self.isPosMode = posService.isEnabled();
       self.isSingleAddress = false;
       self.noFocusedWallet = false;
       self.updating = false;
@@ -152,8 +153,9 @@ angular.module('copayApp.controllers').controller('indexController', function($r
       self.account = fc.credentials.account;
       self.incorrectDerivation = fc.keyDerivationOk === false;
 
-      if (self.externalSource == 'trezor')
-        self.account++;
+      var driver = hwWallet.getClientDriver(fc);
+      if (driver)
+        self.account += driver.accountBase;
 
       self.txps = [];
       self.copayers = [];
@@ -651,74 +653,67 @@ angular.module('copayApp.controllers').controller('indexController', function($r
     }
   };
 
-  self.removeAndMarkSoftConfirmedTx = function(txs) {
-    return lodash.filter(txs, function(tx) {
-      if (tx.confirmations >= SOFT_CONFIRMATION_LIMIT)
-        return tx;
-      tx.recent = true;
-    });
-  }
+  // Txids synced from the server since the app started, shown as recent
+  var recentTxids = {};
 
-  self.getSavedTxs = function(walletId, cb) {
-
-    storageService.getTxHistory(walletId, function(err, txs) {
-      if (err) return cb(err);
-
-      var localTxs = [];
-
-      if (!txs) {
-        return cb(null, localTxs);
-      }
+  // Prepares the txs read from the cache for display
+  self.formatCachedTxs = function(txs) {
+    var config = configService.getSync().wallet.settings;
+    var name = ' ' + config.unitName;
 
-      try {
-        localTxs = JSON.parse(txs);
-      } catch (ex) {
-        $log.warn(ex);
+    lodash.each(txs, function(tx) {
+      if (tx.amountStr && tx.amountStr.split(' ')[1] != config.unitName) {
+        tx.amountStr = profileService.formatAmount(tx.amount) + name;
+        tx.feeStr = profileService.formatAmount(tx.fees) + name;
       }
-      return cb(null, lodash.compact(localTxs));
+      tx.recent = tx.confirmations < SOFT_CONFIRMATION_LIMIT || !!recentTxids[tx.txid];
     });
-  }
+    return txs;
+  };
 
   self.updateLocalTxHistory = function(client, cb) {
     var FIRST_LIMIT = 5;
     var LIMIT = 50;
     var requestLimit = FIRST_LIMIT;
     var walletId = client.credentials.walletId;
-    var config = configService.getSync().wallet.settings;
-
-    var fixTxsUnit = function(txs) {
-      if (!txs || !txs[0] || !txs[0].amountStr) return;
 
-      var cacheUnit = txs[0].amountStr.split(' ')[1];
+    var isFocused = function() {
+      return walletId == profileService.focusedClient.credentials.walletId;
+    };
 
-      if (cacheUnit == config.unitName)
-        return;
+    // The newest cached txs, down to the first one with enough confirmations not to change anymore
+    var getUnsettledTxs = function(cb) {
+      var unsettled = [];
 
-      var name = ' ' + config.unitName;
+      var next = function(skip) {
+        txHistoryStore.getPage(walletId, skip, LIMIT, function(err, txs) {
+          if (err) return cb(err);
 
-      $log.debug('Fixing Tx Cache Unit to:' + name)
-      lodash.each(txs, function(tx) {
+          var settled = lodash.find(txs, function(tx) {
+            return tx.confirmations >= SOFT_CONFIRMATION_LIMIT;
+          });
+          unsettled = unsettled.concat(lodash.takeWhile(txs, function(tx) {
+            return tx !== settled;
+          }));
 
-        tx.amountStr = profileService.formatAmount(tx.amount) + name;
-        tx.feeStr = profileService.formatAmount(tx.fees) + name;
-      });
+          if (settled || txs.length < LIMIT)
+            return cb(null, unsettled, settled);
+          next(skip + txs.length);
+        });
+      };
+      next(0);
     };
 
-    self.getSavedTxs(walletId, function(err, txsFromLocal) {
+    getUnsettledTxs(function(err, unsettledTxs, settledTx) {
       if (err) return cb(err);
 
-      fixTxsUnit(txsFromLocal);
-
-      var confirmedTxs = self.removeAndMarkSoftConfirmedTx(txsFromLocal);
-      var endingTxid = confirmedTxs[0] ? confirmedTxs[0].txid : null;
-      var endingTs = confirmedTxs[0] ? confirmedTxs[0].time : null;
-
+      var endingTxid = settledTx ? settledTx.txid : null;
+      var endingTs = settledTx ? settledTx.time : null;
+      var isCacheEmpty = !settledTx && !unsettledTxs.length;
 
       // First update
-      if (walletId == profileService.focusedClient.credentials.walletId) {
-        self.completeHistory = txsFromLocal;
+      if (isFocused())
         self.setCompactTxHistory();
-      }
 
       if (historyUpdateInProgress[walletId])
         return;
@@ -744,14 +739,11 @@ angular.module('copayApp.controllers').controller('indexController', function($r
           getNewTxs(newTxs, skip, i_cb);
 
           // Progress update
-          if (walletId == profileService.focusedClient.credentials.walletId) {
+          if (isFocused()) {
             self.txProgress = newTxs.length;
-            if (self.completeHistory < FIRST_LIMIT && txsFromLocal.length == 0) {
+            if (isCacheEmpty && (self.txHistory || []).length < FIRST_LIMIT) {
               $log.debug('Showing partial history');
-              var newHistory = self.processNewTxs(newTxs);
-              newHistory = lodash.compact(newHistory.concat(confirmedTxs));
-              self.completeHistory = newHistory;
-              self.setCompactTxHistory();
+              self.txHistory = self.processNewTxs(newTxs).slice(0, self.historyShowLimit);
             }
             $timeout(function() {
               $rootScope.$apply();
@@ -763,13 +755,16 @@ angular.module('copayApp.controllers').controller('indexController', function($r
       getNewTxs([], 0, function(err, txs) {
         if (err) return cb(err);
 
-        var newHistory = lodash.uniq(lodash.compact(txs.concat(confirmedTxs)), function(x) {
-          return x.txid;
-        });
+        var newTxids = lodash.indexBy(txs, 'txid');
 
+        // Unsettled txs the server does not have anymore
+        var droppedTxids = lodash.filter(lodash.pluck(unsettledTxs, 'txid'), function(txid) {
+          return !newTxids[txid];
+        });
 
+        // Cached txs with a note edited after the sync point
         function updateNotes(cb2) {
-          if (!endingTs) return cb2();
+          if (!endingTs) return cb2(null, []);
 
           $log.debug('Syncing notes from: ' + endingTs);
           client.getTxNotes({
@@ -777,46 +772,77 @@ angular.module('copayApp.controllers').controller('indexController', function($r
           }, function(err, notes) {
             if (err) {
               $log.warn(err);
-              return cb2();
+              return cb2(null, []);
             };
+
+            var cachedNotes = {};
             lodash.each(notes, function(note) {
               $log.debug('Note for ' + note.txid);
-              lodash.each(newHistory, function(tx) {
-                if (tx.txid == note.txid) {
-                  $log.debug('...updating note for ' + note.txid);
-                  tx.note = note;
-                }
+              if (newTxids[note.txid]) newTxids[note.txid].note = note;
+              else cachedNotes[note.txid] = note;
+            });
+
+            txHistoryStore.get(walletId, lodash.keys(cachedNotes), function(err, cachedTxs) {
+              if (err) return cb2(err);
+
+              lodash.each(cachedTxs, function(tx) {
+                $log.debug('...updating note for ' + tx.txid);
+                tx.note = cachedNotes[tx.txid];
               });
+              return cb2(null, cachedTxs);
             });
-            return cb2();
           });
         }
 
-        updateNotes(function() {
-          var historyToSave = JSON.stringify(newHistory);
+        updateNotes(function(err, notedTxs) {
+          if (err) return cb(err);
 
           lodash.each(txs, function(tx) {
-            tx.recent = true;
-          })
+            recentTxids[tx.txid] = true;
+          });
 
-          $log.debug('Tx History synced. Total Txs: ' + newHistory.length);
+          txHistoryStore.remove(walletId, droppedTxids, function(err) {
+            if (err) return cb(err);
 
-          // Final update
-          if (walletId == profileService.focusedClient.credentials.walletId) {
-            self.completeHistory = newHistory;
-            self.setCompactTxHistory();
-          }
+            txHistoryStore.put(walletId, txs.concat(notedTxs), function(err) {
+              if (err) return cb(err);
+
+              $log.debug('Tx History synced. New / updated Txs: ' + txs.length + ' Dropped: ' + droppedTxids.length);
 
-          return storageService.setTxHistory(historyToSave, walletId, function() {
-            $log.debug('Tx History saved.');
+              // Final update
+              if (isFocused())
+                self.setCompactTxHistory();
 
-            return cb();
+              return cb();
+            });
           });
         });
       });
     });
   }
 
+  // Appends the next page of the cached history
+  self.loadMoreTxHistory = function(cb) {
+    var walletId = self.walletId;
+    var loaded = self.txHistory || [];
+
+    txHistoryStore.getPage(walletId, loaded.length, self.historyShowMoreLimit, function(err, txs) {
+      if (err) {
+        $log.warn(err);
+        txs = [];
+      }
+      if (walletId != self.walletId) return cb();
+
+      self.txHistory = loaded.concat(self.formatCachedTxs(txs));
+      self.historyShowMore = txs.length == self.historyShowMoreLimit && self.txHistory.length < self.txHistoryCount;
+      $log.debug('Total txs: ', self.txHistory.length + '/' + self.txHistoryCount);
+
+      self.updateTransferLabels();
+      self.updateAddressLabels();
+      return cb();
+    });
+  };
+
   self.showMore = function() {
     $timeout(function() {
       if (self.isSearching) {
@@ -824,23 +850,35 @@ angular.module('copayApp.controllers').controller('indexController', function($r
         $log.debug('Total txs: ', self.txHistorySearchResults.length + '/' + self.result.length);
         if (self.txHistorySearchResults.length >= self.result.length)
           self.historyShowMore = false;
+        self.nextTxHistory += self.historyShowMoreLimit;
+        $scope.$broadcast('scroll.infiniteScrollComplete');
       } else {
-        self.txHistory = self.completeHistory.slice(0, self.nextTxHistory);
-        $log.debug('Total txs: ', self.txHistory.length + '/' + self.completeHistory.length);
-        if (self.txHistory.length >= self.completeHistory.length)
-          self.historyShowMore = false;
+        self.loadMoreTxHistory(function() {
+          $timeout(function() {
+            $scope.$broadcast('scroll.infiniteScrollComplete');
+          });
+        });
       }
-      self.nextTxHistory += self.historyShowMoreLimit;
-      $scope.$broadcast('scroll.infiniteScrollComplete');
     }, 100);
   };
 
   self.startSearch = function() {
+    var walletId = self.walletId;
     self.isSearching = true;
     self.txHistorySearchResults = [];
     self.result = [];
+    self.search = '';
+    self.searchError = null;
     self.historyShowMore = false;
     self.nextTxHistory = self.historyShowMoreLimit;
+
+    historyFilterService.get(walletId, function(err, filter) {
+      if (err) $log.warn(err);
+      if (walletId != self.walletId) return;
+
+      self.historyFilter = filter || historyFilterService.getDefaults();
+      self.throttleSearch();
+    });
   }
 
   self.cancelSearch = function() {
@@ -857,51 +895,59 @@ angular.module('copayApp.controllers').controller('indexController', function($r
     $ionicScrollDelegate.resize();
   }
 
-  self.throttleSearch = lodash.throttle(function() {
+  // Saves the filters of the focused wallet and searches again
+  self.updateHistoryFilter = function(filter) {
+    self.historyFilter = lodash.clone(filter);
+    historyFilterService.set(self.walletId, filter, function(err) {
+      if (err) $log.warn('Could not save the history filter', err);
+    });
+    self.throttleSearch();
+  };
 
-    function filter(search) {
-      self.result = [];
-
-      function computeSearchableString(tx) {
-        var addrbook = '';
-        if (tx.addressTo && self.addressbook && self.addressbook[tx.addressTo]) addrbook = self.addressbook[tx.addressTo] || '';
-        var searchableDate = computeSearchableDate(new Date(tx.time * 1000));
-        var message = tx.message ? tx.message : '';
-        var comment = tx.note ? tx.note.body : '';
-        var addressTo = tx.addressTo ? tx.addressTo : '';
-        return ((tx.amountStr + message + addressTo + addrbook + searchableDate + comment).toString()).toLowerCase();
-      }
+  self.resetHistoryFilter = function() {
+    self.updateHistoryFilter(historyFilterService.getDefaults());
+  };
 
-      function computeSearchableDate(date) {
-        var day = ('0' + date.getDate()).slice(-2).toString();
-        var month = ('0' + (date.getMonth() + 1)).slice(-2).toString();
-        var year = date.getFullYear();
-        return [month, day, year].join('/');
-      };
+  self.throttleSearch = lodash.throttle(function() {
+    var walletId = self.walletId;
+    var search = self.search;
+    var filter = self.historyFilter || historyFilterService.getDefaults();
+
+    self.isHistoryFiltered = historyFilterService.isActive(filter);
+    self.searchError = null;
+
+    function find(cb) {
+      if (lodash.isEmpty(search) && !self.isHistoryFiltered)
+        return cb(null, []);
+
+      // The cached txs are scanned, not loaded all at once
+      historyFilterService.find(walletId, filter, {
+        text: search,
+        addressbook: self.addressbook,
+        labels: self.addressLabels,
+        prepare: function(tx) {
+          self.formatCachedTxs([tx]);
+        }
+      }, cb);
+    };
 
-      if (lodash.isEmpty(search)) {
-        self.historyShowMore = false;
-        return [];
+    find(function(err, result) {
+      if (walletId != self.walletId || search != self.search || filter != self.historyFilter) return;
+      if (err) {
+        $log.warn(err);
+        self.searchError = err;
       }
-      self.result = lodash.filter(self.completeHistory, function(tx) {
-        if (!tx.searcheableString) tx.searcheableString = computeSearchableString(tx);
-        return lodash.includes(tx.searcheableString, search.toLowerCase());
-      });
-
-      if (self.result.length > self.historyShowLimit) self.historyShowMore = true;
-      else self.historyShowMore = false;
 
-      return self.result;
-    };
-
-    self.txHistorySearchResults = filter(self.search).slice(0, self.historyShowLimit);
-    if (isCordova)
-      window.plugins.toast.showShortBottom(gettextCatalog.getString('Matches: ' + self.result.length));
+      self.result = result || [];
+      self.historyShowMore = self.result.length > self.historyShowLimit;
+      self.txHistorySearchResults = self.result.slice(0, self.historyShowLimit);
+      self.nextTxHistory = self.historyShowLimit + self.historyShowMoreLimit;
+      if (isCordova && (search || self.isHistoryFiltered))
+        window.plugins.toast.showShortBottom(gettextCatalog.getString('Matches: ' + self.result.length));
 
-    $timeout(function() {
-      $rootScope.$apply();
+      self.updateTransferLabels();
+      self.setAddressLabels(self.addressLabels || {});
     });
-
   }, 1000);
 
   self.getTxsFromServer = function(client, skip, endingTxid, limit, cb) {
@@ -954,11 +1000,63 @@ angular.module('copayApp.controllers').controller('indexController', function($r
     });
   };
 
+  // Shows the first page of the cached history
   self.setCompactTxHistory = function() {
+    var walletId = self.walletId;
     self.isSearching = false;
     self.nextTxHistory = self.historyShowMoreLimit;
-    self.txHistory = self.completeHistory ? self.completeHistory.slice(0, self.historyShowLimit) : null;
-    self.historyShowMore = self.completeHistory ? self.completeHistory.length > self.historyShowLimit : null;
+    if (!walletId) return;
+
+    txHistoryStore.count(walletId, function(err, count) {
+      if (err) return $log.warn(err);
+
+      txHistoryStore.getPage(walletId, 0, self.historyShowLimit, function(err, txs) {
+        if (err) return $log.warn(err);
+        if (walletId != self.walletId) return;
+
+        self.txHistory = self.formatCachedTxs(txs);
+        self.txHistoryCount = count;
+        self.historyShowMore = count > txs.length;
+        self.updateTransferLabels();
+        self.updateAddressLabels();
+      });
+    });
+  };
+
+  // The loaded history and the search results
+  var getShownTxs = function() {
+    return (self.txHistory || []).concat(self.result || []);
+  };
+
+  self.updateTransferLabels = function() {
+    var walletId = self.walletId;
+    transferService.getLabels(walletId, getShownTxs(), function(err, labels) {
+      if (err) return $log.warn(err);
+      if (walletId != self.walletId) return;
+
+      self.transferLabels = labels;
+      $timeout(function() {
+        $rootScope.$apply();
+      });
+    });
+  };
+
+  self.updateAddressLabels = function() {
+    var walletId = self.walletId;
+    addressLabelService.getLabels(walletId, function(err, labels) {
+      if (err) return $log.warn(err);
+      if (walletId != self.walletId) return;
+
+      self.setAddressLabels(labels);
+    });
+  };
+
+  self.setAddressLabels = function(labels) {
+    self.addressLabels = labels;
+    self.txAddressLabels = addressLabelService.getTxLabels(getShownTxs(), labels);
+    $timeout(function() {
+      $rootScope.$apply();
+    });
   };
 
   self.debounceUpdateHistory = lodash.debounce(function() {
@@ -1427,7 +1525,7 @@ angular.module('copayApp.controllers').controller('indexController', function($r
 
   $rootScope.$on('Local/ClearHistory', function(event) {
     $log.debug('The wallet transaction history has been deleted');
-    self.txHistory = self.completeHistory = self.txHistorySearchResults = [];
+    self.txHistory = self.txHistorySearchResults = [];
     self.debounceUpdateHistory();
   });
 
@@ -1435,6 +1533,10 @@ angular.module('copayApp.controllers').controller('indexController', function($r
     self.setAddressbook(ab);
   });
 
+  $rootScope.$on('Local/AddressLabelsUpdated', function(event, walletId, labels) {
+    if (walletId == self.walletId) self.setAddressLabels(labels);
+  });
+
   // UX event handlers
   $rootScope.$on('Local/ColorUpdated', function(event) {
     self.updateColor();
@@ -1512,6 +1614,7 @@ angular.module('copayApp.controllers').controller('indexController', function($r
       }
     });
     self.debouncedUpdate();
+    schedulerService.checkDue();
   });
 
   $rootScope.$on('Local/BackupDone', function(event, walletId) {
@@ -1536,7 +1639,7 @@ angular.module('copayApp.controllers').controller('indexController', function($r
       $log.debug('Backup done stored');
       addressService.expireAddress(walletId, function(err) {
         $timeout(function() {
-          self.txHistory = self.completeHistory = self.txHistorySearchResults = [];
+          self.txHistory = self.txHistorySearchResults = [];
           storageService.removeTxHistory(walletId, function() {
             self.startScan(walletId);
           });
@@ -1547,6 +1650,9 @@ angular.module('copayApp.controllers').controller('indexController', function($r
 
   $rootScope.$on('NewIncomingTx', function() {
     self.newTx = true;
+    paymentRequestService.update(profileService.focusedClient, function(err) {
+      if (err) $log.warn('Could not update payment requests', err);
+    });
     self.updateAll({
       walletStatus: null,
       untilItChanges: true,
@@ -1645,6 +1751,10 @@ angular.module('copayApp.controllers').controller('indexController', function($r
     });
   });
 
+  $rootScope.$on('Local/PosModeChanged', function(event, enabled) {
+    self.isPosMode = enabled;
+  });
+
   $rootScope.$on('Local/NoWallets', function(event) {
     $timeout(function() {
       self.hasProfile = true;
@@ -1673,6 +1783,7 @@ angular.module('copayApp.controllers').controller('indexController', function($r
         $rootScope.$emit('Local/NewFocusedWalletReady');
       }
     });
+    schedulerService.start();
   });
 
   $rootScope.$on('Local/SetTab', function(event, tab, reset) {
@@ -1705,7 +1816,7 @@ angular.module('copayApp.controllers').controller('indexController', function($r
         var walletSettings = configService.getSync().wallet.settings;
         var feeAlternativeIsoCode = walletSettings.alternativeIsoCode;
 
-        $scope.feeLevel = feeService.feeOpts[feeService.getCurrentFeeLevel()];
+        $scope.feeLevel = feeService.feeOpts[txp.feeLevel || feeService.getCurrentFeeLevel()];
         $scope.feeAlternativeStr = parseFloat((rateService.toFiat(fee, feeAlternativeIsoCode)).toFixed(2), 10) + ' ' + feeAlternativeIsoCode;
         $scope.feeRateStr = (fee / (amount + fee) * 100).toFixed(2) + '%';
       };
@@ -1,10 +1,7 @@
 'use strict';
 
 angular.module('copayApp.controllers').controller('joinController',
-  function($scope, $rootScope, $timeout, go, notification, profileService, configService, storageService, applicationService, gettext, lodash, ledger, trezor, platformInfo, derivationPathHelper, ongoingProcess) {
-
-    var isChromeApp = platformInfo.isChromeApp;
-    var isDevel = platformInfo.isDevel;
+  function($scope, $rootScope, $timeout, go, notification, profileService, configService, storageService, applicationService, gettext, lodash, hwWallet, platformInfo, derivationPathHelper, ongoingProcess, bwcService) {
 
     var self = this;
     var defaults = configService.getDefaults();
@@ -28,24 +25,18 @@ angular.module('copayApp.controllers').controller('joinController',
       }];
       $scope.seedSource = self.seedOptions[0];
 
-
-      if (isChromeApp) {
+      lodash.each(hwWallet.getAvailableDrivers(), function(driver) {
+        if (!driver.capabilities.multiSig) return;
         self.seedOptions.push({
-          id: 'ledger',
-          label: 'Ledger Hardware Wallet',
+          id: driver.id,
+          label: driver.label,
         });
-      }
-
-      if (isChromeApp || isDevel) {
-        self.seedOptions.push({
-          id: 'trezor',
-          label: 'Trezor Hardware Wallet',
-        });
-      }
+      });
     };
 
     this.setSeedSource = function() {
       self.seedSourceId = $scope.seedSource.id;
+      self.isHardware = !!hwWallet.getDriver(self.seedSourceId);
 
       $timeout(function() {
         $rootScope.$apply();
@@ -95,21 +86,34 @@ angular.module('copayApp.controllers').controller('joinController',
         return;
       }
 
-      if (self.seedSourceId == 'ledger' || self.seedSourceId == 'trezor') {
+      var driver = hwWallet.getDriver(self.seedSourceId);
+      if (driver) {
         var account = $scope.account;
         if (!account || account < 1) {
           this.error = gettext('Invalid account number');
           return;
         }
 
-        if (self.seedSourceId == 'trezor')
-          account = account - 1;
+        account = account - driver.accountBase;
+
+        if (driver.network) {
+          var walletData;
+          try {
+            walletData = bwcService.parseSecret(opts.secret);
+          } catch (ex) {
+            this.error = gettext('Bad wallet invitation');
+            return;
+          }
+          if (driver.network != walletData.network) {
+            this.error = gettext('This device can not be used on this network');
+            return;
+          }
+        }
 
         opts.account = account;
         ongoingProcess.set('connecting' + self.seedSourceId, true);
-        var src = self.seedSourceId == 'ledger' ? ledger : trezor;
 
-        src.getInfoForNewWallet(true, account, function(err, lopts) {
+        driver.getInfoForNewWallet(true, account, function(err, lopts) {
           ongoingProcess.set('connecting' + self.seedSourceId, false);
           if (err) {
             self.error = err;
@@ -141,7 +141,7 @@ angular.module('copayApp.controllers').controller('addressbookController', funct
             return;
           }
 
-          self.setForm(addr);
+          self.setTransferTo(walletId, addr);
           $scope.cancel();
         });
       }
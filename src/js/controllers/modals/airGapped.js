@@ -0,0 +1,80 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('airGappedController', function($scope, $interval, $timeout, $log, gettext, platformInfo, profileService, backupService, airGappedService) {
+  var fc = profileService.focusedClient;
+  var reader = new FileReader();
+  var text = airGappedService.exportTxp(fc, $scope.tx);
+  var scanned = {};
+  var cycle;
+
+  $scope.isSafari = platformInfo.isSafari;
+  $scope.isCordova = platformInfo.isCordova;
+  $scope.parts = airGappedService.split(text);
+  $scope.partIndex = 0;
+  $scope.data = {
+    text: null
+  };
+
+  // Multi-part packages are shown one QR code at a time
+  if ($scope.parts.length > 1) {
+    cycle = $interval(function() {
+      $scope.partIndex = ($scope.partIndex + 1) % $scope.parts.length;
+    }, 1500);
+  }
+
+  $scope.$on('$destroy', function() {
+    if (cycle) $interval.cancel(cycle);
+  });
+
+  $scope.save = function() {
+    backupService.download(text, 'copay-txp-' + $scope.tx.id.substring(0, 8) + '.json', function() {});
+  };
+
+  $scope.onQrCodeScanned = function(data) {
+    $scope.error = null;
+    try {
+      var joined = airGappedService.addPart(scanned, data);
+    } catch (e) {
+      $scope.error = e.message;
+      return;
+    }
+    $scope.scanProgress = scanned.count + '/' + scanned.total;
+    if (joined) $scope.importSignatures(joined);
+  };
+
+  $scope.getFile = function() {
+    reader.onloadend = function(evt) {
+      if (evt.target.readyState == FileReader.DONE) {
+        $scope.importSignatures(evt.target.result);
+        $scope.$apply();
+      }
+    };
+    reader.readAsText($scope.file);
+  };
+
+  $scope.importSignatures = function(data) {
+    $scope.error = null;
+    var sigs;
+    try {
+      sigs = airGappedService.parse(data, 'signatures');
+    } catch (e) {
+      $scope.error = e.message;
+      return;
+    }
+
+    if (sigs.txpId != $scope.tx.id) {
+      $scope.error = gettext('These signatures belong to another payment proposal');
+      return;
+    }
+
+    $log.debug('Applying offline signatures to ' + sigs.txpId);
+    $scope.cancelAirGapped();
+    $timeout(function() {
+      $scope.applySignatures(sigs);
+    }, 100);
+  };
+
+  $scope.cancelAirGapped = function() {
+    $scope.airGappedModal.hide();
+  };
+});
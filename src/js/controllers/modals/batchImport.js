@@ -0,0 +1,74 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('batchImportController', function($scope, $timeout, $filter, $log, gettext, lodash, platformInfo, profileService, rateService, batchPaymentService) {
+  var self = $scope.self;
+  var fc = profileService.focusedClient;
+  var reader = new FileReader();
+
+  $scope.isSafari = platformInfo.isSafari;
+  $scope.isCordova = platformInfo.isCordova;
+  $scope.data = {
+    text: null
+  };
+
+  var formatRow = function(row) {
+    row.amountStr = profileService.formatAmount(row.amount) + ' ' + self.unitName;
+    if (rateService.isAvailable()) {
+      row.alternativeAmountStr = $filter('formatFiatAmount')(rateService.toFiat(row.amount, self.alternativeIsoCode)) + ' ' + self.alternativeIsoCode;
+    }
+    return row;
+  };
+
+  $scope.preview = function() {
+    $scope.error = null;
+    var result = batchPaymentService.parse($scope.data.text, fc.credentials.network);
+
+    if (!result.recipients.length && !result.rejected.length) {
+      $scope.error = gettext('No payments found');
+      return;
+    }
+
+    $scope.recipients = lodash.map(result.recipients, formatRow);
+    $scope.rejected = result.rejected;
+    $scope.total = formatRow({
+      amount: result.total
+    });
+  };
+
+  $scope.getFile = function() {
+    reader.onloadend = function(evt) {
+      if (evt.target.readyState == FileReader.DONE) {
+        $scope.data.text = evt.target.result;
+        $scope.preview();
+        $scope.$apply();
+      }
+    };
+    reader.readAsText($scope.file);
+  };
+
+  $scope.edit = function() {
+    $scope.recipients = $scope.rejected = $scope.total = null;
+  };
+
+  $scope.createPayment = function() {
+    if (lodash.isEmpty($scope.recipients)) return;
+
+    $log.debug('Creating batch payment with ' + $scope.recipients.length + ' recipients');
+    self.setRecipients(lodash.map($scope.recipients, function(r) {
+      return {
+        toAddress: r.address,
+        amount: r.amount,
+        message: r.message
+      };
+    }));
+    $scope.cancel();
+
+    $timeout(function() {
+      self.submitForm();
+    }, 100);
+  };
+
+  $scope.cancel = function() {
+    $scope.batchImportModal.hide();
+  };
+});
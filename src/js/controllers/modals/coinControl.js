@@ -0,0 +1,79 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('coinControlController', function($scope, $log, $timeout, lodash, profileService, configService, coinControlService, bwcError) {
+  var self = $scope.self;
+  var fc = profileService.focusedClient;
+  var spendUnconfirmed = configService.getSync().wallet.spendUnconfirmed;
+
+  $scope.loading = true;
+
+  var isSpendable = function(u) {
+    return !u.locked && !u.userLocked && (spendUnconfirmed || u.confirmations > 0);
+  };
+
+  var updateSelection = function() {
+    var picked = lodash.filter($scope.utxos, 'picked');
+    $scope.pickedCount = picked.length;
+    $scope.pickedStr = profileService.formatAmount(coinControlService.sum(picked)) + ' ' + self.unitName;
+  };
+
+  coinControlService.getUtxos(fc, function(err, utxos) {
+    $scope.loading = false;
+    if (err) {
+      $scope.error = bwcError.msg(err);
+      $timeout(function() {
+        $scope.$apply();
+      });
+      return;
+    }
+
+    var selected = lodash.pluck(self.selectedUtxos, 'key');
+    $scope.utxos = lodash.map(utxos, function(u) {
+      u.amountStr = profileService.formatAmount(u.satoshis) + ' ' + self.unitName;
+      u.spendable = isSpendable(u);
+      u.picked = u.spendable && lodash.contains(selected, u.key);
+      return u;
+    });
+    updateSelection();
+    $timeout(function() {
+      $scope.$apply();
+    });
+  });
+
+  $scope.togglePick = function(u) {
+    if (!u.spendable) return;
+    u.picked = !u.picked;
+    updateSelection();
+  };
+
+  $scope.toggleLock = function(u) {
+    u.userLocked = !u.userLocked;
+    u.spendable = isSpendable(u);
+    if (!u.spendable) u.picked = false;
+    updateSelection();
+
+    var locked = lodash.pluck(lodash.filter($scope.utxos, 'userLocked'), 'key');
+    coinControlService.setLocked(fc.credentials.walletId, locked, function(err) {
+      if (err) $log.warn(err);
+      $log.debug('Locked coins: ' + locked.length);
+    });
+  };
+
+  $scope.clearSelection = function() {
+    lodash.each($scope.utxos, function(u) {
+      u.picked = false;
+    });
+    updateSelection();
+  };
+
+  $scope.apply = function() {
+    self.setSelectedUtxos(lodash.map(lodash.filter($scope.utxos, 'picked'), function(u) {
+      return lodash.omit(u, ['amountStr', 'spendable', 'picked', 'userLocked', 'label']);
+    }));
+    $scope.cancel();
+  };
+
+  $scope.cancel = function() {
+    $scope.coinControlModal.hide();
+  };
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('paymentRequestsController', function($scope, $rootScope, $timeout, $window, $log, lodash, gettext, platformInfo, configService, profileService, paymentRequestService, bwcError) {
+
+  var fc = profileService.focusedClient;
+  var walletId = fc.credentials.walletId;
+  var config = configService.getSync().wallet.settings;
+
+  $scope.isCordova = platformInfo.isCordova;
+  $scope.statuses = paymentRequestService.statuses;
+  $scope.expiries = paymentRequestService.expiries;
+  $scope.currency = config.alternativeIsoCode;
+
+  var resetForm = function() {
+    $scope.form = {
+      fiatAmount: null,
+      label: null,
+      message: null,
+      expiresIn: 60
+    };
+  };
+  resetForm();
+
+  var setError = function(err) {
+    $scope.error = lodash.isString(err) ? err : bwcError.msg(err);
+    $timeout(function() {
+      $scope.$apply();
+    });
+  };
+
+  var format = function(request) {
+    request.status = paymentRequestService.getStatus(request);
+    request.uri = paymentRequestService.getUri(request);
+    request.amountStr = profileService.formatAmount(request.amount) + ' ' + config.unitName;
+    request.receivedStr = profileService.formatAmount(paymentRequestService.getReceived(request)) + ' ' + config.unitName;
+    return request;
+  };
+
+  var setRequests = function(requests) {
+    $scope.requests = lodash.map(requests, format);
+    if ($scope.selected) {
+      $scope.selected = lodash.find($scope.requests, {
+        id: $scope.selected.id
+      });
+    }
+    $timeout(function() {
+      $scope.$apply();
+    });
+  };
+
+  $scope.update = function() {
+    paymentRequestService.update(fc, function(err, requests) {
+      if (err) {
+        $log.warn(err);
+        return paymentRequestService.list(walletId, function(err, requests) {
+          if (!err) setRequests(requests);
+        });
+      }
+      setRequests(requests);
+    });
+  };
+
+  $scope.showForm = function() {
+    $scope.error = null;
+    $scope.creating = true;
+  };
+
+  $scope.create = function() {
+    $scope.error = null;
+
+    paymentRequestService.create(fc, {
+      fiatAmount: $scope.form.fiatAmount,
+      currency: $scope.currency,
+      label: $scope.form.label,
+      message: $scope.form.message,
+      expiresIn: $scope.form.expiresIn
+    }, function(err, request) {
+      if (err) return setError(err);
+
+      $scope.creating = false;
+      resetForm();
+      $scope.selected = format(request);
+      $scope.update();
+    });
+  };
+
+  $scope.select = function(request) {
+    $scope.error = null;
+    $scope.imageUrl = null;
+    $scope.selected = request;
+  };
+
+  $scope.back = function() {
+    $scope.imageUrl = null;
+    $scope.selected = null;
+    $scope.creating = false;
+  };
+
+  $scope.remove = function(request) {
+    paymentRequestService.remove(walletId, request.id, function(err) {
+      if (err) return setError(err);
+      $scope.selected = null;
+      $scope.update();
+    });
+  };
+
+  // A PNG with the QR code of the request, its price and its label
+  var renderImage = function(request) {
+    var qr = $window.document.querySelector('.payment-request-qr canvas');
+    if (!qr) return null;
+
+    var canvas = $window.document.createElement('canvas');
+    var ctx = canvas.getContext('2d');
+    var margin = 20;
+    canvas.width = qr.width + 2 * margin;
+    canvas.height = qr.height + 2 * margin + 60;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(qr, margin, margin);
+    ctx.fillStyle = '#000000';
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillText(request.fiatAmount + ' ' + request.currency + ' (' + request.amountStr + ')', canvas.width / 2, qr.height + margin + 25);
+    if (request.label) {
+      ctx.font = '14px sans-serif';
+      ctx.fillText(request.label, canvas.width / 2, qr.height + margin + 48);
+    }
+    return canvas.toDataURL('image/png');
+  };
+
+  $scope.shareUri = function(request) {
+    if (platformInfo.isCordova)
+      window.plugins.socialsharing.share(request.uri, null, null, null);
+  };
+
+  $scope.shareImage = function(request) {
+    var image = renderImage(request);
+    if (!image) return;
+
+    if (platformInfo.isCordova) {
+      window.plugins.socialsharing.share(request.message, request.label, image, request.uri);
+      return;
+    }
+    $scope.imageUrl = image;
+  };
+
+  var disableIncomingListener = $rootScope.$on('NewIncomingTx', $scope.update);
+
+  $scope.$on('$destroy', function() {
+    disableIncomingListener();
+  });
+
+  $scope.cancel = function() {
+    $scope.paymentRequestsModal.remove();
+  };
+
+  $scope.update();
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('psbtController', function($scope, $timeout, platformInfo, profileService, backupService, psbtService) {
+  var fc = profileService.focusedClient;
+  var reader = new FileReader();
+
+  $scope.isSafari = platformInfo.isSafari;
+  $scope.isCordova = platformInfo.isCordova;
+  $scope.data = {
+    text: null
+  };
+
+  $scope.exporting = true;
+  psbtService.export(fc, $scope.tx, function(err, psbt) {
+    $scope.exporting = false;
+    if (err) {
+      $scope.error = err;
+      return;
+    }
+    $scope.psbt = psbt;
+  });
+
+  $scope.save = function() {
+    backupService.download($scope.psbt, 'copay-' + $scope.tx.id.substring(0, 8) + '.psbt', function() {});
+  };
+
+  // PSBT files can be binary or base64 text
+  $scope.getFile = function() {
+    reader.onloadend = function(evt) {
+      if (evt.target.readyState == FileReader.DONE) {
+        var str = String.fromCharCode.apply(null, new Uint8Array(evt.target.result));
+        $scope.data.text = str.indexOf('psbt\xff') === 0 ? btoa(str) : str;
+        $scope.$apply();
+      }
+    };
+    reader.readAsArrayBuffer($scope.file);
+  };
+
+  $scope.importPsbt = function() {
+    var text = $scope.data.text;
+    $scope.cancelPsbt();
+    $timeout(function() {
+      $scope.applyPsbt(text);
+    }, 100);
+  };
+
+  $scope.cancelPsbt = function() {
+    $scope.psbtModal.hide();
+  };
+});
@@ -1,8 +1,21 @@
 'use strict';
 
-angular.module('copayApp.controllers').controller('searchController', function($scope) {
+angular.module('copayApp.controllers').controller('searchController', function($scope, gettext, configService, historyFilterService) {
   var self = $scope.self;
   $scope.search = '';
+  $scope.showFilters = false;
+
+  $scope.directions = historyFilterService.DIRECTIONS;
+  $scope.statuses = historyFilterService.STATUSES;
+  $scope.sorts = historyFilterService.SORTS;
+  $scope.currencies = ['BTC', configService.getSync().wallet.settings.alternativeIsoCode];
+  $scope.noteOptions = [{
+    value: true,
+    label: gettext('With a comment')
+  }, {
+    value: false,
+    label: gettext('Without a comment')
+  }];
 
   $scope.cancel = function() {
     $scope.searchModal.hide();
@@ -1,6 +1,6 @@
 'use strict';
 
-angular.module('copayApp.controllers').controller('txDetailsController', function($rootScope, $log, $scope, $filter, $ionicPopup, gettextCatalog, profileService, configService, lodash) {
+angular.module('copayApp.controllers').controller('txDetailsController', function($rootScope, $log, $scope, $filter, $timeout, $ionicPopup, gettextCatalog, profileService, configService, lodash, bwcError, ongoingProcess, rateService, feeService, cpfpService, txHistoryStore) {
 
   var self = $scope.self;
   var fc = profileService.focusedClient;
@@ -53,7 +53,9 @@ angular.module('copayApp.controllers').controller('txDetailsController', functio
           $scope.btx.note.editedByName = fc.credentials.copayerName;
           $scope.btx.note.editedOn = Math.floor(Date.now() / 1000);
         }
-        $scope.btx.searcheableString = null;
+        txHistoryStore.put(fc.credentials.walletId, [lodash.omit($scope.btx, 'recent')], function(err) {
+          if (err) $log.warn('Could not cache tx comment', err);
+        });
         commentPopup.close();
       });
     };
@@ -80,6 +82,80 @@ angular.module('copayApp.controllers').controller('txDetailsController', functio
     });
   };
 
+  $scope.canSpeedUp = cpfpService.canSpeedUp($scope.btx) && (fc.canSign() || fc.isPrivKeyExternal());
+  $scope.speedUp = {
+    level: 'priority'
+  };
+
+  var setSpeedUpError = function(err) {
+    $scope.speedUp.info = null;
+    $scope.speedUp.error = lodash.isString(err) ? err : bwcError.msg(err);
+  };
+
+  $scope.openSpeedUp = function() {
+    $scope.speedUp.show = true;
+    $scope.speedUp.loading = true;
+    $scope.feeOpts = feeService.feeOpts;
+
+    fc.getFeeLevels(fc.credentials.network, function(err, levels) {
+      if (err) {
+        $scope.speedUp.loading = false;
+        setSpeedUpError(err);
+        $scope.$apply();
+        return;
+      }
+      $scope.feeLevels = levels;
+      $scope.updateSpeedUp();
+    });
+  };
+
+  $scope.updateSpeedUp = function() {
+    var level = lodash.find($scope.feeLevels, {
+      level: $scope.speedUp.level
+    });
+    if (!level) return setSpeedUpError('Could not get dynamic fee');
+
+    $scope.speedUp.loading = true;
+    cpfpService.getInfo(fc, $scope.btx, level.feePerKB, function(err, info) {
+      $scope.speedUp.loading = false;
+      if (err) {
+        setSpeedUpError(err);
+      } else {
+        $scope.speedUp.error = null;
+        info.feeStr = profileService.formatAmount(info.fee) + ' ' + walletSettings.unitName;
+        info.amountStr = profileService.formatAmount(info.amount) + ' ' + walletSettings.unitName;
+        if (rateService.isAvailable()) {
+          info.feeAlternativeStr = $filter('formatFiatAmount')(rateService.toFiat(info.fee, $scope.alternativeIsoCode)) + ' ' + $scope.alternativeIsoCode;
+        }
+        $scope.speedUp.info = info;
+      }
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+
+  $scope.confirmSpeedUp = function() {
+    var info = $scope.speedUp.info;
+    if (!info) return;
+
+    ongoingProcess.set('creatingTx', true);
+    cpfpService.createTx(fc, $scope.btx, info, function(err, txp) {
+      ongoingProcess.set('creatingTx', false);
+      if (err) {
+        setSpeedUpError(err);
+        $timeout(function() {
+          $scope.$apply();
+        });
+        return;
+      }
+
+      $scope.cancel();
+      txp.feeLevel = $scope.speedUp.level;
+      self.confirmTx(txp);
+    });
+  };
+
   $scope.getShortNetworkName = function() {
     var n = fc.credentials.network;
     return n.substring(0, 4);
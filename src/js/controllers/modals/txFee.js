@@ -0,0 +1,79 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('txFeeController', function($scope, $timeout, $log, lodash, gettext, profileService, feeService) {
+  var self = $scope.self;
+  var fc = profileService.focusedClient;
+  var txFee = self.txFee || {};
+
+  $scope.feeOpts = feeService.feeOpts;
+  $scope.unitName = self.unitName;
+  $scope.loading = true;
+  $scope.data = {
+    mode: txFee.feePerKb ? 'rate' : (lodash.isNumber(txFee.fee) ? 'total' : 'level'),
+    level: txFee.level || feeService.getCurrentFeeLevel(),
+    satPerByte: txFee.feePerKb ? feeService.feePerKbToSatPerByte(txFee.feePerKb) : null,
+    totalFee: lodash.isNumber(txFee.fee) ? parseFloat((txFee.fee * self.satToUnit).toFixed(self.unitDecimals)) : null
+  };
+
+  fc.getFeeLevels(fc.credentials.network, function(err, levels) {
+    $scope.loading = false;
+    if (err) {
+      $log.warn(err);
+      $scope.error = gettext('Could not get dynamic fee');
+    } else {
+      $scope.levels = lodash.map(levels, function(l) {
+        l.satPerByte = feeService.feePerKbToSatPerByte(l.feePerKB);
+        return l;
+      });
+      if ($scope.data.level == 'custom') $scope.data.mode = 'rate';
+      if (!$scope.data.satPerByte) {
+        var current = lodash.find($scope.levels, {
+          level: $scope.data.level
+        }) || $scope.levels[0];
+        $scope.data.satPerByte = current ? current.satPerByte : null;
+      }
+    }
+    $timeout(function() {
+      $scope.$apply();
+    });
+  });
+
+  $scope.apply = function() {
+    $scope.error = null;
+    var data = $scope.data;
+
+    if (data.mode == 'level') {
+      self.setTxFee({
+        level: data.level
+      });
+    } else if (data.mode == 'rate') {
+      var satPerByte = parseFloat(data.satPerByte);
+      if (!(satPerByte > 0)) {
+        $scope.error = gettext('Enter a fee rate greater than zero');
+        return;
+      }
+      self.setTxFee({
+        feePerKb: feeService.satPerByteToFeePerKb(satPerByte)
+      });
+    } else {
+      var fee = parseInt((parseFloat(data.totalFee) * self.unitToSatoshi).toFixed(0));
+      if (!(fee > 0)) {
+        $scope.error = gettext('Enter a fee greater than zero');
+        return;
+      }
+      self.setTxFee({
+        fee: fee
+      });
+    }
+    $scope.cancel();
+  };
+
+  $scope.useDefault = function() {
+    self.setTxFee(null);
+    $scope.cancel();
+  };
+
+  $scope.cancel = function() {
+    $scope.txFeeModal.hide();
+  };
+});
@@ -1,6 +1,6 @@
 'use strict';
 
-angular.module('copayApp.controllers').controller('txpDetailsController', function($scope, $rootScope, $timeout, $interval, $ionicModal, ongoingProcess, platformInfo, txStatus, $ionicScrollDelegate, txFormatService, fingerprintService, bwcError, gettextCatalog, lodash, profileService, walletService) {
+angular.module('copayApp.controllers').controller('txpDetailsController', function($scope, $rootScope, $timeout, $interval, $ionicModal, ongoingProcess, platformInfo, txStatus, $ionicScrollDelegate, txFormatService, fingerprintService, bwcError, gettextCatalog, lodash, profileService, walletService, airGappedService, psbtService) {
   var self = $scope.self;
   var tx = $scope.tx;
   var copayers = $scope.copayers;
@@ -11,6 +11,7 @@ angular.module('copayApp.controllers').controller('txpDetailsController', functi
   $scope.copayerId = fc.credentials.copayerId;
   $scope.isShared = fc.credentials.n > 1;
   $scope.canSign = fc.canSign() || fc.isPrivKeyExternal();
+  $scope.canSignOffline = !$scope.canSign;
   $scope.color = fc.backgroundColor;
 
   checkPaypro();
@@ -38,38 +39,55 @@ angular.module('copayApp.controllers').controller('txpDetailsController', functi
           return;
         }
 
-        handleEncryptedWallet(function(err) {
+        walletService.handleEncryptedWallet(fc, function(err, password) {
           if (err) {
             return setError(err);
           }
 
           ongoingProcess.set('signingTx', true);
-          walletService.signTx(fc, txp, function(err, signedTxp) {
+          walletService.signAndBroadcast(fc, txp, password, function(err, signedTxp) {
             ongoingProcess.set('signingTx', false);
-            if (err) {
-              return setError(err);
-            }
-
-            if (signedTxp.status == 'accepted') {
-              ongoingProcess.set('broadcastingTx', true);
-              walletService.broadcastTx(fc, signedTxp, function(err, broadcastedTxp) {
-                ongoingProcess.set('broadcastingTx', false);
-                $scope.$emit('UpdateTx');
-                $scope.close(broadcastedTxp);
-                if (err) {
-                  return setError(err);
-                }
-              });
-            } else {
-              $scope.$emit('UpdateTx');
-              $scope.close(signedTxp);
-            }
+            processSignedTx(err, signedTxp);
           });
         });
       });
     }, 10);
   };
 
+  function processSignedTx(err, txp) {
+    $scope.$emit('UpdateTx');
+    if (err) {
+      return setError(err);
+    }
+    $scope.close(txp);
+  };
+
+  // Watch-only copies of a wallet can have the proposal signed by the
+  // device holding the keys
+  $scope.openAirGappedModal = function() {
+    $ionicModal.fromTemplateUrl('views/modals/air-gapped.html', {
+      scope: $scope,
+      animation: 'slide-in-up'
+    }).then(function(modal) {
+      $scope.airGappedModal = modal;
+      $scope.airGappedModal.show();
+    });
+  };
+
+  $scope.applySignatures = function(sigs) {
+    $scope.error = null;
+    $scope.loading = true;
+
+    ongoingProcess.set('signingTx', true);
+    airGappedService.applySignatures(fc, sigs, function(err, txp) {
+      ongoingProcess.set('signingTx', false);
+      if (err) {
+        return setError(err, gettextCatalog.getString('Could not accept payment'));
+      }
+      processSignedTx(null, txp);
+    });
+  };
+
   function setError(err, prefix) {
     $scope.loading = false;
     $scope.error = bwcError.msg(err, prefix);
@@ -139,6 +157,30 @@ angular.module('copayApp.controllers').controller('txpDetailsController', functi
     }, 10);
   };
 
+  $scope.openPsbtModal = function() {
+    $ionicModal.fromTemplateUrl('views/modals/psbt.html', {
+      scope: $scope,
+      animation: 'slide-in-up'
+    }).then(function(modal) {
+      $scope.psbtModal = modal;
+      $scope.psbtModal.show();
+    });
+  };
+
+  $scope.applyPsbt = function(text) {
+    $scope.error = null;
+    $scope.loading = true;
+
+    ongoingProcess.set('signingTx', true);
+    psbtService.applySignatures(fc, $scope.tx, text, function(err, txp) {
+      ongoingProcess.set('signingTx', false);
+      if (err) {
+        return setError(err, gettextCatalog.getString('Could not accept payment'));
+      }
+      processSignedTx(null, txp);
+    });
+  };
+
   $scope.getShortNetworkName = function() {
     return fc.credentials.networkName.substring(0, 4);
   };
@@ -219,14 +261,6 @@ angular.module('copayApp.controllers').controller('txpDetailsController', functi
     });
   };
 
-  function handleEncryptedWallet(cb) {
-    if (!walletService.isEncrypted(fc)) return cb();
-    $rootScope.$emit('Local/NeedsPassword', false, function(err, password) {
-      if (err) return cb(err);
-      return cb(walletService.unlock(fc, password));
-    });
-  };
-
   $scope.copyToClipboard = function(addr, $event) {
     if (!addr) return;
     self.copyToClipboard(addr, $event);
@@ -1,119 +1,173 @@
 angular.module('copayApp.controllers').controller('paperWalletController',
-  function($scope, $timeout, $log, $ionicModal, configService, profileService, go, addressService, txStatus, bitcore, ongoingProcess) {
+  function($scope, $timeout, $log, $ionicModal, lodash, gettext, configService, profileService, go, feeService, transferService, sweepService, ongoingProcess) {
 
     var fc = profileService.focusedClient;
-    var rawTx;
+    var config = configService.getSync().wallet.settings;
+
+    $scope.wallets = profileService.getWallets();
+    $scope.feeOpts = feeService.feeOpts;
+    $scope.data = {
+      input: '',
+      passphrase: null,
+      walletId: fc.credentials.walletId,
+      feeLevel: feeService.getCurrentFeeLevel() == 'custom' ? 'normal' : feeService.getCurrentFeeLevel()
+    };
 
-    $scope.onQrCodeScanned = function(data) {
-      $scope.inputData = data;
-      $scope.onData(data);
+    feeService.getFeeLevels(function(levels) {
+      $scope.feeLevels = levels;
+    });
+
+    $scope.getWallet = function() {
+      return lodash.find($scope.wallets, {
+        id: $scope.data.walletId
+      });
     };
 
-    $scope.onData = function(data) {
-      $scope.error = null;
-      $scope.scannedKey = data;
-      $scope.isPkEncrypted = (data.substring(0, 2) == '6P');
+    var formatAmount = function(amount) {
+      return profileService.formatAmount(amount) + ' ' + config.unitName;
     };
 
-    function _scanFunds(cb) {
-      function getPrivateKey(scannedKey, isPkEncrypted, passphrase, cb) {
-        if (!isPkEncrypted) return cb(null, scannedKey);
-        fc.decryptBIP38PrivateKey(scannedKey, passphrase, null, cb);
-      };
+    $scope.onQrCodeScanned = function(data) {
+      $scope.data.input = lodash.trim(($scope.data.input || '') + '\n' + data);
+      $scope.onData();
+    };
 
-      function getBalance(privateKey, cb) {
-        fc.getBalanceFromPrivateKey(privateKey, cb);
-      };
+    $scope.onData = function() {
+      $scope.error = null;
+      $scope.keys = null;
+      $scope.hasEncrypted = lodash.any(sweepService.parseKeys($scope.data.input), 'isEncrypted');
+    };
 
-      function checkPrivateKey(privateKey) {
-        try {
-          new bitcore.PrivateKey(privateKey, 'livenet');
-        } catch (err) {
-          return false;
-        }
-        return true;
-      };
+    $scope.getFeeLevels = function() {
+      var wallet = $scope.getWallet();
+      if (!$scope.feeLevels || !wallet) return [];
+      return $scope.feeLevels[wallet.network];
+    };
 
-      getPrivateKey($scope.scannedKey, $scope.isPkEncrypted, $scope.passphrase, function(err, privateKey) {
-        if (err) return cb(err);
-        if (!checkPrivateKey(privateKey)) return cb(new Error('Invalid private key'));
+    var getFeePerKb = function() {
+      var level = lodash.find($scope.getFeeLevels(), {
+        level: $scope.data.feeLevel
+      });
+      return level ? level.feePerKB : null;
+    };
 
-        getBalance(privateKey, function(err, balance) {
-          if (err) return cb(err);
-          return cb(null, privateKey, balance);
-        });
+    $scope.getSweepableKeys = function() {
+      return lodash.filter($scope.keys, function(key) {
+        return key.balance > 0;
       });
     };
 
+    $scope.getTotal = function() {
+      return formatAmount(lodash.sum($scope.getSweepableKeys(), 'balance'));
+    };
+
+    /**
+     * Opens every key of the list and checks its balance. Keys that can not
+     * be opened or are for another network than the destination wallet are
+     * listed with an error and left out of the sweep.
+     */
     $scope.scanFunds = function() {
-      $scope.privateKey = '';
-      $scope.balanceSat = 0;
+      var wallet = $scope.getWallet();
+      var client = profileService.getClient(wallet.id);
+      var keys = sweepService.parseKeys($scope.data.input);
       $scope.error = null;
 
+      if (lodash.isEmpty(keys)) {
+        $scope.error = gettext('No private keys found');
+        return;
+      }
+
+      $scope.keys = keys;
+      $scope.scanning = true;
       ongoingProcess.set('scanning', true);
-      $timeout(function() {
-        _scanFunds(function(err, privateKey, balance) {
-          ongoingProcess.set('scanning', false);
-          if (err) {
-            $log.error(err);
-            $scope.error = err.message || err.toString();
-          } else {
-            $scope.privateKey = privateKey;
-            $scope.balanceSat = balance;
-            var config = configService.getSync().wallet.settings;
-            $scope.balance = profileService.formatAmount(balance) + ' ' + config.unitName;
-          }
 
+      var done = function(err) {
+        $scope.scanning = false;
+        ongoingProcess.set('scanning', false);
+        if (err) {
+          $log.warn(err);
+          $scope.error = err.message || err.toString();
+        }
+        $timeout(function() {
           $scope.$apply();
         });
-      }, 100);
+      };
+
+      var i = 0;
+      var next = function() {
+        if (i >= keys.length) {
+          var validKeys = lodash.reject(keys, 'error');
+          return sweepService.getBalances(client, validKeys, function(key) {
+            key.balanceStr = formatAmount(key.balance);
+          }, done);
+        }
+        var key = keys[i++];
+
+        // Decrypting a BIP38 key blocks the UI for a while
+        $timeout(function() {
+          sweepService.openKey(key, $scope.data.passphrase, function(err) {
+            if (err)
+              key.error = err.message || err.toString();
+            else if (key.network != wallet.network)
+              key.error = gettext('Wrong network');
+            next();
+          });
+        }, 100);
+      };
+      next();
     };
 
-    function _sweepWallet(cb) {
-      addressService.getAddress(fc.credentials.walletId, true, function(err, destinationAddress) {
-        if (err) return cb(err);
+    $scope.sweepWallet = function() {
+      var wallet = $scope.getWallet();
+      var client = profileService.getClient(wallet.id);
+      var keys = $scope.getSweepableKeys();
+      var feePerKb = getFeePerKb();
+      $scope.error = null;
+
+      if (!feePerKb) {
+        $scope.error = gettext('Could not get dynamic fee');
+        return;
+      }
+
+      $scope.sending = true;
+      ongoingProcess.set('sweepingWallet', true);
+
+      transferService.getAddress(wallet.id, function(err, destinationAddress) {
+        if (err) return onSwept(err);
+        sweepService.sweep(client, keys, destinationAddress, feePerKb, onSwept);
+      });
 
-        fc.buildTxFromPrivateKey($scope.privateKey, destinationAddress, null, function(err, tx) {
-          if (err) return cb(err);
+      function onSwept(err, txid, tx) {
+        ongoingProcess.set('sweepingWallet', false);
+        $scope.sending = false;
 
-          fc.broadcastRawTx({
-            rawTx: tx.serialize(),
-            network: 'livenet'
-          }, function(err, txid) {
-            if (err) return cb(err);
-            return cb(null, destinationAddress, txid);
+        if (err) {
+          $log.error(err);
+          $scope.error = err.message || err.toString();
+          $timeout(function() {
+            $scope.$apply();
           });
+          return;
+        }
+
+        $log.info('Swept ' + keys.length + ' keys in tx ' + txid);
+        $scope.openStatusModal('broadcasted', {
+          amountStr: formatAmount(tx.outputs[0].satoshis)
+        }, wallet.color, function() {
+          go.walletHome();
         });
-      });
+      };
     };
 
-    $scope.sweepWallet = function() {
-      ongoingProcess.set('sweepingWallet', true);
-      $scope.sending = true;
+    $scope.reset = function() {
+      $scope.keys = null;
       $scope.error = null;
-
-      $timeout(function() {
-        _sweepWallet(function(err, destinationAddress, txid) {
-          ongoingProcess.set('sweepingWallet', false);
-
-          if (err) {
-            $scope.error = err.message || err.toString();
-            $log.error(err);
-          } else {
-            var type = txStatus.notify(txp);
-            $scope.openStatusModal(type, txp, function() {
-              go.walletHome();
-            });
-          }
-          $scope.$apply();
-        });
-      }, 100);
     };
 
-    $scope.openStatusModal = function(type, txp, cb) {
+    $scope.openStatusModal = function(type, tx, color, cb) {
       $scope.type = type;
-      $scope.tx = txFormatService.processTx(txp);
-      $scope.color = fc.backgroundColor;
+      $scope.tx = tx;
+      $scope.color = color;
       $scope.cb = cb;
 
       $ionicModal.fromTemplateUrl('views/modals/tx-status.html', {
@@ -0,0 +1,89 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('paperWalletGeneratorController',
+  function($scope, $rootScope, $timeout, $window, $log, lodash, gettext, configService, profileService, paperWalletService, go) {
+
+    var fc = profileService.focusedClient;
+    var config = configService.getSync().wallet.settings;
+    var MAX_PAPER_WALLETS = 50;
+
+    $scope.network = fc.credentials.network;
+    $scope.unitName = config.unitName;
+    $scope.maxPaperWallets = MAX_PAPER_WALLETS;
+    $scope.data = {
+      count: 1,
+      encrypt: true,
+      passphrase: null,
+      confirmPassphrase: null,
+      amount: null
+    };
+
+    var getAmount = function() {
+      if (!$scope.data.amount) return null;
+      return parseInt(($scope.data.amount * config.unitToSatoshi).toFixed(0));
+    };
+
+    $scope.generate = function() {
+      var data = $scope.data;
+      $scope.error = null;
+
+      if (!(data.count >= 1 && data.count <= MAX_PAPER_WALLETS)) {
+        $scope.error = gettext('Invalid number of paper wallets');
+        return;
+      }
+      if (data.encrypt && (!data.passphrase || data.passphrase != data.confirmPassphrase)) {
+        $scope.error = gettext('Passphrases do not match');
+        return;
+      }
+
+      $scope.generating = true;
+      $scope.progress = 0;
+
+      paperWalletService.generateAll(data.count, $scope.network, data.encrypt ? data.passphrase : null, function(done) {
+        $scope.progress = done;
+      }, function(err, paperWallets) {
+        $scope.generating = false;
+        if (err) {
+          $log.warn(err);
+          $scope.error = err.message || err;
+          return;
+        }
+
+        $scope.isEncrypted = data.encrypt;
+        $scope.paperWallets = paperWallets;
+        data.passphrase = data.confirmPassphrase = null;
+      });
+    };
+
+    $scope.getAmountStr = function() {
+      var amount = getAmount();
+      return amount ? profileService.formatAmount(amount) + ' ' + config.unitName : null;
+    };
+
+    $scope.print = function() {
+      $window.print();
+    };
+
+    // Prefills the send form of this wallet with the paper wallet addresses
+    $scope.fund = function() {
+      var amount = getAmount();
+      if (!amount) return;
+
+      var recipients = lodash.map($scope.paperWallets, function(w) {
+        return {
+          toAddress: w.address,
+          amount: amount
+        };
+      });
+
+      go.walletHome();
+      $timeout(function() {
+        $rootScope.$emit('Local/SetRecipients', recipients);
+      }, 1000);
+    };
+
+    $scope.reset = function() {
+      $scope.paperWallets = null;
+      $scope.error = null;
+    };
+  });
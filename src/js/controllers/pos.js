@@ -0,0 +1,111 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('posController', function($scope, $rootScope, $interval, $timeout, $log, $ionicSideMenuDelegate, lodash, gettext, configService, profileService, posService, go, bwcError) {
+
+  var config = configService.getSync().wallet.settings;
+  var client = profileService.getClient(posService.get().walletId) || profileService.focusedClient;
+  var countDown;
+
+  $scope.currency = config.alternativeIsoCode;
+  $scope.data = {
+    amount: null,
+    pin: null
+  };
+
+  $ionicSideMenuDelegate.canDragContent(false);
+
+  if (client != profileService.focusedClient)
+    profileService.setAndStoreFocus(client.credentials.walletId, function() {});
+
+  var setError = function(err) {
+    $scope.error = lodash.isString(err) ? err : bwcError.msg(err);
+    $timeout(function() {
+      $scope.$apply();
+    });
+  };
+
+  var stopCountDown = function() {
+    if (countDown) $interval.cancel(countDown);
+    countDown = null;
+  };
+
+  var updateRemaining = function() {
+    var request = $scope.request;
+    var secs = Math.max(Math.round((request.expiresOn - Date.now()) / 1000), 0);
+    $scope.remaining = Math.floor(secs / 60) + ':' + lodash.padLeft(secs % 60, 2, '0');
+    $scope.expired = posService.isExpired(request);
+    if ($scope.expired) stopCountDown();
+  };
+
+  $scope.charge = function() {
+    $scope.error = null;
+
+    posService.createRequest(client, $scope.data.amount, $scope.currency, function(err, request) {
+      if (err) return setError(err);
+
+      request.amountStr = profileService.formatAmount(request.amount) + ' ' + config.unitName;
+      $scope.request = request;
+      $scope.paid = false;
+      $scope.late = false;
+      updateRemaining();
+      countDown = $interval(updateRemaining, 1000);
+      $log.info('POS request for ' + request.fiatAmount + ' ' + request.currency + ': ' + request.amount + ' SAT to ' + request.address);
+    });
+  };
+
+  var checkPayment = function() {
+    var request = $scope.request;
+    if (!request || $scope.paid) return;
+
+    posService.getPaymentStatus(client, request, function(err, status) {
+      if (err) return $log.warn(err);
+      if (request != $scope.request || !status) return;
+
+      stopCountDown();
+      $scope.paid = true;
+      $scope.late = status == 'late';
+      $log.info('POS request ' + status + ': ' + request.address);
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+
+  // Notifications only come for the focused wallet, which is the POS one
+  var disableIncomingListener = $rootScope.$on('NewIncomingTx', function(e, n) {
+    if ($scope.request && posService.isPaymentNotification($scope.request, n)) checkPayment();
+  });
+  var disableBalanceListener = $rootScope.$on('BalanceUpdated', checkPayment);
+
+  $scope.newSale = function() {
+    stopCountDown();
+    $scope.request = null;
+    $scope.paid = false;
+    $scope.late = false;
+    $scope.expired = false;
+    $scope.error = null;
+    $scope.data.amount = null;
+  };
+
+  $scope.showExit = function() {
+    $scope.exiting = true;
+    $scope.data.pin = null;
+  };
+
+  $scope.exit = function() {
+    posService.disable($scope.data.pin, function(err) {
+      $scope.data.pin = null;
+      if (err) return setError(err);
+
+      $scope.newSale();
+      $ionicSideMenuDelegate.canDragContent(true);
+      go.walletHome();
+    });
+  };
+
+  $scope.$on('$destroy', function() {
+    stopCountDown();
+    disableIncomingListener();
+    disableBalanceListener();
+  });
+});
@@ -1,7 +1,7 @@
 'use strict';
 
 angular.module('copayApp.controllers').controller('preferencesController',
-  function($scope, $rootScope, $timeout, $log, configService, profileService, fingerprintService, walletService) {
+  function($scope, $rootScope, $timeout, $log, configService, profileService, fingerprintService, walletService, spendingLimitsService, hwWallet) {
 
     var fc;
     var config = configService.getSync();
@@ -20,8 +20,9 @@ angular.module('copayApp.controllers').controller('preferencesController',
       fc = profileService.focusedClient;
       if (fc) {
         $scope.encryptEnabled = walletService.isEncrypted(fc);
-        if (fc.isPrivKeyExternal)
-          $scope.externalSource = fc.getPrivKeyExternalSourceName() == 'ledger' ? 'Ledger' : 'Trezor';
+        var driver = hwWallet.getClientDriver(fc);
+        if (driver)
+          $scope.externalSource = driver.name;
 
         // TODO externalAccount
         //this.externalIndex = fc.getExternalIndex();
@@ -29,6 +30,7 @@ angular.module('copayApp.controllers').controller('preferencesController',
 
       $scope.touchidAvailable = fingerprintService.isAvailable();
       $scope.touchidEnabled = config.touchIdFor ? config.touchIdFor[fc.credentials.walletId] : null;
+      $scope.spendingLimitsEnabled = spendingLimitsService.isEnabled(fc.credentials.walletId);
 
       $scope.deleted = false;
       if (fc.credentials && !fc.credentials.mnemonicEncrypted && !fc.credentials.mnemonic) {
@@ -1,31 +1,72 @@
 'use strict';
 
-angular.module('copayApp.controllers').controller('preferencesFeeController', function($scope, $timeout, configService, feeService) {
+angular.module('copayApp.controllers').controller('preferencesFeeController', function($scope, $timeout, $log, lodash, configService, feeService, gettext) {
+
+  var customFeePerKb = configService.getSync().wallet.settings.customFeePerKb;
 
   $scope.loading = true;
+  $scope.customFee = {
+    satPerByte: customFeePerKb ? feeService.feePerKbToSatPerByte(customFeePerKb) : null
+  };
+
   feeService.getFeeLevels(function(levels) {
     $scope.loading = false;
     $scope.feeOpts = feeService.feeOpts;
     $scope.currentFeeLevel = feeService.getCurrentFeeLevel();
     $scope.feeLevels = levels;
+
+    if (!$scope.customFee.satPerByte) {
+      var normal = lodash.find(levels.livenet, {
+        level: 'normal'
+      });
+      $scope.customFee.satPerByte = normal ? normal.satPerByte : null;
+    }
     $scope.$apply();
   });
 
-  $scope.save = function(newFee) {
+  var saveFee = function(settings) {
     var opts = {
       wallet: {
-        settings: {
-          feeLevel: newFee.level
-        }
+        settings: settings
       }
     };
 
     configService.set(opts, function(err) {
       if (err) $log.debug(err);
-      $scope.currentFeeLevel = newFee.level;
+      $scope.currentFeeLevel = settings.feeLevel;
       $timeout(function() {
         $scope.$apply();
       }, 10);
     });
   };
+
+  $scope.save = function(newFee) {
+    saveFee({
+      feeLevel: newFee.level
+    });
+  };
+
+  $scope.selectCustom = function() {
+    $scope.currentFeeLevel = 'custom';
+  };
+
+  $scope.saveCustom = function() {
+    $scope.error = null;
+    var satPerByte = parseFloat($scope.customFee.satPerByte);
+
+    if (!(satPerByte > 0)) {
+      $scope.error = gettext('Enter a fee rate greater than zero');
+      return;
+    }
+
+    saveFee({
+      feeLevel: 'custom',
+      customFeePerKb: feeService.satPerByteToFeePerKb(satPerByte)
+    });
+  };
+
+  $scope.isBelowMinimum = function() {
+    var lowest = lodash.min(lodash.pluck($scope.feeLevels && $scope.feeLevels.livenet, 'satPerByte'));
+    return lodash.isFinite(lowest) && parseFloat($scope.customFee.satPerByte) < lowest;
+  };
 });
@@ -1,24 +1,38 @@
 'use strict';
 
 angular.module('copayApp.controllers').controller('preferencesHistory',
-  function($scope, $log, $timeout, storageService, go, profileService, lodash) {
+  function($scope, $log, $timeout, storageService, txHistoryStore, go, profileService, configService, historyExportService, historyFilterService, addressbookService, backupService, gettext, lodash) {
     var fc = profileService.focusedClient;
     var c = fc.credentials;
+    var alternativeIsoCode = configService.getSync().wallet.settings.alternativeIsoCode;
     $scope.csvReady = false;
+    $scope.exportOpts = {
+      from: null,
+      to: null,
+      includeMoved: true,
+      useHistoryFilter: false
+    };
+    $scope.exporters = historyExportService.getExporters();
+
+    // The filters of the history search can select the exported txs
+    historyFilterService.get(c.walletId, function(err, filter) {
+      if (err) return $log.warn(err);
+      $scope.historyFilter = filter;
+      $scope.hasHistoryFilter = historyFilterService.isActive(filter);
+    });
+
+    var exportTxs = [];
+    var exportRates = {};
 
     $scope.csvHistory = function(cb) {
       var allTxs = [];
 
       function getHistory(cb) {
-        storageService.getTxHistory(c.walletId, function(err, txs) {
-          if (err) return cb(err);
+        if ($scope.exportOpts.useHistoryFilter && $scope.historyFilter)
+          return historyFilterService.find(c.walletId, $scope.historyFilter, {}, cb);
 
-          var txsFromLocal = [];
-          try {
-            txsFromLocal = JSON.parse(txs);
-          } catch (ex) {
-            $log.warn(ex);
-          }
+        txHistoryStore.getAll(c.walletId, function(err, txsFromLocal) {
+          if (err) return cb(err);
 
           allTxs.push(txsFromLocal);
           return cb(null, lodash.flatten(allTxs));
@@ -26,23 +40,49 @@ angular.module('copayApp.controllers').controller('preferencesHistory',
       };
 
       $log.debug('Generating CSV from History');
+      $scope.csvReady = false;
+      $scope.ratesError = null;
+      $scope.filterError = null;
       getHistory(function(err, txs) {
         if (err || !txs) {
           $log.warn('Failed to generate CSV:', err);
+          if (lodash.isString(err)) $scope.filterError = err;
           if (cb) return cb(err);
           return;
         }
 
+        txs = historyExportService.filter(txs, $scope.exportOpts);
         $log.debug('Wallet Transaction History Length:', txs.length);
 
+        historyExportService.getFiatRates(alternativeIsoCode, txs, function(err, rates) {
+          if (err) {
+            $scope.ratesError = gettext('Could not get the exchange rates. Fiat values are left empty.');
+            rates = {};
+          }
+          buildCsv(txs, rates);
+          exportTxs = txs;
+          exportRates = rates;
+
+          $scope.csvReady = true;
+          $timeout(function() {
+            $scope.$apply();
+          }, 100);
+
+          if (cb)
+            return cb();
+          return;
+        });
+      });
+
+      function buildCsv(txs, rates) {
         $scope.satToUnit = 1 / $scope.unitToSatoshi;
         var data = txs;
         var satToBtc = 1 / 100000000;
         $scope.csvContent = [];
         $scope.csvFilename = 'Copay-' + ($scope.alias || $scope.walletName) + '.csv';
-        $scope.csvHeader = ['Date', 'Destination', 'Description', 'Amount', 'Currency', 'Txid', 'Creator', 'Copayers', 'Comment'];
+        $scope.csvHeader = ['Date', 'Destination', 'Description', 'Amount', 'Currency', 'Fiat Amount', 'Fiat Currency', 'Txid', 'Creator', 'Copayers', 'Comment'];
 
-        var _amount, _note, _copayers, _creator, _comment;
+        var _amount, _fiatAmount, _note, _copayers, _creator, _comment;
         data.forEach(function(it, index) {
           var amount = it.amount;
 
@@ -59,6 +99,9 @@ angular.module('copayApp.controllers').controller('preferencesHistory',
             _creator = (it.creatorName && it.creatorName != 'undefined') ? it.creatorName : '';
           }
           _amount = (it.action == 'sent' ? '-' : '') + (amount * satToBtc).toFixed(8);
+          _fiatAmount = historyExportService.toFiat(amount, rates[it.time]);
+          if (_fiatAmount && it.action == 'sent')
+            _fiatAmount = '-' + _fiatAmount;
           _note = it.message || '';
           _comment = it.note ? it.note.body : '';
 
@@ -71,6 +114,8 @@ angular.module('copayApp.controllers').controller('preferencesHistory',
             'Description': _note,
             'Amount': _amount,
             'Currency': 'BTC',
+            'Fiat Amount': _fiatAmount,
+            'Fiat Currency': alternativeIsoCode,
             'Txid': it.txid,
             'Creator': _creator,
             'Copayers': _copayers,
@@ -79,28 +124,22 @@ angular.module('copayApp.controllers').controller('preferencesHistory',
 
           if (it.fees && (it.action == 'moved' || it.action == 'sent')) {
             var _fee = (it.fees * satToBtc).toFixed(8)
+            var _fiatFee = historyExportService.toFiat(it.fees, rates[it.time]);
             $scope.csvContent.push({
               'Date': formatDate(it.time * 1000),
               'Destination': 'Bitcoin Network Fees',
               'Description': '',
               'Amount': '-' + _fee,
               'Currency': 'BTC',
+              'Fiat Amount': _fiatFee ? '-' + _fiatFee : '',
+              'Fiat Currency': alternativeIsoCode,
               'Txid': '',
               'Creator': '',
               'Copayers': ''
             });
           }
         });
-
-        $scope.csvReady = true;
-        $timeout(function() {
-          $scope.$apply();
-        }, 100);
-
-        if (cb)
-          return cb();
-        return;
-      });
+      };
 
       function formatDate(date) {
         var dateObj = new Date(date);
@@ -116,6 +155,26 @@ angular.module('copayApp.controllers').controller('preferencesHistory',
       };
     };
 
+    // Exports the entries of the last `csvHistory` run, valued in BTC unless every fiat rate is known
+    $scope.exportAs = function(exporter, cb) {
+      addressbookService.list(function(err, addressBook) {
+        if (err) $log.warn(err);
+
+        var useFiat = historyExportService.hasAllRates(exportTxs, exportRates);
+        var lines = historyExportService.getLines(exportTxs, useFiat ? exportRates : null, addressBook);
+        var name = (configService.getSync().aliasFor || {})[c.walletId] || c.walletName;
+
+        var content = exporter.export(lines, {
+          walletId: c.walletId,
+          walletName: name,
+          currency: useFiat ? alternativeIsoCode : 'BTC'
+        });
+        backupService.download(content, 'Copay-' + name + '.' + exporter.extension, function() {
+          if (cb) return cb();
+        });
+      });
+    };
+
     $scope.clearTransactionHistory = function() {
       storageService.removeTxHistory(c.walletId, function(err) {
         if (err) {
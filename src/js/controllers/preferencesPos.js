@@ -0,0 +1,34 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('preferencesPosController', function($scope, $state, gettext, configService, profileService, posService) {
+
+  var fc = profileService.focusedClient;
+
+  $scope.currency = configService.getSync().wallet.settings.alternativeIsoCode;
+  $scope.data = {
+    pin: null,
+    confirmPin: null
+  };
+
+  $scope.start = function() {
+    var data = $scope.data;
+    $scope.error = null;
+
+    if (!data.pin || !/^\d{4,}$/.test(data.pin)) {
+      $scope.error = gettext('The PIN must have at least 4 digits');
+      return;
+    }
+    if (data.pin != data.confirmPin) {
+      $scope.error = gettext('PINs do not match');
+      return;
+    }
+
+    posService.enable(fc.credentials.walletId, data.pin, function(err) {
+      if (err) {
+        $scope.error = err;
+        return;
+      }
+      $state.transitionTo('pos');
+    });
+  };
+});
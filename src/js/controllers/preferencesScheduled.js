@@ -0,0 +1,118 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('preferencesScheduledController', function($scope, $rootScope, $timeout, $log, lodash, bitcore, gettext, configService, profileService, schedulerService) {
+
+  var walletSettings = configService.getSync().wallet.settings;
+  var wallets = profileService.getWallets();
+
+  $scope.wallets = wallets;
+  $scope.periods = schedulerService.periods;
+  $scope.currencies = lodash.uniq(['BTC', walletSettings.alternativeIsoCode]);
+
+  var newForm = function() {
+    return {
+      walletId: wallets[0] ? wallets[0].id : null,
+      currency: 'BTC',
+      period: 'monthly',
+      firstRun: new Date(),
+      recipients: [{}]
+    };
+  };
+
+  var refresh = function() {
+    schedulerService.list(function(err, payments) {
+      if (err) $log.warn(err);
+      $scope.payments = lodash.map(payments, function(p) {
+        var wallet = lodash.find(wallets, {
+          id: p.walletId
+        });
+        p.walletName = wallet ? wallet.name : null;
+        p.total = lodash.reduce(p.recipients, function(sum, r) {
+          return sum + r.amount;
+        }, 0);
+        return p;
+      });
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+
+  $scope.init = function() {
+    $scope.form = newForm();
+    refresh();
+  };
+
+  $scope.showForm = function(show) {
+    $scope.error = null;
+    $scope.adding = show;
+    if (show) $scope.form = newForm();
+  };
+
+  $scope.addRecipient = function() {
+    $scope.form.recipients = $scope.form.recipients.concat([{}]);
+  };
+
+  $scope.removeRecipient = function(index) {
+    $scope.form.recipients = lodash.reject($scope.form.recipients, function(r, i) {
+      return i == index;
+    });
+  };
+
+  $scope.save = function() {
+    var form = $scope.form;
+    var wallet = lodash.find(wallets, {
+      id: form.walletId
+    });
+    $scope.error = null;
+
+    if (!wallet) {
+      $scope.error = gettext('Select a wallet');
+      return;
+    }
+
+    var invalid = lodash.find(form.recipients, function(r) {
+      return !bitcore.Address.isValid(r.toAddress, wallet.network) || !(parseFloat(r.amount) > 0);
+    });
+    if (invalid || lodash.isEmpty(form.recipients)) {
+      $scope.error = gettext('Every recipient needs a valid address and amount');
+      return;
+    }
+
+    schedulerService.add({
+      walletId: wallet.id,
+      name: form.name,
+      currency: form.currency,
+      period: form.period,
+      firstRun: (form.firstRun ? new Date(form.firstRun) : new Date()).getTime(),
+      recipients: lodash.map(form.recipients, function(r) {
+        return {
+          toAddress: r.toAddress,
+          amount: parseFloat(r.amount),
+          message: r.message
+        };
+      })
+    }, function(err) {
+      if (err) {
+        $scope.error = err;
+        return;
+      }
+      $scope.adding = false;
+      refresh();
+      schedulerService.checkDue();
+    });
+  };
+
+  $scope.remove = function(payment) {
+    schedulerService.remove(payment.id, function(err) {
+      if (err) $log.warn(err);
+      refresh();
+    });
+  };
+
+  var disableUpdateListener = $rootScope.$on('Local/ScheduledPaymentsUpdated', refresh);
+
+  $scope.$on('$destroy', function() {
+    disableUpdateListener();
+  });
+});
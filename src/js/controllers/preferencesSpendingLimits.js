@@ -0,0 +1,88 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('preferencesSpendingLimitsController', function($scope, $rootScope, $timeout, $log, lodash, gettext, configService, profileService, walletService, spendingLimitsService, go) {
+
+  var fc = profileService.focusedClient;
+  var walletId = fc.credentials.walletId;
+  var walletSettings = configService.getSync().wallet.settings;
+  var current = spendingLimitsService.get(walletId) || {};
+
+  $scope.periods = spendingLimitsService.periods;
+  $scope.currencies = lodash.uniq(['BTC', walletSettings.alternativeIsoCode]);
+  $scope.isEncrypted = fc.hasPrivKeyEncrypted();
+  $scope.hasPassword = !!current.passwordHash;
+  $scope.limits = {
+    currency: current.currency || 'BTC',
+    perTx: current.perTx || null,
+    daily: current.daily || null,
+    weekly: current.weekly || null,
+    action: current.action || 'block'
+  };
+
+  // Changing enabled limits needs the same password that overrides them
+  var authorize = function(cb) {
+    if (!spendingLimitsService.isEnabled(walletId)) return cb();
+
+    $rootScope.$emit('Local/NeedsPassword', false, function(err, password) {
+      if (err) return cb(err);
+
+      if ($scope.isEncrypted) {
+        err = walletService.unlock(fc, password);
+        walletService.lock(fc);
+        return cb(err ? gettext('Wrong spending password') : null);
+      }
+      if (!current.passwordHash || spendingLimitsService.hashPassword(walletId, password) != current.passwordHash)
+        return cb(gettext('Wrong spending password'));
+      return cb();
+    });
+  };
+
+  // Enabled limits always need a password to be managed, whatever the action
+  var setupPassword = function(limits, cb) {
+    var isEnabled = lodash.any(lodash.keys($scope.periods), function(p) {
+      return limits[p] > 0;
+    });
+    if (!isEnabled || $scope.isEncrypted || current.passwordHash) return cb();
+
+    $rootScope.$emit('Local/NeedsPassword', true, function(err, password) {
+      if (err) return cb(err);
+      return cb(null, spendingLimitsService.hashPassword(walletId, password));
+    });
+  };
+
+  $scope.save = function() {
+    $scope.error = null;
+
+    var limits = lodash.clone($scope.limits);
+    lodash.each(lodash.keys($scope.periods), function(p) {
+      var value = parseFloat(limits[p]);
+      limits[p] = value > 0 ? value : null;
+    });
+
+    authorize(function(err) {
+      if (err) {
+        $scope.error = err;
+        $timeout(function() {
+          $scope.$apply();
+        });
+        return;
+      }
+
+      setupPassword(limits, function(err, passwordHash) {
+        if (err) {
+          $scope.error = err;
+          $timeout(function() {
+            $scope.$apply();
+          });
+          return;
+        }
+
+        limits.passwordHash = passwordHash || current.passwordHash || null;
+        spendingLimitsService.set(walletId, limits, function(err) {
+          if (err) $log.warn(err);
+          go.preferences();
+        });
+      });
+    });
+  };
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('signMessageController', function($scope, $timeout, $log, lodash, profileService, walletService, messageService, bwcError) {
+
+  var fc = profileService.focusedClient;
+
+  $scope.isPrivKeyExternal = fc.isPrivKeyExternal();
+  $scope.data = {
+    address: null,
+    message: null
+  };
+
+  var setError = function(err) {
+    $scope.error = lodash.isString(err) ? err : bwcError.msg(err);
+    $timeout(function() {
+      $scope.$apply();
+    });
+  };
+
+  $scope.init = function() {
+    $scope.loading = true;
+    messageService.getAddresses(fc, function(err, addresses) {
+      $scope.loading = false;
+      if (err) return setError(err);
+
+      $scope.addresses = addresses;
+      $scope.data.address = addresses[0];
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+
+  $scope.sign = function() {
+    var address = $scope.data.address;
+    var message = $scope.data.message;
+    if (!address || !message) return;
+
+    $scope.error = null;
+    $scope.signature = null;
+
+    walletService.prepare(fc, function(err, password) {
+      if (err) return setError(err);
+      if (password) {
+        err = walletService.unlock(fc, password);
+        if (err) return setError(err);
+      }
+
+      messageService.signWithWallet(fc, address, message, function(err, signature) {
+        walletService.lock(fc);
+        if (err) return setError(err);
+
+        $log.info('Message signed with ' + address.address);
+        $scope.signature = signature;
+        $scope.signedAddress = address.address;
+        $timeout(function() {
+          $scope.$apply();
+        });
+      });
+    });
+  };
+
+  $scope.init();
+});
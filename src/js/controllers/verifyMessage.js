@@ -0,0 +1,32 @@
+'use strict';
+
+angular.module('copayApp.controllers').controller('verifyMessageController', function($scope, $log, lodash, messageService) {
+
+  $scope.data = {
+    address: null,
+    message: null,
+    signature: null
+  };
+
+  $scope.onQrCodeScanned = function(data) {
+    $scope.data.address = data.replace(/^bitcoin:/, '').split('?')[0];
+  };
+
+  $scope.verify = function() {
+    var data = $scope.data;
+    $scope.error = null;
+    $scope.verified = null;
+
+    try {
+      $scope.verified = messageService.verify(lodash.trim(data.address), lodash.trim(data.signature), data.message) ? 'valid' : 'invalid';
+    } catch (e) {
+      $log.warn(e);
+      $scope.error = e.message || e.toString();
+    }
+  };
+
+  $scope.reset = function() {
+    $scope.error = null;
+    $scope.verified = null;
+  };
+});
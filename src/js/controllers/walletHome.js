@@ -1,6 +1,6 @@
 'use strict';
 
-angular.module('copayApp.controllers').controller('walletHomeController', function($scope, $rootScope, $interval, $timeout, $filter, $log, $ionicModal, $ionicPopover, notification, txStatus, profileService, lodash, configService, rateService, storageService, bitcore, gettext, gettextCatalog, platformInfo, addressService, ledger, bwcError, confirmDialog, txFormatService, addressbookService, go, feeService, walletService, fingerprintService, nodeWebkit, ongoingProcess) {
+angular.module('copayApp.controllers').controller('walletHomeController', function($scope, $rootScope, $interval, $timeout, $filter, $log, $ionicModal, $ionicPopover, notification, txStatus, profileService, lodash, configService, rateService, storageService, bitcore, gettext, gettextCatalog, platformInfo, addressService, bwcError, confirmDialog, txFormatService, addressbookService, go, feeService, walletService, fingerprintService, nodeWebkit, ongoingProcess, coinControlService, spendingLimitsService, transferService, addressVerificationService) {
 
   var isCordova = platformInfo.isCordova;
   var isWP = platformInfo.isWP;
@@ -31,8 +31,22 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
   ret.sendMaxInfo = {};
   ret.showAlternative = false;
   ret.fromInputAmount = null;
+  ret.recipients = [];
+  ret.totalAmountStr = null;
+  ret.totalAlternativeStr = null;
+  ret.selectedUtxos = [];
+  ret.selectedUtxosStr = null;
+  ret.txFee = null;
+  ret.txFeeStr = null;
+  ret.feePreview = null;
+  ret.transferTo = null;
   var vanillaScope = ret;
 
+  // Approximate size (in bytes) that each extra output adds to a transaction
+  var OUTPUT_SIZE = 34;
+  var UTXOS_CACHE_TIME = 60 * 1000;
+  var utxosCache = {};
+
   var disableScannerListener = $rootScope.$on('dataScanned', function(event, data) {
     if (!data) return;
 
@@ -52,6 +66,13 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
     }, 100);
   });
 
+  var disableRecipientsListener = $rootScope.$on('Local/SetRecipients', function(event, recipients) {
+    $rootScope.$emit('Local/SetTab', 'send');
+    $timeout(function() {
+      self.setRecipients(recipients);
+    }, 100);
+  });
+
   var disableAddrListener = $rootScope.$on('Local/AddressIsUsed', function() {
     self.setAddress(true);
   });
@@ -100,6 +121,7 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
     disableAddrListener();
     disableScannerListener();
     disablePaymentUriListener();
+    disableRecipientsListener();
     disableTabListener();
     disableFocusListener();
     disableResumeListener();
@@ -198,6 +220,8 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
         if (err) {
           self.addrError = err;
         } else {
+          if (addr && addr != self.addr)
+            self.addrVerification = null;
           if (addr)
             self.addr = addr;
         }
@@ -207,6 +231,32 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
     });
   };
 
+  this.canVerifyAddress = function() {
+    var client = profileService.focusedClient;
+    return client && addressVerificationService.isSupported(client);
+  };
+
+  // Asks the hardware wallet to show the address, to compare it with ours
+  this.verifyAddress = function(addr) {
+    var client = profileService.focusedClient;
+    var device = client.getPrivKeyExternalSourceName();
+
+    self.addrError = null;
+    self.addrVerification = null;
+    ongoingProcess.set('connecting' + device, true);
+    addressVerificationService.verify(client, addr, function(err, result) {
+      ongoingProcess.set('connecting' + device, false);
+      if (err) {
+        self.addrError = lodash.isString(err) ? err : bwcError.msg(err);
+      } else if (addr == self.addr) {
+        self.addrVerification = result;
+      }
+      $timeout(function() {
+        $scope.$digest();
+      });
+    });
+  };
+
   this.copyToClipboard = function(addr, $event) {
 
     var showPopover = function() {
@@ -339,6 +389,7 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
           }
           self.alternativeAmount = $scope.__alternative;
           self.resetError();
+          self.updateTotal();
         },
         enumerable: true,
         configurable: true
@@ -383,47 +434,350 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
     self.setForm(null, amount, null);
   };
 
+  var getCurrentOutput = function() {
+    var form = $scope.sendForm;
+    if (!form || !$scope._address || !$scope._amount) return;
+
+    return {
+      'toAddress': form.address.$modelValue,
+      'amount': parseInt((form.amount.$modelValue * self.unitToSatoshi).toFixed(0)),
+      'message': form.comment.$modelValue
+    };
+  };
+
+  var formatOutput = function(output) {
+    output.amountStr = profileService.formatAmount(output.amount) + ' ' + self.unitName;
+    if (self.isRateAvailable) {
+      output.alternativeAmountStr = $filter('formatFiatAmount')(rateService.toFiat(output.amount, self.alternativeIsoCode)) + ' ' + self.alternativeIsoCode;
+    }
+    return output;
+  };
+
+  var getOutputs = function() {
+    var outputs = lodash.map(self.recipients, function(r) {
+      return lodash.pick(r, ['toAddress', 'amount', 'message']);
+    });
+    var current = getCurrentOutput();
+    if (current) outputs.push(current);
+    return outputs;
+  };
+
+  this.updateTotal = function() {
+    self.updateFeePreview();
+
+    if (lodash.isEmpty(self.recipients)) {
+      self.totalAmountStr = self.totalAlternativeStr = null;
+      return;
+    }
+
+    var current = getCurrentOutput();
+    var total = lodash.reduce(self.recipients, function(sum, r) {
+      return sum + r.amount;
+    }, current ? current.amount : 0);
+
+    self.totalAmountStr = profileService.formatAmount(total) + ' ' + self.unitName;
+    self.totalAlternativeStr = self.isRateAvailable ?
+      $filter('formatFiatAmount')(rateService.toFiat(total, self.alternativeIsoCode)) + ' ' + self.alternativeIsoCode : null;
+  };
+
+  this.addRecipient = function() {
+    var form = $scope.sendForm;
+    if (this._paypro || !lodash.isEmpty(this.sendMaxInfo)) return;
+
+    var output = getCurrentOutput();
+    if (!output || form.address.$invalid || form.amount.$invalid) {
+      this.error = gettext('Enter a valid address and amount before adding another recipient');
+      return;
+    }
+
+    if (output.message && !profileService.focusedClient.credentials.sharedEncryptingKey) {
+      this.error = gettext('Could not add message to imported wallet without shared encrypting key');
+      return;
+    }
+
+    this.recipients = this.recipients.concat([formatOutput(output)]);
+    this.clearCurrentRecipient();
+    this.updateTotal();
+  };
+
+  this.removeRecipient = function(index) {
+    if (!lodash.isEmpty(this.sendMaxInfo)) return;
+    this.recipients = lodash.reject(this.recipients, function(r, i) {
+      return i == index;
+    });
+    this.updateTotal();
+  };
+
+  this.setRecipients = function(recipients) {
+    this.resetForm();
+    this.recipients = lodash.map(recipients, formatOutput);
+    this.updateTotal();
+  };
+
+  this.openBatchImportModal = function() {
+    var fc = profileService.focusedClient;
+    $scope.color = fc.backgroundColor;
+    $scope.self = self;
+
+    $ionicModal.fromTemplateUrl('views/modals/batch-import.html', {
+      scope: $scope
+    }).then(function(modal) {
+      $scope.batchImportModal = modal;
+      $scope.batchImportModal.show();
+    });
+  };
+
+  this.openTransferModal = function(wallets) {
+    $scope.type = 'TRANSFER';
+    $scope.wallets = wallets;
+    $scope.error = null;
+
+    $ionicModal.fromTemplateUrl('views/modals/wallets.html', {
+      scope: $scope,
+      animation: 'slide-in-up'
+    }).then(function(modal) {
+      $scope.walletsModal = modal;
+      $scope.walletsModal.show();
+    });
+  };
+
+  $scope.$on('walletSelected', function(ev, walletId) {
+    $scope.walletsModal.hide();
+    self.transferToWallet(walletId);
+  });
+
+  // Prefills the send form with a new address of another of our wallets
+  this.transferToWallet = function(walletId) {
+    this.resetError();
+    ongoingProcess.set('generatingNewAddress', true);
+    transferService.getAddress(walletId, function(err, addr) {
+      ongoingProcess.set('generatingNewAddress', false);
+      if (err) {
+        self.error = bwcError.msg(err, gettextCatalog.getString('Could not create address'));
+      } else {
+        self.setTransferTo(walletId, addr);
+      }
+      $timeout(function() {
+        $scope.$apply();
+      });
+    });
+  };
+
+  this.setTransferTo = function(walletId, addr) {
+    this.setForm(addr);
+    this.transferTo = {
+      walletId: walletId,
+      walletName: lodash.find(profileService.getWallets(), {
+        id: walletId
+      }).name,
+      address: addr
+    };
+  };
+
+  this.openCoinControlModal = function() {
+    var fc = profileService.focusedClient;
+    $scope.color = fc.backgroundColor;
+    $scope.self = self;
+
+    $ionicModal.fromTemplateUrl('views/modals/coin-control.html', {
+      scope: $scope
+    }).then(function(modal) {
+      $scope.coinControlModal = modal;
+      $scope.coinControlModal.show();
+    });
+  };
+
+  this.setSelectedUtxos = function(utxos) {
+    this.selectedUtxos = utxos;
+    this.selectedUtxosStr = lodash.isEmpty(utxos) ? null :
+      profileService.formatAmount(coinControlService.sum(utxos)) + ' ' + this.unitName;
+
+    // A send max amount was computed from other coins
+    if (!lodash.isEmpty(this.sendMaxInfo)) {
+      this.sendMaxInfo = {};
+      this.clearCurrentRecipient();
+    }
+    this.updateFeePreview();
+  };
+
+  var getUtxos = function(client, cb) {
+    var walletId = client.credentials.walletId;
+    if (utxosCache.walletId == walletId && Date.now() - utxosCache.ts < UTXOS_CACHE_TIME)
+      return cb(null, utxosCache.utxos);
+
+    client.getUtxos({}, function(err, utxos) {
+      if (err) return cb(err);
+      utxosCache = {
+        walletId: walletId,
+        ts: Date.now(),
+        utxos: utxos
+      };
+      return cb(null, utxos);
+    });
+  };
+
+  // Fee rate for the next payment: the one set for this transaction or
+  // the fee policy from preferences
+  var getFeePerKb = function(cb) {
+    var txFee = self.txFee || {};
+    if (txFee.feePerKb) return cb(null, txFee.feePerKb);
+    return feeService.getFeeValue(txFee.level || feeService.getCurrentFeeLevel(), cb);
+  };
+
+  var countInputs = function(client, amount, nbOutputs, feePerKb, cb) {
+    if (!lodash.isEmpty(self.sendMaxInfo)) return cb(self.sendMaxInfo.inputs.length);
+    if (!lodash.isEmpty(self.selectedUtxos)) return cb(self.selectedUtxos.length);
+
+    getUtxos(client, function(err, utxos) {
+      if (err) {
+        $log.warn(err);
+        return cb(1);
+      }
+
+      coinControlService.getLocked(client.credentials.walletId, function(err, locked) {
+        var spendable = lodash.filter(utxos, function(u) {
+          return !u.locked && !lodash.contains(locked, coinControlService.getKey(u)) &&
+            (configWallet.spendUnconfirmed || u.confirmations > 0);
+        });
+        return cb(coinControlService.countInputs(client, spendable, amount, nbOutputs, feePerKb));
+      });
+    });
+  };
+
+  // A total fee is only kept as is when the inputs are known, otherwise it
+  // is aimed for with a fee rate from the estimated size
+  var isTotalFeeExact = function() {
+    return !lodash.isEmpty(self.sendMaxInfo) || !lodash.isEmpty(self.selectedUtxos);
+  };
+
+  var getTxFeeStr = function() {
+    var txFee = self.txFee || {};
+    if (txFee.feePerKb)
+      return feeService.feePerKbToSatPerByte(txFee.feePerKb) + ' sat/byte';
+    if (lodash.isNumber(txFee.fee))
+      return (isTotalFeeExact() ? '' : '~') + profileService.formatAmount(txFee.fee) + ' ' + self.unitName;
+    return gettextCatalog.getString(feeService.feeOpts[txFee.level || feeService.getCurrentFeeLevel()]);
+  };
+
+  /**
+   * Estimates the size and fee of the payment being entered, so they can be
+   * reviewed before the proposal is created
+   */
+  this.updateFeePreview = lodash.debounce(function() {
+    var client = profileService.focusedClient;
+    var outputs = getOutputs();
+
+    self.txFeeStr = getTxFeeStr();
+    if (!client || lodash.isEmpty(outputs) || self._paypro) {
+      self.feePreview = null;
+      return;
+    }
+
+    var amount = lodash.reduce(outputs, function(sum, o) {
+      return sum + o.amount;
+    }, 0);
+
+    getFeePerKb(function(err, feePerKb) {
+      if (err) {
+        $log.warn(err);
+        self.feePreview = null;
+        return;
+      }
+
+      countInputs(client, amount, outputs.length, feePerKb, function(nbInputs) {
+        var size = coinControlService.getEstimatedSize(client, nbInputs, outputs.length);
+        var fee;
+
+        if (!lodash.isEmpty(self.sendMaxInfo))
+          fee = self.sendMaxInfo.fee;
+        else if (self.txFee && lodash.isNumber(self.txFee.fee))
+          fee = self.txFee.fee;
+        else
+          fee = parseInt((size * feePerKb / 1000).toFixed(0));
+
+        self.feePreview = {
+          size: size,
+          fee: fee,
+          isEstimate: !!self.txFee && lodash.isNumber(self.txFee.fee) && !isTotalFeeExact(),
+          feeStr: profileService.formatAmount(fee) + ' ' + self.unitName,
+          feeAlternativeStr: self.isRateAvailable ?
+            $filter('formatFiatAmount')(rateService.toFiat(fee, self.alternativeIsoCode)) + ' ' + self.alternativeIsoCode : null,
+          satPerByte: (fee / size).toFixed(1)
+        };
+        $timeout(function() {
+          $scope.$apply();
+        });
+      });
+    });
+  }, 500);
+
+  this.openTxFeeModal = function() {
+    var fc = profileService.focusedClient;
+    $scope.color = fc.backgroundColor;
+    $scope.self = self;
+
+    $ionicModal.fromTemplateUrl('views/modals/tx-fee.html', {
+      scope: $scope
+    }).then(function(modal) {
+      $scope.txFeeModal = modal;
+      $scope.txFeeModal.show();
+    });
+  };
+
+  this.setTxFee = function(txFee) {
+    this.txFee = txFee;
+
+    // A send max amount was computed with another fee
+    if (!lodash.isEmpty(this.sendMaxInfo)) {
+      this.sendMaxInfo = {};
+      this.clearCurrentRecipient();
+    }
+    this.updateFeePreview();
+  };
+
   this.submitForm = function() {
-    if (!$scope._amount || !$scope._address) return;
     var client = profileService.focusedClient;
     var unitToSat = this.unitToSatoshi;
     var currentSpendUnconfirmed = configWallet.spendUnconfirmed;
 
-    var outputs = [];
+    var current = getCurrentOutput();
+    if (!current && lodash.isEmpty(this.recipients)) return;
+    if (!current && ($scope._address || $scope._amount)) {
+      this.error = gettext('Enter both an address and an amount for the last recipient');
+      return;
+    }
+
+    var outputs = getOutputs();
 
     this.resetError();
 
     if (isCordova && this.isWindowsPhoneApp)
       $rootScope.shouldHideMenuBar = true;
 
-    var form = $scope.sendForm;
-    var comment = form.comment.$modelValue;
-
     // ToDo: use a credential's (or fc's) function for this
-    if (comment && !client.credentials.sharedEncryptingKey) {
+    if (lodash.any(outputs, 'message') && !client.credentials.sharedEncryptingKey) {
       var msg = 'Could not add message to imported wallet without shared encrypting key';
       $log.warn(msg);
       return self.setSendError(gettext(msg));
     }
 
-    if (form.amount.$modelValue * unitToSat > Number.MAX_SAFE_INTEGER) {
+    var totalAmount = lodash.reduce(outputs, function(sum, o) {
+      return sum + o.amount;
+    }, 0);
+
+    if (totalAmount > Number.MAX_SAFE_INTEGER) {
       var msg = 'Amount too big';
       $log.warn(msg);
       return self.setSendError(gettext(msg));
     };
 
+    if (lodash.isEmpty(this.sendMaxInfo) && !lodash.isEmpty(this.selectedUtxos) &&
+      coinControlService.sum(this.selectedUtxos) < totalAmount) {
+      return self.setSendError(gettext('The selected coins do not cover the amount'));
+    }
+
     $timeout(function() {
       var paypro = self._paypro;
-      var address, amount;
-
-      address = form.address.$modelValue;
-      amount = parseInt((form.amount.$modelValue * unitToSat).toFixed(0));
-
-      outputs.push({
-        'toAddress': address,
-        'amount': amount,
-        'message': comment
-      });
 
       var txp = {};
 
@@ -432,44 +786,70 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
         txp.inputs = self.sendMaxInfo.inputs;
         txp.fee = self.sendMaxInfo.fee;
       } else {
-        txp.amount = amount;
+        txp.amount = totalAmount;
+        if (!lodash.isEmpty(self.selectedUtxos)) {
+          txp.inputs = lodash.map(self.selectedUtxos, function(u) {
+            return lodash.omit(u, 'key');
+          });
+        }
+        if (self.txFee && self.txFee.feePerKb) {
+          txp.feePerKb = self.txFee.feePerKb;
+        } else if (self.txFee && lodash.isNumber(self.txFee.fee)) {
+          if (txp.inputs) {
+            txp.fee = self.txFee.fee;
+          } else {
+            // The fee is only fixed once inputs are known: aim for it with a rate
+            var size = self.feePreview ? self.feePreview.size : coinControlService.getEstimatedSize(client, 1, outputs.length);
+            txp.feePerKb = Math.ceil(self.txFee.fee * 1000 / size);
+          }
+        }
       }
 
-      txp.toAddress = address;
+      if (outputs.length == 1) {
+        txp.toAddress = outputs[0].toAddress;
+        // From the form or from the recipients list
+        txp.message = outputs[0].message;
+      }
       txp.outputs = outputs;
-      txp.message = comment;
       txp.payProUrl = paypro ? paypro.url : null;
       txp.excludeUnconfirmedUtxos = configWallet.spendUnconfirmed ? false : true;
-      txp.feeLevel = walletSettings.feeLevel || 'normal';
+      txp.feeLevel = self.txFee ? (self.txFee.level || 'custom') : (walletSettings.feeLevel || 'normal');
 
       ongoingProcess.set('creatingTx', true);
-      walletService.createTx(client, txp, function(err, createdTxp) {
-        ongoingProcess.set('creatingTx', false);
-        if (err) {
-          return self.setSendError(err);
-        }
+      coinControlService.getLocked(client.credentials.walletId, function(err, locked) {
+        if (err) $log.warn(err);
+        if (!txp.inputs && !lodash.isEmpty(locked))
+          txp.utxosToExclude = locked;
 
-        if (!client.canSign() && !client.isPrivKeyExternal()) {
-          $log.info('No signing proposal: No private key');
-          ongoingProcess.set('sendingTx', true);
-          walletService.publishTx(client, createdTxp, function(err, publishedTxp) {
-            ongoingProcess.set('sendingTx', false);
-            if (err) {
-              return self.setSendError(err);
-            }
-            self.resetForm();
-            go.walletHome();
-            var type = txStatus.notify(createdTxp);
-            $scope.openStatusModal(type, createdTxp, function() {
-              return $scope.$emit('Local/TxProposalAction');
+        walletService.createTx(client, txp, function(err, createdTxp) {
+          ongoingProcess.set('creatingTx', false);
+          if (err) {
+            return self.setSendError(err);
+          }
+
+          if (!client.canSign() && !client.isPrivKeyExternal()) {
+            $log.info('No signing proposal: No private key');
+            ongoingProcess.set('sendingTx', true);
+            walletService.publishTx(client, createdTxp, function(err, publishedTxp) {
+              ongoingProcess.set('sendingTx', false);
+              if (err) {
+                return self.setSendError(err);
+              }
+              self.resetForm();
+              go.walletHome();
+              var type = txStatus.notify(createdTxp);
+              $scope.openStatusModal(type, createdTxp, function() {
+                return $scope.$emit('Local/TxProposalAction');
+              });
             });
-          });
-        } else {
-          $rootScope.$emit('Local/NeedsConfirmation', createdTxp, function(accept) {
-            if (accept) self.confirmTx(createdTxp);
-            else self.resetForm();
-          });
-        }
+          } else {
+            createdTxp.feeLevel = txp.feeLevel;
+            $rootScope.$emit('Local/NeedsConfirmation', createdTxp, function(accept) {
+              if (accept) self.confirmTx(createdTxp);
+              else self.resetForm();
+            });
+          }
+        });
       });
 
     }, 100);
@@ -478,58 +858,73 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
   this.confirmTx = function(txp) {
     var client = profileService.focusedClient;
     var self = this;
+    var transferTo = self.transferTo;
+    var isTransfer = transferTo && (txp.toAddress == transferTo.address || lodash.any(txp.outputs, {
+      toAddress: transferTo.address
+    }));
 
-    fingerprintService.check(client, function(err) {
+    spendingLimitsService.verify(client, txp, function(err) {
       if (err) {
         return self.setSendError(err);
       }
 
-      handleEncryptedWallet(client, function(err) {
+      fingerprintService.check(client, function(err) {
         if (err) {
           return self.setSendError(err);
         }
 
-        ongoingProcess.set('sendingTx', true);
-        walletService.publishTx(client, txp, function(err, publishedTxp) {
-          ongoingProcess.set('sendingTx', false);
+        handleEncryptedWallet(client, function(err) {
           if (err) {
             return self.setSendError(err);
           }
 
-          ongoingProcess.set('signingTx', true);
-          walletService.signTx(client, publishedTxp, function(err, signedTxp) {
-            ongoingProcess.set('signingTx', false);
-            walletService.lock(client);
+          ongoingProcess.set('sendingTx', true);
+          walletService.publishTx(client, txp, function(err, publishedTxp) {
+            ongoingProcess.set('sendingTx', false);
             if (err) {
-              $scope.$emit('Local/TxProposalAction');
-              return self.setSendError(
-                err.message ?
-                err.message :
-                gettext('The payment was created but could not be completed. Please try again from home screen'));
+              return self.setSendError(err);
             }
 
-            if (signedTxp.status == 'accepted') {
-              ongoingProcess.set('broadcastingTx', true);
-              walletService.broadcastTx(client, signedTxp, function(err, broadcastedTxp) {
-                ongoingProcess.set('broadcastingTx', false);
-                if (err) {
-                  return self.setSendError(err);
-                }
+            if (isTransfer)
+              transferService.record(publishedTxp, client.credentials.walletId, transferTo.walletId);
+
+            ongoingProcess.set('signingTx', true);
+            walletService.signTx(client, publishedTxp, function(err, signedTxp) {
+              ongoingProcess.set('signingTx', false);
+              walletService.lock(client);
+              if (err) {
+                $scope.$emit('Local/TxProposalAction');
+                return self.setSendError(
+                  err.message ?
+                  err.message :
+                  gettext('The payment was created but could not be completed. Please try again from home screen'));
+              }
+
+              if (signedTxp.status == 'accepted') {
+                ongoingProcess.set('broadcastingTx', true);
+                walletService.broadcastTx(client, signedTxp, function(err, broadcastedTxp) {
+                  ongoingProcess.set('broadcastingTx', false);
+                  if (err) {
+                    return self.setSendError(err);
+                  }
+                  if (isTransfer)
+                    transferService.setTxid(broadcastedTxp.id, broadcastedTxp.txid);
+                  self.resetForm();
+                  go.walletHome();
+                  var type = txStatus.notify(broadcastedTxp);
+                  $scope.openStatusModal(type, broadcastedTxp, function() {
+                    $scope.$emit('Local/TxProposalAction', broadcastedTxp.status == 'broadcasted');
+                  });
+                });
+              } else {
                 self.resetForm();
                 go.walletHome();
-                var type = txStatus.notify(broadcastedTxp);
-                $scope.openStatusModal(type, broadcastedTxp, function() {
-                  $scope.$emit('Local/TxProposalAction', broadcastedTxp.status == 'broadcasted');
+                var type = txStatus.notify(signedTxp);
+                $scope.openStatusModal(type, signedTxp, function() {
+                  $scope.$emit('Local/TxProposalAction');
                 });
-              });
-            } else {
-              self.resetForm();
-              go.walletHome();
-              var type = txStatus.notify(signedTxp);
-              $scope.openStatusModal(type, signedTxp, function() {
-                $scope.$emit('Local/TxProposalAction');
-              });
-            }
+              }
+            });
           });
         });
       });
@@ -580,6 +975,19 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
     });
   };
 
+  $scope.openPaymentRequestsModal = function() {
+    var fc = profileService.focusedClient;
+    $scope.color = fc.backgroundColor;
+    $scope.self = self;
+
+    $ionicModal.fromTemplateUrl('views/modals/payment-requests.html', {
+      scope: $scope
+    }).then(function(modal) {
+      $scope.paymentRequestsModal = modal;
+      $scope.paymentRequestsModal.show();
+    });
+  };
+
   $scope.openAmountModal = function(addr) {
     if (isCordova)
       $scope.openInputAmountModal(addr);
@@ -637,7 +1045,18 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
     this.sendMaxInfo = {};
     if (this.countDown) $interval.cancel(this.countDown);
     this._paypro = null;
+    this.recipients = [];
+    this.totalAmountStr = this.totalAlternativeStr = null;
+    this.selectedUtxos = [];
+    this.selectedUtxosStr = null;
+    this.txFee = null;
+    this.feePreview = null;
+    this.transferTo = null;
+
+    this.clearCurrentRecipient();
+  };
 
+  this.clearCurrentRecipient = function() {
     this.lockAddress = false;
     this.lockAmount = false;
 
@@ -688,6 +1107,11 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
       return cb(true);
     }
 
+    if (!lodash.isEmpty(this.recipients)) {
+      this.error = gettext('Payment Protocol requests cannot be combined with other recipients');
+      return cb(true);
+    }
+
     var satToUnit = 1 / this.unitToSatoshi;
     var self = this;
     /// Get information of payment if using Payment Protocol
@@ -866,6 +1290,40 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
     return actions.hasOwnProperty('create');
   };
 
+  // Like client.getSendMaxInfo, but only spending the coins picked (or not
+  // locked) in coin control
+  var getSendMaxInfo = function(client, opts, cb) {
+    var picked = self.selectedUtxos;
+    if (!lodash.isEmpty(picked)) {
+      var fee = coinControlService.getEstimatedFee(client, picked.length, 1, opts.feePerKb);
+      return cb(null, {
+        inputs: lodash.map(picked, function(u) {
+          return lodash.omit(u, 'key');
+        }),
+        fee: fee,
+        amount: Math.max(coinControlService.sum(picked) - fee, 0)
+      });
+    }
+
+    client.getSendMaxInfo(opts, function(err, resp) {
+      if (err) return cb(err);
+
+      coinControlService.getLocked(client.credentials.walletId, function(err, locked) {
+        if (err) $log.warn(err);
+
+        var inputs = lodash.reject(resp.inputs, function(i) {
+          return lodash.contains(locked, coinControlService.getKey(i));
+        });
+        if (inputs.length == resp.inputs.length) return cb(null, resp);
+
+        resp.inputs = inputs;
+        resp.fee = inputs.length ? coinControlService.getEstimatedFee(client, inputs.length, 1, opts.feePerKb) : 0;
+        resp.amount = Math.max(coinControlService.sum(inputs) - resp.fee, 0);
+        return cb(null, resp);
+      });
+    });
+  };
+
   this.sendMax = function(availableBalanceSat) {
     if (availableBalanceSat == 0) {
       this.error = gettext("Cannot create transaction. Insufficient funds");
@@ -879,7 +1337,7 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
 
     $timeout(function() {
 
-      feeService.getCurrentFeeValue(function(err, feePerKb) {
+      getFeePerKb(function(err, feePerKb) {
         ongoingProcess.set('calculatingFee', false);
         if (err || !lodash.isNumber(feePerKb)) {
           self.error = gettext('Could not get fee value');
@@ -893,7 +1351,7 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
         opts.excludeUnconfirmedUtxos = !config.wallet.spendUnconfirmed;
         ongoingProcess.set('retrivingInputs', true);
 
-        fc.getSendMaxInfo(opts, function(err, resp) {
+        getSendMaxInfo(fc, opts, function(err, resp) {
           ongoingProcess.set('retrivingInputs', false);
 
           if (err) {
@@ -902,12 +1360,35 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
             return;
           }
 
-          if (resp.amount == 0) {
+          var totalFee = self.txFee && lodash.isNumber(self.txFee.fee);
+          if (totalFee && resp.amount > 0) {
+            resp.amount += resp.fee - self.txFee.fee;
+            resp.fee = self.txFee.fee;
+          }
+
+          if (resp.amount <= 0) {
             self.error = gettext("Not enough funds for fee");
             $scope.$apply();
             return;
           }
 
+          // Other recipients are paid first, the one being edited gets the rest
+          if (!lodash.isEmpty(self.recipients)) {
+            var othersAmount = lodash.reduce(self.recipients, function(sum, r) {
+              return sum + r.amount;
+            }, 0);
+            var extraFee = totalFee ? 0 : Math.ceil(self.recipients.length * OUTPUT_SIZE * feePerKb / 1000);
+
+            resp.fee += extraFee;
+            resp.amount -= othersAmount + extraFee;
+
+            if (resp.amount <= 0) {
+              self.error = gettext("Not enough funds for the other recipients and fee");
+              $scope.$apply();
+              return;
+            }
+          }
+
           var msg = gettextCatalog.getString("{{fee}} will be deducted for bitcoin networking fees", {
             fee: profileService.formatAmount(resp.fee) + ' ' + self.unitName
           });
@@ -922,8 +1403,10 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
               self.sendMaxInfo = resp;
               var amount = parseFloat((resp.amount * self.satToUnit).toFixed(self.unitDecimals));
               self.setForm(null, amount, null);
-            } else {
+            } else if (lodash.isEmpty(self.recipients)) {
               self.resetForm();
+            } else {
+              self.clearCurrentRecipient();
             }
           });
 
@@ -939,6 +1422,8 @@ angular.module('copayApp.controllers').controller('walletHomeController', functi
                 amountAboveMaxSizeStr: profileService.formatAmount(resp.amountAboveMaxSize) + ' ' + self.unitName
               }));
             }
+            if (!lodash.isEmpty(warningMsg))
+              warningMsg.push(gettextCatalog.getString("Small coins can be merged from Advanced preferences > Consolidate coins"));
             return warningMsg.join('\n');
           }
         });
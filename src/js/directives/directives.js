@@ -50,6 +50,12 @@ angular.module('copayApp.directives')
               return;
             }
 
+            // Empty values are handled by `required`
+            if (value === '') {
+              ctrl.$setValidity('validAddress', true);
+              return value;
+            }
+
             // Regular Address
             ctrl.$setValidity('validAddress', Address.isValid(value, networkName));
             return value;
@@ -93,6 +99,14 @@ angular.module('copayApp.directives')
         link: function(scope, element, attrs, ctrl) {
           var val = function(value) {
             var settings = configService.getSync().wallet.settings;
+
+            // Empty values are handled by `required`
+            if (value === '' || value === null) {
+              ctrl.$pristine = true;
+              ctrl.$setValidity('validAmount', true);
+              return value;
+            }
+
             var vNum = Number((value * settings.unitToSatoshi).toFixed(0));
             if (typeof value == 'undefined' || value == 0) {
               ctrl.$pristine = true;
@@ -208,6 +208,57 @@ angular.module('copayApp').config(function(historicLogProvider, $provide, $logPr
           },
         }
       })
+      .state('preferencesSpendingLimits', {
+        url: '/preferencesSpendingLimits',
+        templateUrl: 'views/preferencesSpendingLimits.html',
+        walletShouldBeComplete: true,
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/preferencesSpendingLimits.html'
+          },
+        }
+      })
+      .state('preferencesScheduled', {
+        url: '/preferencesScheduled',
+        templateUrl: 'views/preferencesScheduled.html',
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/preferencesScheduled.html'
+          },
+        }
+      })
+      .state('capitalGains', {
+        url: '/capitalGains',
+        templateUrl: 'views/capitalGains.html',
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/capitalGains.html'
+          },
+        }
+      })
+      .state('airGappedSign', {
+        url: '/airGappedSign',
+        templateUrl: 'views/airGappedSign.html',
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/airGappedSign.html'
+          },
+        }
+      })
+      .state('verifyMessage', {
+        url: '/verifyMessage',
+        templateUrl: 'views/verifyMessage.html',
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/verifyMessage.html'
+          },
+        }
+      })
       .state('uriglidera', {
         url: '/uri-glidera/:url',
         needProfile: true,
@@ -514,6 +565,72 @@ angular.module('copayApp').config(function(historicLogProvider, $provide, $logPr
           },
         }
       })
+      .state('paperWalletGenerator', {
+        url: '/paperWalletGenerator',
+        templateUrl: 'views/paperWalletGenerator.html',
+        walletShouldBeComplete: true,
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/paperWalletGenerator.html'
+          },
+        }
+      })
+      .state('signMessage', {
+        url: '/signMessage',
+        templateUrl: 'views/signMessage.html',
+        walletShouldBeComplete: true,
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/signMessage.html'
+          },
+        }
+      })
+      .state('preferencesPos', {
+        url: '/preferencesPos',
+        templateUrl: 'views/preferencesPos.html',
+        walletShouldBeComplete: true,
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/preferencesPos.html'
+          },
+        }
+      })
+      .state('pos', {
+        url: '/pos',
+        templateUrl: 'views/pos.html',
+        walletShouldBeComplete: true,
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/pos.html'
+          },
+        }
+      })
+      .state('addresses', {
+        url: '/addresses',
+        templateUrl: 'views/addresses.html',
+        walletShouldBeComplete: true,
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/addresses.html'
+          },
+        }
+      })
+      .state('consolidate', {
+        url: '/consolidate',
+        templateUrl: 'views/consolidate.html',
+        walletShouldBeComplete: true,
+        needProfile: true,
+        views: {
+          'main': {
+            templateUrl: 'views/consolidate.html'
+          },
+        }
+      })
       .state('backup', {
         url: '/backup',
         templateUrl: 'views/backup.html',
@@ -558,7 +675,7 @@ angular.module('copayApp').config(function(historicLogProvider, $provide, $logPr
         }
       });
   })
-  .run(function($rootScope, $state, $location, $log, $timeout, $ionicPlatform, lodash, platformInfo, profileService, uxLanguage, go, gettextCatalog) {
+  .run(function($rootScope, $state, $location, $log, $timeout, $ionicPlatform, lodash, platformInfo, profileService, uxLanguage, go, gettextCatalog, posService) {
 
     if (platformInfo.isCordova) {
       if (screen.width < 768) {
@@ -706,6 +823,12 @@ angular.module('copayApp').config(function(historicLogProvider, $provide, $logPr
 
           $state.transitionTo('copayers');
         }
+
+        // Only the register is reachable in point of sale mode
+        if (toState.needProfile && toState.name != 'pos' && posService.isEnabled()) {
+          event.preventDefault();
+          $state.transitionTo('pos');
+        }
       }
     });
   });
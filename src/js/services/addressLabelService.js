@@ -0,0 +1,105 @@
+'use strict';
+
+angular.module('copayApp.services').factory('addressLabelService', function($rootScope, lodash, storageService) {
+  var root = {};
+
+  // Labels of the addresses of a wallet, by address
+  root.getLabels = function(walletId, cb) {
+    storageService.getAddressLabels(walletId, function(err, labels) {
+      if (err) return cb(err);
+      return cb(null, labels ? JSON.parse(labels) : {});
+    });
+  };
+
+  // An empty `label` removes the label of `address`
+  root.setLabel = function(walletId, address, label, cb) {
+    root.getLabels(walletId, function(err, labels) {
+      if (err) return cb(err);
+
+      label = lodash.trim(label);
+      if (label) labels[address] = label;
+      else delete labels[address];
+
+      storageService.setAddressLabels(walletId, JSON.stringify(labels), function(err) {
+        if (err) return cb(err);
+        $rootScope.$emit('Local/AddressLabelsUpdated', walletId, labels);
+        return cb(null, labels);
+      });
+    });
+  };
+
+  root.isChange = function(path) {
+    return (path || '').split('/')[1] == '1';
+  };
+
+  // Addresses of the wallet involved in a history entry
+  root.getTxAddresses = function(tx) {
+    var addresses = lodash.map(tx.outputs, function(o) {
+      return o.address || o.toAddress;
+    });
+    if (tx.addressTo) addresses.push(tx.addressTo);
+    return lodash.uniq(lodash.compact(addresses));
+  };
+
+  /**
+   * Labels of the history entries `txs`, by txid. An entry gets the labels
+   * of all the labeled addresses it pays to.
+   */
+  root.getTxLabels = function(txs, labels) {
+    var ret = {};
+    lodash.each(txs, function(tx) {
+      var txLabels = lodash.compact(lodash.map(root.getTxAddresses(tx), function(address) {
+        return labels[address];
+      }));
+      if (txLabels.length) ret[tx.txid] = txLabels.join(', ');
+    });
+    return ret;
+  };
+
+  var pathIndexes = function(path) {
+    return lodash.map(lodash.rest((path || '').split('/')), function(i) {
+      return parseInt(i);
+    });
+  };
+
+  /**
+   * Every known address of the wallet: the main addresses from the server
+   * and the change addresses holding funds in `byAddress`. Each one has its
+   * balance, the number of entries of the history `txs` paying to it and
+   * its label.
+   */
+  root.list = function(client, byAddress, txs, labels, cb) {
+    client.getMainAddresses({}, function(err, addresses) {
+      if (err) return cb(err);
+
+      var all = lodash.uniq(lodash.map(addresses, function(a) {
+        return lodash.pick(a, 'address', 'path');
+      }).concat(lodash.map(byAddress, function(a) {
+        return lodash.pick(a, 'address', 'path');
+      })), 'address');
+
+      var txCounts = lodash.countBy(lodash.flatten(lodash.map(txs, root.getTxAddresses)));
+
+      var ret = lodash.map(all, function(a) {
+        return {
+          address: a.address,
+          path: a.path,
+          isChange: root.isChange(a.path),
+          balance: lodash.sum(lodash.filter(byAddress, {
+            address: a.address
+          }), 'amount'),
+          txCount: txCounts[a.address] || 0,
+          label: labels[a.address] || null
+        };
+      });
+
+      return cb(null, ret.sort(function(a, b) {
+        var ia = pathIndexes(a.path);
+        var ib = pathIndexes(b.path);
+        return (ia[0] - ib[0]) || (ia[1] - ib[1]);
+      }));
+    });
+  };
+
+  return root;
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+angular.module('copayApp.services').factory('addressVerificationService', function($log, lodash, gettext, bwcService, storageService, hwWallet) {
+  var root = {};
+
+  // Only single key addresses are shown by the devices, the P2SH address of
+  // a multisig wallet can not be checked against its screen
+  root.isSupported = function(client) {
+    var driver = hwWallet.getClientDriver(client);
+    return !!driver && driver.capabilities.showAddress && client.credentials.addressType == 'P2PKH';
+  };
+
+  // Verification results of a wallet, by address
+  root.list = function(walletId, cb) {
+    storageService.getAddressVerifications(walletId, function(err, verifications) {
+      if (err) return cb(err);
+      return cb(null, verifications ? JSON.parse(verifications) : {});
+    });
+  };
+
+  var record = function(walletId, address, result, cb) {
+    root.list(walletId, function(err, verifications) {
+      if (err) return cb(err);
+
+      verifications[address] = result;
+      storageService.setAddressVerifications(walletId, JSON.stringify(verifications), cb);
+    });
+  };
+
+  var getPath = function(client, address, cb) {
+    client.getMainAddresses({}, function(err, addresses) {
+      if (err) return cb(err);
+
+      var found = lodash.find(addresses, {
+        address: address
+      });
+      if (!found) return cb(gettext('This address does not belong to the wallet'));
+      return cb(null, found.path);
+    });
+  };
+
+  /**
+   * Checks the wallet address `address`, as reported by the server, against
+   * the hardware wallet, which derives and shows the address at its path.
+   * The address matches when the device shows that same address and it is
+   * the one rebuilt from the wallet key, so a substituted address is
+   * detected. Single signature (P2PKH) wallets only. The result is recorded.
+   */
+  root.verify = function(client, address, cb) {
+    var c = client.credentials;
+    if (c.addressType != 'P2PKH')
+      return cb(gettext('Only the addresses of single signature wallets can be verified on the device'));
+    if (!root.isSupported(client))
+      return cb(gettext('This hardware wallet can not show addresses'));
+
+    getPath(client, address, function(err, path) {
+      if (err) return cb(err);
+
+      var expected;
+      try {
+        expected = bwcService.getUtils().deriveAddress(c.addressType, c.publicKeyRing, path, c.m, c.network);
+      } catch (e) {
+        $log.warn('Could not derive address:', e);
+        return cb(e);
+      }
+
+      hwWallet.getClientDriver(client).showAddress(client, path, function(err, deviceAddress) {
+        if (err) return cb(err);
+
+        var result = {
+          path: path,
+          deviceAddress: deviceAddress,
+          matched: expected.address == address && deviceAddress == address,
+          verifiedOn: Date.now()
+        };
+        $log.info('Address ' + address + ' verified on device: ' + (result.matched ? 'match' : 'MISMATCH'));
+
+        record(c.walletId, address, result, function(err) {
+          if (err) $log.warn(err);
+          return cb(null, result);
+        });
+      });
+    });
+  };
+
+  return root;
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+angular.module('copayApp.services').factory('airGappedService', function($log, lodash, gettext, bwcService, profileService, walletService) {
+  var root = {};
+
+  var TXP_TYPE = 'copay-airgapped-txp';
+  var SIGNATURES_TYPE = 'copay-airgapped-signatures';
+  var QR_PREFIX = 'CPAG';
+  var QR_PART_SIZE = 400;
+
+  var stripTxp = function(txp) {
+    var ret = lodash.omit(txp, function(v, k) {
+      return /Str$/.test(k) || lodash.contains(['actions', 'creatorName', 'note', 'message', 'encryptedMessage', 'hasUnconfirmedInputs', 'pendingForUs', 'statusForUs', 'alternativeAmount', 'alternativeIsoCode'], k);
+    });
+    ret.message = txp.encryptedMessage || null;
+    ret.outputs = lodash.map(txp.outputs, function(o) {
+      var output = lodash.omit(o, function(v, k) {
+        return /Str$/.test(k) || lodash.contains(['message', 'encryptedMessage'], k);
+      });
+      output.message = o.encryptedMessage || null;
+      return output;
+    });
+    return ret;
+  };
+
+  /**
+   * Packs a pending proposal with everything an offline copayer needs to
+   * verify and sign it
+   */
+  root.exportTxp = function(client, txp) {
+    var c = client.credentials;
+    return JSON.stringify({
+      type: TXP_TYPE,
+      version: 1,
+      walletId: c.walletId,
+      network: c.network,
+      m: c.m,
+      n: c.n,
+      xPubKey: c.xPubKey,
+      publicKeyRing: c.publicKeyRing,
+      txp: stripTxp(txp)
+    });
+  };
+
+  root.exportSignatures = function(pkg, xPubKey, signatures) {
+    return JSON.stringify({
+      type: SIGNATURES_TYPE,
+      version: 1,
+      walletId: pkg.walletId,
+      txpId: pkg.txp.id,
+      xPubKey: xPubKey,
+      signatures: signatures
+    });
+  };
+
+  root.parse = function(text, type) {
+    var pkg;
+    try {
+      pkg = JSON.parse(text);
+    } catch (e) {
+      $log.warn(e);
+    }
+    if (!pkg || (type == 'txp' ? pkg.type != TXP_TYPE : pkg.type != SIGNATURES_TYPE))
+      throw new Error(gettext('Invalid file or QR code'));
+    return pkg;
+  };
+
+  root.split = function(text) {
+    var total = Math.ceil(text.length / QR_PART_SIZE);
+    return lodash.map(lodash.range(total), function(i) {
+      return QR_PREFIX + ':' + (i + 1) + '/' + total + ':' + text.substr(i * QR_PART_SIZE, QR_PART_SIZE);
+    });
+  };
+
+  /**
+   * Adds a scanned QR part to `parts` (index -> chunk). Returns the joined
+   * text once every part was scanned.
+   */
+  root.addPart = function(parts, data) {
+    var match = (data || '').match(/^CPAG:(\d+)\/(\d+):([\s\S]*)$/);
+    if (!match) throw new Error(gettext('Invalid file or QR code'));
+
+    var total = parseInt(match[2]);
+    if (parts.total && parts.total != total) {
+      lodash.each(lodash.keys(parts), function(k) {
+        delete parts[k];
+      });
+    }
+    parts.total = total;
+    parts[match[1]] = match[3];
+    parts.count = lodash.filter(lodash.keys(parts), function(k) {
+      return /^\d+$/.test(k);
+    }).length;
+
+    if (parts.count < total) return null;
+    return lodash.map(lodash.range(1, total + 1), function(i) {
+      return parts[i];
+    }).join('');
+  };
+
+  // Wallet of this profile holding the key of the copayer who exported
+  // the package: signatures are sent to the server on its behalf
+  root.findSigner = function(pkg) {
+    return lodash.find(profileService.walletClients, function(client) {
+      return client.canSign() && client.credentials.xPubKey == pkg.xPubKey;
+    });
+  };
+
+  root.describe = function(client, pkg) {
+    var Utils = bwcService.getUtils();
+    var key = client.credentials.sharedEncryptingKey;
+    var decrypt = function(msg) {
+      if (!msg || !key) return null;
+      try {
+        return Utils.decryptMessage(msg, key);
+      } catch (e) {
+        return null;
+      }
+    };
+
+    return {
+      message: decrypt(pkg.txp.message),
+      fee: pkg.txp.fee,
+      amount: pkg.txp.amount,
+      outputs: lodash.map(pkg.txp.outputs, function(o) {
+        return {
+          toAddress: o.toAddress,
+          amount: o.amount,
+          message: decrypt(o.message)
+        };
+      })
+    };
+  };
+
+  /**
+   * Signs the proposal of the package with the (unlocked) key of `client`.
+   * The proposal signature is verified against the public key ring first.
+   */
+  root.sign = function(client, pkg) {
+    var c = client.credentials;
+    if (!c.xPrivKey) throw new Error(gettext('Private Key is encrypted, cannot sign'));
+
+    return bwcService.Client.signTxProposalFromAirGapped(c.xPrivKey, pkg.txp, JSON.stringify(pkg.publicKeyRing), pkg.m, pkg.n, {
+      account: c.account,
+      derivationStrategy: c.derivationStrategy
+    });
+  };
+
+  /**
+   * Sends signatures made offline to the wallet service, broadcasting the
+   * proposal if no other signatures are needed
+   */
+  root.applySignatures = function(client, sigs, cb) {
+    if (sigs.walletId != client.credentials.walletId || sigs.xPubKey != client.credentials.xPubKey)
+      return cb(gettext('These signatures belong to another wallet'));
+
+    client.getTxProposals({}, function(err, txps) {
+      if (err) return cb(err);
+
+      var txp = lodash.find(txps, {
+        id: sigs.txpId
+      });
+      if (!txp) return cb(gettext('The payment proposal was not found. It may have been removed or completed'));
+
+      txp.signatures = sigs.signatures;
+      walletService.signAndBroadcast(client, txp, null, cb);
+    });
+  };
+
+  return root;
+});
@@ -73,6 +73,10 @@ angular.module('copayApp.services')
       };
     };
 
+    root.download = function(data, filename, cb) {
+      _download(data, filename, cb);
+    };
+
     root.walletDownload = function(password, opts, cb) {
       var fc = profileService.focusedClient;
       var ew = root.walletExport(password, opts);
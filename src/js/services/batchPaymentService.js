@@ -0,0 +1,169 @@
+'use strict';
+
+angular.module('copayApp.services').factory('batchPaymentService', function($log, lodash, bitcore, rateService, configService, gettext) {
+  var root = {};
+
+  var UNITS = {
+    btc: 1e8,
+    mbtc: 1e5,
+    bit: 100,
+    bits: 100,
+    sat: 1,
+    sats: 1,
+    satoshi: 1,
+    satoshis: 1,
+  };
+
+  var splitCsvLine = function(line) {
+    var fields = [];
+    var field = '';
+    var quoted = false;
+
+    for (var i = 0; i < line.length; i++) {
+      var c = line[i];
+      if (quoted) {
+        if (c == '"' && line[i + 1] == '"') {
+          field += '"';
+          i++;
+        } else if (c == '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c == '"') {
+        quoted = true;
+      } else if (c == ',' || c == ';' || c == '\t') {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += c;
+      }
+    }
+    fields.push(field.trim());
+    return fields;
+  };
+
+  var toSatoshis = function(amount, unit) {
+    var config = configService.getSync().wallet.settings;
+    var value = parseFloat(amount);
+
+    if (!/^\d+(\.\d+)?$/.test(amount) || !(value > 0))
+      return {
+        error: gettext('Invalid amount')
+      };
+
+    unit = (unit || config.unitCode).toLowerCase();
+
+    if (UNITS[unit])
+      return {
+        amount: parseInt((value * UNITS[unit]).toFixed(0))
+      };
+
+    var isoCode = unit.toUpperCase();
+    if (!rateService.isAvailable())
+      return {
+        error: gettext('Exchange rates are not available')
+      };
+    if (!rateService.getRate(isoCode))
+      return {
+        error: gettext('Unsupported unit or currency')
+      };
+
+    return {
+      amount: parseInt(rateService.fromFiat(value, isoCode).toFixed(0)),
+      alternativeAmount: value,
+      alternativeIsoCode: isoCode
+    };
+  };
+
+  var parseCsvLine = function(line, network) {
+    var fields = splitCsvLine(line);
+    var row = {
+      address: fields[0],
+      message: fields[3] || null,
+    };
+
+    if (!bitcore.Address.isValid(row.address, network)) {
+      row.error = gettext('Invalid address');
+      return row;
+    }
+
+    var amount = toSatoshis(fields[1], fields[2]);
+    if (amount.error) {
+      row.error = amount.error;
+      return row;
+    }
+    return lodash.assign(row, amount);
+  };
+
+  var parseUriLine = function(line, network) {
+    var row = {
+      address: line,
+    };
+
+    if (!bitcore.URI.isValid(line)) {
+      row.error = gettext('Invalid bitcoin URI');
+      return row;
+    }
+
+    var uri = new bitcore.URI(line);
+    row.address = uri.address ? uri.address.toString() : '';
+    row.message = uri.message || uri.label || null;
+
+    if (uri.r) {
+      row.error = gettext('Payment Protocol requests cannot be combined with other recipients');
+    } else if (!bitcore.Address.isValid(row.address, network)) {
+      row.error = gettext('Invalid address');
+    } else if (!uri.amount) {
+      row.error = gettext('Missing amount');
+    } else {
+      row.amount = uri.amount;
+    }
+    return row;
+  };
+
+  var isHeader = function(line, network) {
+    var first = splitCsvLine(line)[0];
+    return !bitcore.Address.isValid(first, network) && /address/i.test(first);
+  };
+
+  /**
+   * Parses a list of payments, either as CSV (address, amount, unit or
+   * fiat currency, memo) or as one BIP21 URI per line.
+   *
+   * Returns the valid recipients (in satoshis), the rejected rows with
+   * the reason they were rejected, and the total amount.
+   */
+  root.parse = function(text, network) {
+    var lines = lodash.filter(lodash.map((text || '').split(/\r?\n/), function(line, i) {
+      return {
+        number: i + 1,
+        text: line.trim()
+      };
+    }), 'text');
+
+    if (lines[0] && isHeader(lines[0].text, network))
+      lines.shift();
+
+    var rows = lodash.map(lines, function(line) {
+      var row = line.text.indexOf('bitcoin:') === 0 ? parseUriLine(line.text, network) : parseCsvLine(line.text, network);
+      row.line = line.number;
+      return row;
+    });
+
+    var recipients = lodash.reject(rows, 'error');
+    var rejected = lodash.filter(rows, 'error');
+
+    $log.debug('Batch payment parsed. Valid: ' + recipients.length + ' Rejected: ' + rejected.length);
+
+    return {
+      recipients: recipients,
+      rejected: rejected,
+      total: lodash.reduce(recipients, function(sum, r) {
+        return sum + r.amount;
+      }, 0)
+    };
+  };
+
+  return root;
+});
@@ -0,0 +1,241 @@
+'use strict';
+
+angular.module('copayApp.services').factory('capitalGainsService', function($log, lodash, txHistoryStore, profileService, historyExportService) {
+  var root = {};
+
+  root.METHODS = ['fifo', 'lifo', 'average'];
+
+  var SAT_TO_BTC = 1 / 1e8;
+
+  /**
+   * Cached history of every livenet wallet of the profile, by wallet id,
+   * and the wallets whose history has not been synced yet: they have no
+   * cached transactions but the server has some.
+   */
+  root.getProfileHistory = function(cb) {
+    var wallets = profileService.getWallets('livenet');
+    var histories = {};
+    var unsynced = [];
+
+    var isSynced = function(walletId, cb) {
+      var client = profileService.getClient(walletId);
+      if (!client) return cb(null, false);
+
+      client.getTxHistory({
+        skip: 0,
+        limit: 1
+      }, function(err, txs) {
+        if (err) return cb(err);
+        return cb(null, lodash.isEmpty(txs));
+      });
+    };
+
+    var next = function() {
+      var wallet = wallets.shift();
+      if (!wallet) return cb(null, histories, unsynced);
+
+      txHistoryStore.getAll(wallet.id, function(err, txs) {
+        if (err) return cb(err);
+
+        histories[wallet.id] = txs;
+        if (!lodash.isEmpty(txs)) return next();
+
+        isSynced(wallet.id, function(err, synced) {
+          if (err) return cb(err);
+
+          if (!synced) unsynced.push(lodash.pick(wallet, 'id', 'name'));
+          next();
+        });
+      });
+    };
+    next();
+  };
+
+  /**
+   * The bitcoin coming in or out of the profile with each transaction,
+   * oldest first. A transaction between two wallets of the profile shows
+   * in both histories, so entries are added up by txid: only the fee
+   * leaves the profile.
+   */
+  root.getMovements = function(histories) {
+    var byTxid = {};
+
+    lodash.each(histories, function(txs) {
+      lodash.each(txs, function(tx) {
+        var m = byTxid[tx.txid] = byTxid[tx.txid] || {
+          txid: tx.txid,
+          time: tx.time,
+          amount: 0,
+          fees: 0
+        };
+
+        if (tx.action == 'received')
+          m.amount += tx.amount;
+        else if (tx.action == 'sent')
+          m.amount -= tx.amount;
+
+        if (tx.action == 'sent' || tx.action == 'moved')
+          m.fees = tx.fees || 0;
+      });
+    });
+
+    return lodash.sortBy(lodash.filter(lodash.map(byTxid, function(m) {
+      m.amount -= m.fees;
+      return m;
+    }), 'amount'), 'time');
+  };
+
+  // Takes `amount` satoshis out of `lots` and returns their cost
+  var take = function(lots, amount, fromEnd) {
+    var cost = 0;
+    while (amount > 0 && lots.length) {
+      var lot = fromEnd ? lots[lots.length - 1] : lots[0];
+      var used = Math.min(amount, lot.amount);
+      var usedCost = lot.cost * used / lot.amount;
+
+      cost += usedCost;
+      lot.amount -= used;
+      lot.cost -= usedCost;
+      amount -= used;
+
+      if (!lot.amount) {
+        if (fromEnd) lots.pop();
+        else lots.shift();
+      }
+    }
+    return {
+      cost: cost,
+      uncovered: amount
+    };
+  };
+
+  /**
+   * Matches the disposals of `movements` against the acquisitions before
+   * them, first in first out, last in first out or at the average cost.
+   * Acquisitions cost their value at `rates`; disposals bring their value
+   * less the fee, which is disposed of for nothing. Bitcoin disposed of
+   * but never acquired, when the history is incomplete, has no cost and
+   * is reported as uncovered.
+   */
+  root.compute = function(movements, rates, method) {
+    var lots = [];
+    var disposals = [];
+    var unpriced = 0;
+
+    lodash.each(movements, function(m) {
+      var rate = rates[m.time];
+      if (!lodash.isNumber(rate)) {
+        unpriced++;
+        rate = 0;
+      }
+
+      if (m.amount > 0) {
+        var value = m.amount * SAT_TO_BTC * rate;
+        if (method == 'average' && lots.length) {
+          lots[0].amount += m.amount;
+          lots[0].cost += value;
+        } else {
+          lots.push({
+            time: m.time,
+            amount: m.amount,
+            cost: value
+          });
+        }
+        return;
+      }
+
+      var amount = -m.amount;
+      var taken = take(lots, amount, method == 'lifo');
+      var proceeds = Math.max(0, amount - m.fees) * SAT_TO_BTC * rate;
+
+      disposals.push({
+        txid: m.txid,
+        time: m.time,
+        year: new Date(m.time * 1000).getFullYear(),
+        amount: amount,
+        proceeds: proceeds,
+        costBasis: taken.cost,
+        gain: proceeds - taken.cost,
+        uncovered: taken.uncovered
+      });
+    });
+
+    var years = lodash.map(lodash.groupBy(disposals, 'year'), function(ds, year) {
+      return {
+        year: +year,
+        proceeds: lodash.sum(ds, 'proceeds'),
+        costBasis: lodash.sum(ds, 'costBasis'),
+        gain: lodash.sum(ds, 'gain')
+      };
+    });
+
+    return {
+      method: method,
+      disposals: disposals,
+      years: lodash.sortBy(years, 'year'),
+      holdings: {
+        amount: lodash.sum(lots, 'amount'),
+        costBasis: lodash.sum(lots, 'cost')
+      },
+      uncovered: lodash.sum(disposals, 'uncovered'),
+      unpriced: unpriced
+    };
+  };
+
+  // Report of every wallet of the profile, with values in `code`. It is
+  // incomplete while `report.unsynced` lists wallets
+  root.getReport = function(method, code, cb) {
+    root.getProfileHistory(function(err, histories, unsynced) {
+      if (err) return cb(err);
+
+      var movements = root.getMovements(histories);
+      historyExportService.getFiatRates(code, movements, function(err, rates) {
+        if (err) return cb(err);
+
+        var report = root.compute(movements, rates, method);
+        report.code = code;
+        report.unsynced = unsynced;
+        return cb(null, report);
+      });
+    });
+  };
+
+  var fiat = function(value) {
+    return lodash.isNumber(value) ? value.toFixed(2) : '';
+  };
+
+  // Rows of the CSV export of `report`: the disposals, then the yearly totals and the holdings
+  root.getCsv = function(report) {
+    var row = function(date, txid, amount, values, year) {
+      return {
+        'Date': date,
+        'Txid': txid,
+        'Amount': (amount * SAT_TO_BTC).toFixed(8),
+        'Proceeds': fiat(values.proceeds),
+        'Cost Basis': fiat(values.costBasis),
+        'Gain': fiat(values.gain),
+        'Currency': report.code,
+        'Tax Year': year
+      };
+    };
+
+    var content = lodash.map(report.disposals, function(d) {
+      return row(new Date(d.time * 1000).toJSON(), d.txid, d.amount, d, d.year);
+    }).concat(lodash.map(report.years, function(y) {
+      var amount = lodash.sum(lodash.filter(report.disposals, {
+        year: y.year
+      }), 'amount');
+      return row('Total', '', amount, y, y.year);
+    }));
+    content.push(row('Holdings', '', report.holdings.amount, {
+      costBasis: report.holdings.costBasis
+    }, ''));
+
+    return {
+      header: ['Date', 'Txid', 'Amount', 'Proceeds', 'Cost Basis', 'Gain', 'Currency', 'Tax Year'],
+      content: content
+    };
+  };
+
+  return root;
+});
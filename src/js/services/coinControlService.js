@@ -0,0 +1,90 @@
+'use strict';
+
+angular.module('copayApp.services').factory('coinControlService', function($log, lodash, storageService, addressbookService) {
+  var root = {};
+
+  root.getKey = function(utxo) {
+    return utxo.txid + ':' + utxo.vout;
+  };
+
+  root.getLocked = function(walletId, cb) {
+    storageService.getLockedUtxos(walletId, function(err, locked) {
+      if (err) return cb(err);
+      return cb(null, locked ? JSON.parse(locked) : []);
+    });
+  };
+
+  root.setLocked = function(walletId, keys, cb) {
+    storageService.setLockedUtxos(walletId, JSON.stringify(lodash.uniq(keys)), cb);
+  };
+
+  /**
+   * Returns the wallet's unspent outputs, flagging the ones locked by the
+   * user (`userLocked`) and adding the address book label of their address.
+   * `locked` (set by the server) means the coin is used by a pending proposal.
+   */
+  root.getUtxos = function(client, cb) {
+    client.getUtxos({}, function(err, utxos) {
+      if (err) return cb(err);
+
+      root.getLocked(client.credentials.walletId, function(err, locked) {
+        if (err) return cb(err);
+
+        addressbookService.list(function(err, ab) {
+          if (err) $log.warn(err);
+          ab = ab || {};
+
+          return cb(null, lodash.sortBy(lodash.map(utxos, function(u) {
+            u.key = root.getKey(u);
+            u.userLocked = lodash.contains(locked, u.key);
+            u.label = ab[u.address];
+            return u;
+          }), function(u) {
+            return -u.satoshis;
+          }));
+        });
+      });
+    });
+  };
+
+  // Same estimation the wallet service uses for multisig P2SH proposals
+  // (a change output is always accounted for)
+  root.getEstimatedSize = function(client, nbInputs, nbOutputs) {
+    var m = client.credentials.m;
+    var n = client.credentials.n;
+    var overhead = 4 + 4 + 9 + 9;
+    var inputSize = m * 72 + n * 36 + 44;
+    var outputSize = 34;
+    var size = overhead + inputSize * nbInputs + outputSize * (nbOutputs + 1);
+
+    return parseInt((size * 1.05).toFixed(0));
+  };
+
+  root.getEstimatedFee = function(client, nbInputs, nbOutputs, feePerKb) {
+    return parseInt((root.getEstimatedSize(client, nbInputs, nbOutputs) * feePerKb / 1000).toFixed(0));
+  };
+
+  // Number of inputs needed to pay `amount` plus its fee, picking the
+  // largest coins first
+  root.countInputs = function(client, utxos, amount, nbOutputs, feePerKb) {
+    var sorted = lodash.sortBy(utxos, function(u) {
+      return -u.satoshis;
+    });
+    var total = 0;
+
+    for (var i = 0; i < sorted.length; i++) {
+      total += sorted[i].satoshis;
+      if (total >= amount + root.getEstimatedFee(client, i + 1, nbOutputs, feePerKb))
+        return i + 1;
+    }
+    return Math.max(sorted.length, 1);
+  };
+
+  root.sum = function(utxos) {
+    return lodash.reduce(utxos, function(sum, u) {
+      return sum + u.satoshis;
+    }, 0);
+  };
+
+  return root;
+});
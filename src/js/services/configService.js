@@ -47,6 +47,12 @@ angular.module('copayApp.services').factory('configService', function(storageSer
       url: 'https://insight.bitpay.com:443/api/rates',
     },
 
+    // Block explorer the raw previous transactions of a PSBT come from
+    explorer: {
+      livenet: 'https://insight.bitpay.com/api',
+      testnet: 'https://test-insight.bitpay.com/api'
+    },
+
     release: {
       url: 'https://api.github.com/repos/bitpay/copay/releases/latest'
     },
@@ -104,6 +110,9 @@ angular.module('copayApp.services').factory('configService', function(storageSer
         if (!configCache.pushNotifications) {
           configCache.pushNotifications = defaultConfig.pushNotifications;
         }
+        if (!configCache.explorer) {
+          configCache.explorer = defaultConfig.explorer;
+        }
 
       } else {
         configCache = lodash.clone(defaultConfig);
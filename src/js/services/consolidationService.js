@@ -0,0 +1,123 @@
+'use strict';
+
+angular.module('copayApp.services').factory('consolidationService', function(lodash, gettextCatalog, coinControlService, addressService, walletService) {
+  var root = {};
+
+  // Same limit the wallet service enforces on proposals
+  var MAX_TX_SIZE = 100 * 1000;
+  var DUST_AMOUNT = 546;
+
+  /**
+   * Coins that can be merged: confirmed, not used by a pending proposal and
+   * not locked in coin control. Smallest first.
+   */
+  root.getUtxos = function(client, cb) {
+    coinControlService.getUtxos(client, function(err, utxos) {
+      if (err) return cb(err);
+
+      return cb(null, lodash.sortBy(lodash.filter(utxos, function(u) {
+        return u.confirmations > 0 && !u.locked && !u.userLocked;
+      }), 'satoshis'));
+    });
+  };
+
+  // Fee to spend `nbInputs` coins in a single transaction
+  root.getSpendFee = function(client, nbInputs, feePerKb) {
+    return coinControlService.getEstimatedFee(client, nbInputs, 1, feePerKb);
+  };
+
+  root.getMaxInputs = function(client) {
+    var n = 1;
+    while (coinControlService.getEstimatedSize(client, n + 1, 1) <= MAX_TX_SIZE) n++;
+    return n;
+  };
+
+  /**
+   * What it costs to spend all `utxos` at each fee level: {level, feePerKB,
+   * fee}. Coins that do not fit in the maximum size make it impossible to
+   * spend them at once (`exceedsMaxSize`).
+   */
+  root.getCosts = function(client, utxos, levels) {
+    var exceedsMaxSize = utxos.length > root.getMaxInputs(client);
+
+    return lodash.map(levels, function(l) {
+      return {
+        level: l.level,
+        feePerKB: l.feePerKB,
+        fee: root.getSpendFee(client, utxos.length, l.feePerKB),
+        exceedsMaxSize: exceedsMaxSize
+      };
+    });
+  };
+
+  /**
+   * Splits `utxos` into self-send transactions within the maximum size,
+   * each merging its coins into a single output. Coins worth less than
+   * what they add to the fee are left out, as merging them loses money.
+   * Returns the transactions and the projected savings: the fee to spend
+   * the merged coins later, minus the fee to spend the resulting outputs.
+   */
+  root.plan = function(client, utxos, feePerKb) {
+    var inputFee = root.getSpendFee(client, 2, feePerKb) - root.getSpendFee(client, 1, feePerKb);
+    var candidates = lodash.filter(utxos, function(u) {
+      return u.satoshis > inputFee;
+    });
+
+    var txs = lodash.filter(lodash.map(lodash.chunk(candidates, root.getMaxInputs(client)), function(inputs) {
+      var fee = root.getSpendFee(client, inputs.length, feePerKb);
+      return {
+        inputs: inputs,
+        fee: fee,
+        amount: coinControlService.sum(inputs) - fee
+      };
+    }), function(tx) {
+      return tx.inputs.length > 1 && tx.amount >= DUST_AMOUNT;
+    });
+
+    var nbInputs = lodash.sum(txs, function(tx) {
+      return tx.inputs.length;
+    });
+    var fee = lodash.sum(txs, 'fee');
+    var savings = nbInputs ? root.getSpendFee(client, nbInputs, feePerKb) - root.getSpendFee(client, txs.length, feePerKb) : 0;
+
+    return {
+      txs: txs,
+      nbInputs: nbInputs,
+      skipped: utxos.length - nbInputs,
+      fee: fee,
+      savings: savings,
+      netSavings: savings - fee
+    };
+  };
+
+  // Creates the proposal for one transaction of a plan, paying to a fresh
+  // address of the same wallet
+  root.createTx = function(client, tx, cb) {
+    addressService.getAddress(client.credentials.walletId, true, function(err, toAddress) {
+      if (err) return cb(err);
+
+      var message = client.credentials.sharedEncryptingKey ?
+        gettextCatalog.getString('Consolidate {{n}} coins', {
+          n: tx.inputs.length
+        }) : null;
+
+      walletService.createTx(client, {
+        toAddress: toAddress,
+        amount: tx.amount,
+        outputs: [{
+          toAddress: toAddress,
+          amount: tx.amount,
+          message: message
+        }],
+        message: message,
+        inputs: lodash.map(tx.inputs, function(u) {
+          return lodash.omit(u, ['key', 'userLocked', 'label']);
+        }),
+        fee: tx.fee,
+        excludeUnconfirmedUtxos: true
+      }, cb);
+    });
+  };
+
+  return root;
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+angular.module('copayApp.services').factory('cpfpService', function($log, lodash, gettext, gettextCatalog, coinControlService, addressService, walletService) {
+  var root = {};
+
+  // Used when neither the size nor the inputs of the parent transaction
+  // are known: one P2PKH input and two outputs
+  var PARENT_SIZE_ESTIMATE = 226;
+  var DUST_AMOUNT = 546;
+
+  // The server does not report the size of history transactions: it is
+  // estimated from their inputs and outputs, for the address type of the wallet
+  var getParentSize = function(client, btx) {
+    if (btx.size) return btx.size;
+    if (lodash.isEmpty(btx.inputs)) return PARENT_SIZE_ESTIMATE;
+
+    // Recipient outputs, the change one is counted by the estimation
+    var nbOutputs = Math.max(lodash.size(btx.outputs), 1);
+    return coinControlService.getEstimatedSize(client, btx.inputs.length, nbOutputs);
+  };
+
+  root.canSpeedUp = function(btx) {
+    return btx && !btx.confirmations && btx.txid &&
+      lodash.contains(['sent', 'received', 'moved'], btx.action);
+  };
+
+  /**
+   * Computes a child-pays-for-parent transaction for the unconfirmed `btx`:
+   * it spends the outputs of `btx` that belong to this wallet (the change
+   * of a send, the incoming output of a receive) with a fee such that
+   * parent and child together pay `feePerKb`.
+   */
+  root.getInfo = function(client, btx, feePerKb, cb) {
+    client.getUtxos({}, function(err, utxos) {
+      if (err) return cb(err);
+
+      var inputs = lodash.filter(utxos, function(u) {
+        return u.txid == btx.txid && !u.locked;
+      });
+      if (lodash.isEmpty(inputs))
+        return cb(gettext('This transaction has no outputs this wallet can spend'));
+
+      var parentSize = getParentSize(client, btx);
+      var parentFee = btx.fees || 0;
+      var childSize = coinControlService.getEstimatedSize(client, inputs.length, 1);
+
+      if (parentFee * 1000 / parentSize >= feePerKb)
+        return cb(gettext('This transaction already pays this fee level'));
+
+      var totalFee = Math.ceil((parentSize + childSize) * feePerKb / 1000);
+      var fee = totalFee - parentFee;
+      var amount = coinControlService.sum(inputs) - fee;
+
+      if (amount < DUST_AMOUNT)
+        return cb(gettext('The outputs of this transaction are too small to pay the fee'));
+
+      $log.debug('CPFP for ' + btx.txid + ': child fee ' + fee + ' SAT, effective ' + feePerKb + ' SAT/kB');
+
+      return cb(null, {
+        inputs: inputs,
+        amount: amount,
+        fee: fee,
+        parentSize: parentSize,
+        parentFeeRate: (parentFee / parentSize).toFixed(1),
+        size: childSize,
+        effectiveFeeRate: ((parentFee + fee) / (parentSize + childSize)).toFixed(1),
+        estimatedParentSize: !btx.size
+      });
+    });
+  };
+
+  root.createTx = function(client, btx, info, cb) {
+    addressService.getAddress(client.credentials.walletId, false, function(err, toAddress) {
+      if (err) return cb(err);
+
+      var message = client.credentials.sharedEncryptingKey ?
+        gettextCatalog.getString('Speed up transaction {{txid}}', {
+          txid: btx.txid.substring(0, 8)
+        }) : null;
+
+      walletService.createTx(client, {
+        toAddress: toAddress,
+        amount: info.amount,
+        outputs: [{
+          toAddress: toAddress,
+          amount: info.amount,
+          message: message
+        }],
+        message: message,
+        inputs: info.inputs,
+        fee: info.fee,
+        excludeUnconfirmedUtxos: false
+      }, cb);
+    });
+  };
+
+  return root;
+});
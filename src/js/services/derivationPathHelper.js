@@ -51,5 +51,15 @@ angular.module('copayApp.services').factory('derivationPathHelper', function(lod
     return ret;
   };
 
+  // The inverse of `parse`
+  root.format = function(derivationStrategy, networkName, account) {
+    if (derivationStrategy == 'BIP45')
+      return "m/45'";
+
+    var purpose = derivationStrategy == 'BIP48' ? "48'" : "44'";
+    var coin = networkName == 'testnet' ? "1'" : "0'";
+    return ['m', purpose, coin, account + "'"].join('/');
+  };
+
   return root;
 });
@@ -0,0 +1,132 @@
+'use strict';
+
+/*
+ * A hardware wallet driver holding a testnet key in memory, to run the
+ * hardware wallet flows without a device. It is only offered when the app
+ * config enables the `emulatedDevice` extension. The key is lost when the
+ * app is closed and has to be set again with `setKey`.
+ */
+angular.module('copayApp.services')
+  .factory('emulatedDevice', function($log, $window, lodash, bitcore, bwcService, hwWallet, messageService) {
+    var root = {};
+    var key = null;
+
+    root.id = 'emulated';
+    root.name = 'Emulated Device';
+    root.label = 'Emulated Hardware Wallet (testing only)';
+    root.accountBase = 1;
+    root.network = 'testnet';
+    root.capabilities = {
+      singleSig: true,
+      multiSig: true,
+      showAddress: true,
+      signMessage: true
+    };
+
+    root.isAvailable = function() {
+      var appConfig = $window.appConfig;
+      return !!(appConfig && appConfig._enabledExtensions && appConfig._enabledExtensions.emulatedDevice);
+    };
+
+    // Sets the key of the device, a testnet extended private key, or removes it
+    root.setKey = function(xPrivKey) {
+      if (!xPrivKey) {
+        key = null;
+        return;
+      }
+
+      var newKey = new bitcore.HDPrivateKey(xPrivKey);
+      if (newKey.network.name != root.network)
+        throw new Error('The emulated device only holds testnet keys');
+      key = newKey;
+    };
+
+    var derive = function(path) {
+      if (!key) throw new Error('The emulated device has no key. Set one before using it');
+      return key.derive('m/' + path);
+    };
+
+    root.getXPubKey = function(path, callback) {
+      $log.debug('Emulated device deriving xPub path:', path);
+      // A device without a key starts with a new one when a wallet is set up
+      if (!key) {
+        key = new bitcore.HDPrivateKey(root.network);
+        $log.info('Emulated device key created');
+      }
+
+      var xPubKey;
+      try {
+        xPubKey = derive(path).hdPublicKey.toString();
+      } catch (e) {
+        return callback(hwWallet._err(e));
+      }
+      return callback(null, xPubKey);
+    };
+
+    root.getEntropySource = function(isMultisig, account, callback) {
+      root.getXPubKey(hwWallet.getEntropyPath(root.id, isMultisig, account), function(err, xPubKey) {
+        if (err) return callback(err);
+        return callback(null, hwWallet.pubKeyToEntropySource(xPubKey));
+      });
+    };
+
+    root.getInfoForNewWallet = function(isMultisig, account, callback) {
+      root.getEntropySource(isMultisig, account, function(err, entropySource) {
+        if (err) return callback(err);
+
+        root.getXPubKey(hwWallet.getAddressPath(root.id, isMultisig, account), function(err, xPubKey) {
+          if (err) return callback(err);
+
+          var opts = {
+            entropySource: entropySource,
+            extendedPublicKey: xPubKey,
+            externalSource: root.id,
+            account: account
+          };
+          if (isMultisig)
+            opts.derivationStrategy = 'BIP48';
+
+          return callback(null, opts);
+        });
+      });
+    };
+
+    var getAccountKey = function(client) {
+      var c = client.credentials;
+      return derive(hwWallet.getAddressPath(root.id, c.addressType == 'P2SH', c.account));
+    };
+
+    root.signTx = function(client, txp, callback) {
+      $log.info('Signing transaction with the emulated device');
+      var signatures;
+      try {
+        signatures = bwcService.Client.signTxp(txp, getAccountKey(client));
+      } catch (e) {
+        return callback(hwWallet._err(e));
+      }
+      return callback(null, signatures);
+    };
+
+    root.showAddress = function(client, path, callback) {
+      var address;
+      try {
+        address = getAccountKey(client).derive(path).publicKey.toAddress(client.credentials.network).toString();
+      } catch (e) {
+        return callback(hwWallet._err(e));
+      }
+      $log.info('Emulated device screen: ' + address);
+      return callback(null, address);
+    };
+
+    root.signMessage = function(client, path, message, callback) {
+      var privateKey;
+      try {
+        privateKey = getAccountKey(client).derive(path).privateKey;
+      } catch (e) {
+        return callback(hwWallet._err(e));
+      }
+      return callback(null, messageService.sign(privateKey, message));
+    };
+
+    return root;
+  });
@@ -8,7 +8,16 @@ angular.module('copayApp.services').factory('feeService', function($log, bwcServ
     priority: gettext('Priority'),
     normal: gettext('Normal'),
     economy: gettext('Economy'),
-    superEconomy: gettext('Super Economy')
+    superEconomy: gettext('Super Economy'),
+    custom: gettext('Custom')
+  };
+
+  root.feePerKbToSatPerByte = function(feePerKb) {
+    return parseFloat((feePerKb / 1000).toFixed(3));
+  };
+
+  root.satPerByteToFeePerKb = function(satPerByte) {
+    return parseInt((satPerByte * 1000).toFixed(0));
   };
 
   root.getCurrentFeeLevel = function() {
@@ -16,10 +25,27 @@ angular.module('copayApp.services').factory('feeService', function($log, bwcServ
   };
 
   root.getCurrentFeeValue = function(cb) {
-    var fc = profileService.focusedClient;
-    var feeLevel = root.getCurrentFeeLevel();
+    return root.getFeeValue(root.getCurrentFeeLevel(), cb);
+  };
+
+  root.getFeeValue = function(feeLevel, cb) {
+    return root.getFeePerKb(profileService.focusedClient, feeLevel, cb);
+  };
+
+  // Fee rate of `feeLevel` for the network of `client`
+  root.getFeePerKb = function(client, feeLevel, cb) {
+    var customFeePerKb = configService.getSync().wallet.settings.customFeePerKb;
+
+    if (feeLevel == 'custom') {
+      if (customFeePerKb) {
+        $log.debug('Custom fee: ' + customFeePerKb + ' SAT');
+        return cb(null, customFeePerKb);
+      }
+      $log.warn('No custom fee rate set. Using normal level');
+      feeLevel = 'normal';
+    }
 
-    fc.getFeeLevels(fc.credentials.network, function(err, levels) {
+    client.getFeeLevels(client.credentials.network, function(err, levels) {
       if (err)
         return cb({
           message: 'Could not get dynamic fee'
@@ -28,14 +54,22 @@ angular.module('copayApp.services').factory('feeService', function($log, bwcServ
       var feeLevelValue = lodash.find(levels, {
         level: feeLevel
       });
+
+      // The server may not return every level: fall back to the normal one
+      if (!feeLevelValue || !feeLevelValue.feePerKB) {
+        $log.warn('Could not get dynamic fee for level: ' + feeLevel + '. Using normal level');
+        feeLevelValue = lodash.find(levels, {
+          level: 'normal'
+        });
+      }
+
       if (!feeLevelValue || !feeLevelValue.feePerKB)
         return cb({
           message: 'Could not get dynamic fee for level: ' + feeLevel
         });
 
-      var fee = feeLevelValue.feePerKB;
-      $log.debug('Dynamic fee: ' + feeLevel + ' ' + fee + ' SAT');
-      return cb(null, fee);
+      $log.debug('Dynamic fee: ' + feeLevelValue.level + ' ' + feeLevelValue.feePerKB + ' SAT');
+      return cb(null, feeLevelValue.feePerKB);
     });
   };
 
@@ -48,10 +82,10 @@ angular.module('copayApp.services').factory('feeService', function($log, bwcServ
       walletClient.getFeeLevels('testnet', function(errTestnet, levelsTestnet) {
         if (errLivenet || errTestnet) $log.debug('Could not get dynamic fee');
         else {
-          for (var i = 0; i < 4; i++) {
-            levelsLivenet[i]['feePerKBUnit'] = profileService.formatAmount(levelsLivenet[i].feePerKB) + ' ' + unitName;
-            levelsTestnet[i]['feePerKBUnit'] = profileService.formatAmount(levelsTestnet[i].feePerKB) + ' ' + unitName;
-          }
+          lodash.each(levelsLivenet.concat(levelsTestnet), function(level) {
+            level.feePerKBUnit = profileService.formatAmount(level.feePerKB) + ' ' + unitName;
+            level.satPerByte = root.feePerKbToSatPerByte(level.feePerKB);
+          });
         }
 
         return cb({
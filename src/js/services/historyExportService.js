@@ -0,0 +1,177 @@
+'use strict';
+
+angular.module('copayApp.services').factory('historyExportService', function($log, $injector, lodash, rateService) {
+  var root = {};
+
+  // Timestamps sent in each historic rates request
+  root.RATES_PER_REQUEST = 50;
+
+  var DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * The history entries to export. `opts.from` and `opts.to` are dates,
+   * both days included; internal "moved" entries are left out unless
+   * `opts.includeMoved` is set.
+   */
+  root.filter = function(txs, opts) {
+    opts = opts || {};
+    var from = opts.from ? new Date(opts.from).setHours(0, 0, 0, 0) : null;
+    var to = opts.to ? new Date(opts.to).setHours(0, 0, 0, 0) + DAY : null;
+
+    return lodash.filter(txs, function(tx) {
+      var time = tx.time * 1000;
+      if (from && time < from) return false;
+      if (to && time >= to) return false;
+      if (tx.action == 'moved' && !opts.includeMoved) return false;
+      return true;
+    });
+  };
+
+  /**
+   * Rates of `code` at the time of each entry of `txs`, by entry time.
+   * Rates are requested in batches, one after the other.
+   */
+  root.getFiatRates = function(code, txs, cb) {
+    var times = lodash.uniq(lodash.pluck(txs, 'time'));
+    var batches = lodash.chunk(times, root.RATES_PER_REQUEST);
+    var rates = {};
+
+    var next = function() {
+      var batch = batches.shift();
+      if (!batch) return cb(null, rates);
+
+      var dates = lodash.map(batch, function(time) {
+        return time * 1000;
+      });
+      rateService.getHistoricRates(code, dates, function(err, res) {
+        if (err) {
+          $log.warn('Could not get historic rates:', err);
+          return cb(err);
+        }
+
+        var byDate = lodash.indexBy(res, 'ts');
+        lodash.each(batch, function(time) {
+          var found = byDate[time * 1000];
+          if (found && lodash.isNumber(found.rate))
+            rates[time] = found.rate;
+        });
+        next();
+      });
+    };
+    next();
+  };
+
+  root.hasAllRates = function(txs, rates) {
+    return lodash.every(txs, function(tx) {
+      return lodash.isNumber(rates[tx.time]);
+    });
+  };
+
+  // Fiat value of `satoshis` at `rate`, empty when the rate is unknown
+  root.toFiat = function(satoshis, rate) {
+    if (!lodash.isNumber(rate)) return '';
+    return (satoshis * rateService.SAT_TO_BTC * rate).toFixed(2);
+  };
+
+  /*
+   * Exporters are services, registered here under the id of their format.
+   * Each one has:
+   *
+   *   id, name, extension
+   *   export(lines, opts): the content of the file
+   *
+   * `lines` come from `getLines`. `opts` has `walletId`, `walletName` and
+   * `currency`, the currency of the line values.
+   *
+   * Exporters depend on this service, so it can not inject them: a new
+   * format is added with its service and a `registerExporter` call below,
+   * the only place formats are listed.
+   */
+  var exporters = {};
+
+  root.registerExporter = function(id, serviceName) {
+    exporters[id] = serviceName;
+  };
+
+  root.getExporter = function(id) {
+    if (!exporters[id]) return null;
+    return $injector.get(exporters[id]);
+  };
+
+  root.getExporters = function() {
+    return lodash.map(lodash.keys(exporters), root.getExporter);
+  };
+
+  root.registerExporter('ofx', 'ofxExporter');
+  root.registerExporter('qif', 'qifExporter');
+  root.registerExporter('quickbooks', 'quickBooksExporter');
+  root.registerExporter('xero', 'xeroExporter');
+
+  /**
+   * The history entries `txs` as statement lines, valued in fiat at
+   * `rates` or in BTC when `rates` is null. Fees of sent and moved entries
+   * are lines of their own. `addressBook` gives the payee of the entries
+   * sent to a known address.
+   */
+  root.getLines = function(txs, rates, addressBook) {
+    var lines = [];
+    addressBook = addressBook || {};
+
+    var value = function(satoshis, time) {
+      if (!rates) return (satoshis * rateService.SAT_TO_BTC).toFixed(8);
+      return root.toFiat(satoshis, rates[time]);
+    };
+
+    lodash.each(txs, function(tx) {
+      var amount = tx.action == 'moved' ? 0 : tx.amount;
+      if (tx.action == 'sent') amount = -amount;
+
+      lines.push({
+        id: tx.txid,
+        txid: tx.txid,
+        time: tx.time * 1000,
+        amount: amount,
+        value: value(amount, tx.time),
+        payee: addressBook[tx.addressTo] || tx.addressTo || '',
+        memo: tx.message || '',
+        comment: tx.note ? tx.note.body : '',
+        isFee: false
+      });
+
+      if (tx.fees && (tx.action == 'sent' || tx.action == 'moved')) {
+        lines.push({
+          id: tx.txid + '-fee',
+          txid: tx.txid,
+          time: tx.time * 1000,
+          amount: -tx.fees,
+          value: value(-tx.fees, tx.time),
+          payee: 'Bitcoin Network Fees',
+          memo: '',
+          comment: '',
+          isFee: true
+        });
+      }
+    });
+    return lines;
+  };
+
+  // Memo and comment of a line, in a single text
+  root.getDescription = function(line) {
+    return lodash.compact([line.memo, line.comment]).join(' - ');
+  };
+
+  var csvField = function(value) {
+    value = lodash.isUndefined(value) || lodash.isNull(value) ? '' : '' + value;
+    if (!/[",\r\n]/.test(value)) return value;
+    return '"' + value.replace(/"/g, '""') + '"';
+  };
+
+  // CSV text of `rows`, arrays of fields
+  root.toCsv = function(header, rows) {
+    return lodash.map([header].concat(rows), function(row) {
+      return lodash.map(row, csvField).join(',');
+    }).join('\r\n') + '\r\n';
+  };
+
+  return root;
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+angular.module('copayApp.services').factory('historyFilterService', function($log, lodash, gettext, storageService, rateService, addressLabelService, historyExportService, txHistoryStore) {
+  var root = {};
+
+  root.DIRECTIONS = {
+    received: gettext('Received'),
+    sent: gettext('Sent'),
+    moved: gettext('Moved')
+  };
+
+  root.STATUSES = {
+    confirmed: gettext('Confirmed'),
+    unconfirmed: gettext('Unconfirmed')
+  };
+
+  root.SORTS = {
+    date: gettext('Date'),
+    amount: gettext('Amount')
+  };
+
+  // A filter matching the whole history, newest first
+  root.getDefaults = function() {
+    return {
+      direction: null,
+      from: null,
+      to: null,
+      minAmount: null,
+      maxAmount: null,
+      amountCurrency: 'BTC',
+      hasNote: null,
+      contact: null,
+      status: null,
+      sortBy: 'date',
+      ascending: false
+    };
+  };
+
+  var SORT_KEYS = ['sortBy', 'ascending'];
+
+  var isSet = function(value) {
+    return !lodash.isNull(value) && !lodash.isUndefined(value) && value !== '';
+  };
+
+  // Whether `filter` leaves out any transaction
+  root.isActive = function(filter) {
+    return lodash.some(lodash.omit(root.getDefaults(), SORT_KEYS), function(value, key) {
+      return key != 'amountCurrency' && isSet(filter[key]);
+    });
+  };
+
+  root.get = function(walletId, cb) {
+    storageService.getHistoryFilter(walletId, function(err, data) {
+      if (err) return cb(err);
+
+      var filter = {};
+      try {
+        filter = data ? JSON.parse(data) : {};
+      } catch (e) {
+        $log.warn(e);
+      }
+
+      filter = lodash.assign(root.getDefaults(), lodash.pick(filter, lodash.keys(root.getDefaults())));
+      if (filter.from) filter.from = new Date(filter.from);
+      if (filter.to) filter.to = new Date(filter.to);
+      return cb(null, filter);
+    });
+  };
+
+  root.set = function(walletId, filter, cb) {
+    storageService.setHistoryFilter(walletId, JSON.stringify(lodash.pick(filter, lodash.keys(root.getDefaults()))), cb);
+  };
+
+  /**
+   * The amount range of `filter` in satoshis. Fiat amounts are converted
+   * at the current rate; null when the rate is not available.
+   */
+  root.getAmountRange = function(filter) {
+    var toSatoshis = function(amount) {
+      if (!isSet(amount)) return null;
+      if (filter.amountCurrency == 'BTC')
+        return Math.round(amount * 1e8);
+      return Math.round(rateService.fromFiat(amount, filter.amountCurrency));
+    };
+
+    if (filter.amountCurrency != 'BTC' && !rateService.isAvailable() &&
+      (isSet(filter.minAmount) || isSet(filter.maxAmount)))
+      return null;
+
+    return {
+      min: toSatoshis(filter.minAmount),
+      max: toSatoshis(filter.maxAmount)
+    };
+  };
+
+  // Lower case text the free text search looks into
+  root.getSearchableString = function(tx, addressbook, labels) {
+    var date = new Date(tx.time * 1000);
+    var searchableDate = [
+      ('0' + (date.getMonth() + 1)).slice(-2),
+      ('0' + date.getDate()).slice(-2),
+      date.getFullYear()
+    ].join('/');
+    var addrbook = tx.addressTo && addressbook ? addressbook[tx.addressTo] || '' : '';
+    var message = tx.message ? tx.message : '';
+    var comment = tx.note ? tx.note.body : '';
+    var addressTo = tx.addressTo ? tx.addressTo : '';
+    var addressLabel = addressLabelService.getTxLabels([tx], labels || {})[tx.txid] || '';
+    return ((tx.amountStr + message + addressTo + addrbook + addressLabel + searchableDate + comment).toString()).toLowerCase();
+  };
+
+  /**
+   * Whether `tx` passes every criteria of `filter`, but the date range,
+   * and contains `opts.text`. `range` is the amount range in satoshis.
+   */
+  root.matches = function(tx, filter, range, opts) {
+    opts = opts || {};
+
+    if (filter.direction && tx.action != filter.direction) return false;
+    if (isSet(range.min) && tx.amount < range.min) return false;
+    if (isSet(range.max) && tx.amount > range.max) return false;
+
+    var hasNote = !!(tx.note && tx.note.body);
+    if (isSet(filter.hasNote) && hasNote != filter.hasNote) return false;
+
+    if (filter.contact && !lodash.includes(addressLabelService.getTxAddresses(tx), filter.contact))
+      return false;
+
+    if (filter.status == 'confirmed' && !tx.confirmations) return false;
+    if (filter.status == 'unconfirmed' && tx.confirmations) return false;
+
+    if (opts.text && !lodash.includes(root.getSearchableString(tx, opts.addressbook, opts.labels), opts.text.toLowerCase()))
+      return false;
+
+    return true;
+  };
+
+  root.sort = function(txs, filter) {
+    var key = filter.sortBy == 'amount' ? 'amount' : 'time';
+    return lodash.sortByOrder(txs, [key, 'time'], [filter.ascending, filter.ascending]);
+  };
+
+  /**
+   * The cached transactions of a wallet matching `filter` and the free
+   * text `opts.text`, sorted as `filter` says. `opts.addressbook` and
+   * `opts.labels` name the addresses the text is also searched in, and
+   * `opts.prepare` is applied to each transaction before matching.
+   */
+  root.find = function(walletId, filter, opts, cb) {
+    opts = opts || {};
+
+    var range = root.getAmountRange(filter);
+    if (!range) return cb(gettext('Exchange rates are not available to filter by fiat amount'));
+
+    txHistoryStore.filter(walletId, function(tx) {
+      if (opts.prepare) opts.prepare(tx);
+      return root.matches(tx, filter, range, opts);
+    }, function(err, txs) {
+      if (err) return cb(err);
+
+      txs = historyExportService.filter(txs, {
+        from: filter.from,
+        to: filter.to,
+        includeMoved: true
+      });
+      return cb(null, root.sort(txs, filter));
+    });
+  };
+
+  return root;
+});
@@ -1,7 +1,7 @@
 'use strict';
 
 angular.module('copayApp.services')
-  .factory('hwWallet', function($log,  bwcService) {
+  .factory('hwWallet', function($log, $injector, bwcService) {
     var root = {};
 
     // Ledger magic number to get xPub without user confirmation
@@ -30,6 +30,25 @@ angular.module('copayApp.services')
       return root.getRootPath(device,isMultisig,account) + "'/" + root.LIVENET_PATH + "'/" + account + "'";
     }
 
+    // Full derivation path of a wallet address at `path` (m/0/n)
+    root.getFullAddressPath = function(device, isMultisig, account, path) {
+      return root.getAddressPath(device, isMultisig, account) + path.substring(1);
+    };
+
+    // Full derivation path of the address at `path` of a hardware wallet
+    root.getClientAddressPath = function(client, path) {
+      var c = client.credentials;
+      return root.getFullAddressPath(client.getPrivKeyExternalSourceName(), c.addressType == 'P2SH', c.account, path);
+    };
+
+    // The path as an array of indexes, hardened ones flagged
+    root.pathToAddressN = function(path) {
+      return path.split('/').map(function(i) {
+        if (i.indexOf("'") < 0) return parseInt(i);
+        return parseInt(i) | 0x80000000;
+      });
+    };
+
     root.getEntropyPath = function(device, isMultisig, account) {
       var path;
 
@@ -40,6 +59,53 @@ angular.module('copayApp.services')
       return root.ENTROPY_INDEX_PATH + root.getRootPath(device,isMultisig,account) + "'/" + account + "'";
     };
 
+    /*
+     * Hardware wallet drivers are services, registered here under the name
+     * used as `externalSource` by the wallets they hold. Each one has:
+     *
+     *   id, name, label
+     *   capabilities: {singleSig, multiSig, showAddress, signMessage}
+     *   accountBase: account number shown to the user for account 0
+     *   network: the only network the device works on, if it is limited to one
+     *   isAvailable()
+     *   getXPubKey(path, cb(err, xPubKey))
+     *   getEntropySource(isMultisig, account, cb(err, entropySource))
+     *   getInfoForNewWallet(isMultisig, account, cb(err, opts))
+     *   signTx(client, txp, cb(err, signatures))
+     *   showAddress(client, path, cb(err, address)), when capabilities.showAddress
+     *   signMessage(client, path, message, cb(err, signature)), when capabilities.signMessage
+     *
+     * `path` is the path of a wallet address (m/0/n).
+     */
+    var drivers = {};
+
+    root.registerDriver = function(id, serviceName) {
+      drivers[id] = serviceName;
+    };
+
+    root.getDriver = function(id) {
+      if (!drivers[id]) return null;
+      return $injector.get(drivers[id]);
+    };
+
+    root.getAvailableDrivers = function() {
+      var ret = [];
+      Object.keys(drivers).forEach(function(id) {
+        var driver = root.getDriver(id);
+        if (driver.isAvailable()) ret.push(driver);
+      });
+      return ret;
+    };
+
+    root.getClientDriver = function(client) {
+      if (!client.isPrivKeyExternal()) return null;
+      return root.getDriver(client.getPrivKeyExternalSourceName());
+    };
+
+    root.registerDriver('ledger', 'ledger');
+    root.registerDriver('trezor', 'trezor');
+    root.registerDriver('emulated', 'emulatedDevice');
+
     root.pubKeyToEntropySource = function(xPubKey) {
       var b = bwcService.getBitcore();
       var x = b.HDPublicKey(xPubKey);
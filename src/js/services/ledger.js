@@ -1,11 +1,29 @@
 'use strict';
 
 angular.module('copayApp.services')
-  .factory('ledger', function($log, bwcService, gettext, hwWallet) {
+  .factory('ledger', function($log, bwcService, gettext, platformInfo, hwWallet) {
     var root = {};
     var LEDGER_CHROME_ID = "kkdpmhnladdopljabkgpacgpliggeeaf";
 
     root.callbacks = {};
+
+    root.id = 'ledger';
+    root.name = 'Ledger';
+    root.label = 'Ledger Hardware Wallet';
+    root.accountBase = 0;
+
+    // Ledger wallets are always P2SH, on the shared wallet path
+    root.capabilities = {
+      singleSig: false,
+      multiSig: true,
+      showAddress: false,
+      signMessage: false
+    };
+
+    root.isAvailable = function() {
+      return !!platformInfo.isChromeApp;
+    };
+
     root.hasSession = function() {
       root._message({
         command: "has_session"
@@ -13,17 +31,19 @@ angular.module('copayApp.services')
     }
 
     root.getEntropySource = function(isMultisig, account, callback) {
-      root.getXPubKey(hwWallet.getEntropyPath('ledger', isMultisig, account), function(data) {
-        if (!data.success)
-          return callback(hwWallet._err(data));
-
-        return callback(null,  hwWallet.pubKeyToEntropySource(data.xpubkey));
+      root.getXPubKey(hwWallet.getEntropyPath('ledger', isMultisig, account), function(err, xPubKey) {
+        if (err) return callback(err);
+        return callback(null, hwWallet.pubKeyToEntropySource(xPubKey));
       });
     };
 
     root.getXPubKey = function(path, callback) {
       $log.debug('Ledger deriving xPub path:', path);
-      root.callbacks["get_xpubkey"] = callback;
+      root.callbacks["get_xpubkey"] = function(data) {
+        if (!data.success)
+          return callback(hwWallet._err(data));
+        return callback(null, data.xpubkey);
+      };
       root._messageAfterSession({
         command: "get_xpubkey",
         path: path
@@ -37,12 +57,10 @@ angular.module('copayApp.services')
         if (err) return callback(err);
 
         opts.entropySource = entropySource;
-        root.getXPubKey(hwWallet.getAddressPath('ledger', isMultisig, account), function(data) {
-          if (!data.success) {
-            $log.warn(data.message);
-            return callback(data);
-          }
-          opts.extendedPublicKey = data.xpubkey;
+        root.getXPubKey(hwWallet.getAddressPath('ledger', isMultisig, account), function(err, xPubKey) {
+          if (err) return callback(err);
+
+          opts.extendedPublicKey = xPubKey;
           opts.externalSource = 'ledger';
           opts.account = account;
 
@@ -82,7 +100,7 @@ angular.module('copayApp.services')
       });
     };
 
-    root.signTx = function(txp, account, callback) {
+    root.signTx = function(client, txp, callback) {
 
       // TODO Compat
       var isMultisig = true;
@@ -90,9 +108,18 @@ angular.module('copayApp.services')
         var msg = 'P2PKH wallets are not supported with ledger';
         $log.error(msg);
         return callback(msg);
-      } else {
-        root._signP2SH(txp, account, isMultisig, callback);
       }
+
+      $log.info('Requesting Ledger Chrome app to sign the transaction');
+      root._signP2SH(txp, client.credentials.account, isMultisig, function(result) {
+        $log.debug('Ledger response', result);
+        if (!result.success)
+          return callback(result.message || result.error);
+
+        return callback(null, result.signatures.map(function(s) {
+          return s.substring(0, s.length - 2);
+        }));
+      });
     }
 
     root._message = function(data) {
@@ -0,0 +1,111 @@
+'use strict';
+
+angular.module('copayApp.services').factory('messageService', function($log, gettext, bitcore, hwWallet) {
+  var root = {};
+
+  var MAGIC_BYTES = 'Bitcoin Signed Message:\n';
+  var Buffer = bitcore.deps.Buffer;
+
+  // Double SHA256 of the message, prefixed as Bitcoin Core does
+  root.magicHash = function(message) {
+    var prefix = new Buffer(MAGIC_BYTES);
+    var messageBuffer = new Buffer(message);
+    var bw = new bitcore.encoding.BufferWriter();
+
+    bw.writeVarintNum(prefix.length);
+    bw.write(prefix);
+    bw.writeVarintNum(messageBuffer.length);
+    bw.write(messageBuffer);
+    return bitcore.crypto.Hash.sha256sha256(bw.concat());
+  };
+
+  // A base64 compact signature, as `signmessage` of Bitcoin Core
+  root.sign = function(privateKey, message) {
+    var ecdsa = new bitcore.crypto.ECDSA();
+    ecdsa.hashbuf = root.magicHash(message);
+    ecdsa.privkey = privateKey;
+    ecdsa.pubkey = privateKey.toPublicKey();
+    ecdsa.signRandomK();
+    ecdsa.calci();
+    return ecdsa.sig.toCompact().toString('base64');
+  };
+
+  /**
+   * Checks that `signature` (base64) of `message` was made by the key of
+   * `address`. Only P2PKH addresses can sign messages.
+   */
+  root.verify = function(address, signature, message) {
+    try {
+      address = new bitcore.Address(address);
+    } catch (e) {
+      throw new Error(gettext('Invalid address'));
+    }
+    if (!address.isPayToPublicKeyHash())
+      throw new Error(gettext('Only single signature addresses can sign messages'));
+
+    var sig;
+    try {
+      sig = bitcore.crypto.Signature.fromCompact(new Buffer(signature, 'base64'));
+    } catch (e) {
+      throw new Error(gettext('Invalid signature'));
+    }
+
+    var ecdsa = new bitcore.crypto.ECDSA();
+    ecdsa.hashbuf = root.magicHash(message);
+    ecdsa.sig = sig;
+
+    var publicKey;
+    try {
+      publicKey = ecdsa.toPublicKey();
+    } catch (e) {
+      return false;
+    }
+    if (publicKey.toAddress(address.network).toString() != address.toString()) return false;
+
+    ecdsa.pubkey = publicKey;
+    return ecdsa.verify().verified;
+  };
+
+  // The addresses of the wallet that can sign messages, with their paths
+  root.getAddresses = function(client, cb) {
+    if (client.credentials.addressType != 'P2PKH')
+      return cb(gettext('Only single signature wallets can sign messages'));
+
+    client.getMainAddresses({}, cb);
+  };
+
+  /**
+   * Signs `message` with the key of `address`, one of the wallet addresses
+   * returned by `getAddresses`. Keys are derived from the credentials, which
+   * must be unlocked, or the message is signed by the hardware wallet.
+   */
+  root.signWithWallet = function(client, address, message, cb) {
+    var path = address.path;
+
+    if (client.isPrivKeyExternal()) {
+      var driver = hwWallet.getClientDriver(client);
+      if (!driver || !driver.capabilities.signMessage)
+        return cb('Unsupported External Key:' + client.getPrivKeyExternalSourceName());
+
+      return driver.signMessage(client, path, message, cb);
+    }
+
+    if (!client.canSign())
+      return cb(gettext('This wallet has no private key'));
+
+    var signature;
+    try {
+      var privateKey = client.credentials.getDerivedXPrivKey().derive(path).privateKey;
+      if (privateKey.toAddress().toString() != address.address)
+        return cb(gettext('This address does not belong to the wallet'));
+
+      signature = root.sign(privateKey, message);
+    } catch (e) {
+      $log.warn('Could not sign message:', e);
+      return cb(e);
+    }
+    return cb(null, signature);
+  };
+
+  return root;
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+angular.module('copayApp.services').factory('ofxExporter', function(lodash, moment, historyExportService) {
+  var root = {};
+
+  root.id = 'ofx';
+  root.name = 'OFX';
+  root.extension = 'ofx';
+
+  var escape = function(text) {
+    return ('' + text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  };
+
+  var date = function(time) {
+    return moment.utc(time).format('YYYYMMDDHHmmss');
+  };
+
+  var status = '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>';
+
+  // An OFX 2.1.1 bank statement, the wallet being the account
+  root.export = function(lines, opts) {
+    var now = Date.now();
+    var times = lodash.pluck(lines, 'time');
+
+    var transactions = lodash.map(lines, function(line) {
+      var type = line.isFee ? 'FEE' : (line.amount < 0 ? 'DEBIT' : 'CREDIT');
+      return '<STMTTRN>' +
+        '<TRNTYPE>' + type + '</TRNTYPE>' +
+        '<DTPOSTED>' + date(line.time) + '</DTPOSTED>' +
+        '<TRNAMT>' + line.value + '</TRNAMT>' +
+        '<FITID>' + escape(line.id) + '</FITID>' +
+        '<NAME>' + escape((line.payee || line.txid).substring(0, 32)) + '</NAME>' +
+        '<MEMO>' + escape(historyExportService.getDescription(line)) + '</MEMO>' +
+        '</STMTTRN>';
+    });
+
+    var balance = lodash.sum(lines, function(line) {
+      return parseFloat(line.value);
+    }).toFixed(opts.currency == 'BTC' ? 8 : 2);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>' + status + '<DTSERVER>' + date(now) + '</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS><TRNUID>' + now + '</TRNUID>' + status,
+      '<STMTRS><CURDEF>' + escape(opts.currency) + '</CURDEF>',
+      '<BANKACCTFROM><BANKID>Copay</BANKID><ACCTID>' + escape(opts.walletId) + '</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>',
+      '<BANKTRANLIST><DTSTART>' + date(lodash.min(times.concat(now))) + '</DTSTART><DTEND>' + date(lodash.max(times.concat(now))) + '</DTEND>',
+    ].concat(transactions).concat([
+      '</BANKTRANLIST>',
+      '<LEDGERBAL><BALAMT>' + balance + '</BALAMT><DTASOF>' + date(now) + '</DTASOF></LEDGERBAL>',
+      '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+      '</OFX>',
+      ''
+    ]).join('\n');
+  };
+
+  return root;
+});
@@ -24,6 +24,7 @@ angular.module('copayApp.services').factory('ongoingProcess', function($log, $ti
     'validatingWallet': gettext('Validating wallet integrity...'),
     'connectingledger': gettext('Waiting for Ledger...'),
     'connectingtrezor': gettext('Waiting for Trezor...'),
+    'connectingemulated': gettext('Waiting for the emulated device...'),
     'validatingWords': gettext('Validating recovery phrase...'),
     'connectingCoinbase': gettext('Connecting to Coinbase...'),
     'connectingGlidera': gettext('Connecting to Glidera...'),
@@ -31,6 +32,9 @@ angular.module('copayApp.services').factory('ongoingProcess', function($log, $ti
     'sweepingWallet': gettext('Sweeping Wallet...'),
     'deletingWallet': gettext('Deleting Wallet...'),
     'extractingWalletInfo': gettext('Extracting Wallet Information...'),
+    'generatingNewAddress': gettext('Getting address...'),
+    'consolidating': gettext('Consolidating coins...'),
+    'discoveringWallets': gettext('Looking for wallets...'),
   };
 
   root.clear = function() {
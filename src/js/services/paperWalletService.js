@@ -0,0 +1,49 @@
+'use strict';
+
+angular.module('copayApp.services').factory('paperWalletService', function($timeout, lodash, bitcore, bwcService) {
+  var root = {};
+
+  root.generate = function(network) {
+    var privateKey = new bitcore.PrivateKey(null, network);
+    return {
+      address: privateKey.toAddress().toString(),
+      privateKey: privateKey.toWIF()
+    };
+  };
+
+  // BIP38 (non EC-multiply). Slow on purpose: takes seconds per key.
+  root.encrypt = function(paperWallet, passphrase, network) {
+    return bwcService.getBip38(network).encrypt(paperWallet.privateKey, passphrase, paperWallet.address);
+  };
+
+  /**
+   * Creates `count` paper wallets, encrypting their keys when a passphrase
+   * is given. Keys are made one at a time so `onProgress(done, count)` can
+   * update the UI in between.
+   */
+  root.generateAll = function(count, network, passphrase, onProgress, cb) {
+    var paperWallets = [];
+
+    var next = function() {
+      if (paperWallets.length >= count) return cb(null, paperWallets);
+
+      $timeout(function() {
+        var paperWallet = root.generate(network);
+        if (passphrase) {
+          try {
+            paperWallet.encryptedKey = root.encrypt(paperWallet, passphrase, network);
+          } catch (e) {
+            return cb(e);
+          }
+          delete paperWallet.privateKey;
+        }
+        paperWallets.push(paperWallet);
+        onProgress(paperWallets.length, count);
+        next();
+      }, 10);
+    };
+    next();
+  };
+
+  return root;
+});
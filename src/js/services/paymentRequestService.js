@@ -0,0 +1,196 @@
+'use strict';
+
+angular.module('copayApp.services').factory('paymentRequestService', function($log, lodash, gettext, storageService, addressService, rateService) {
+  var root = {};
+
+  root.statuses = {
+    pending: gettext('Pending'),
+    partiallyPaid: gettext('Partially paid'),
+    paid: gettext('Paid'),
+    expired: gettext('Expired')
+  };
+
+  // Expiry options, in minutes
+  root.expiries = [{
+    minutes: 15,
+    label: gettext('15 minutes')
+  }, {
+    minutes: 60,
+    label: gettext('1 hour')
+  }, {
+    minutes: 24 * 60,
+    label: gettext('1 day')
+  }, {
+    minutes: 7 * 24 * 60,
+    label: gettext('1 week')
+  }];
+
+  root.list = function(walletId, cb) {
+    storageService.getPaymentRequests(walletId, function(err, requests) {
+      if (err) return cb(err);
+      return cb(null, requests ? JSON.parse(requests) : []);
+    });
+  };
+
+  var save = function(walletId, requests, cb) {
+    storageService.setPaymentRequests(walletId, JSON.stringify(requests), cb);
+  };
+
+  root.getReceived = function(request) {
+    return lodash.sum(lodash.values(request.payments));
+  };
+
+  root.getStatus = function(request, now) {
+    var received = root.getReceived(request);
+
+    if (received >= request.amount) return 'paid';
+    if ((now || Date.now()) >= request.expiresOn) return 'expired';
+    if (received > 0) return 'partiallyPaid';
+    return 'pending';
+  };
+
+  // BIP21 URI of the request
+  root.getUri = function(request) {
+    var params = ['amount=' + (request.amount / 1e8).toFixed(8)];
+    if (request.label) params.push('label=' + encodeURIComponent(request.label));
+    if (request.message) params.push('message=' + encodeURIComponent(request.message));
+
+    return 'bitcoin:' + request.address + '?' + params.join('&');
+  };
+
+  /**
+   * Creates a request for `opts.fiatAmount` in `opts.currency`, with an
+   * optional `opts.label` and `opts.message`, that expires after
+   * `opts.expiresIn` minutes. It is paid to a new address of the wallet, at
+   * the exchange rate of the moment.
+   */
+  root.create = function(client, opts, cb) {
+    var walletId = client.credentials.walletId;
+
+    if (!rateService.isAvailable())
+      return cb(gettext('Exchange rates are not available'));
+    if (!(opts.fiatAmount > 0))
+      return cb(gettext('Invalid amount'));
+
+    addressService.getAddress(walletId, true, function(err, address) {
+      if (err) return cb(err);
+
+      var now = Date.now();
+      var request = {
+        id: now + '-' + address,
+        address: address,
+        amount: parseInt(rateService.fromFiat(opts.fiatAmount, opts.currency).toFixed(0)),
+        fiatAmount: opts.fiatAmount,
+        currency: opts.currency,
+        label: opts.label || null,
+        message: opts.message || null,
+        createdOn: now,
+        expiresOn: now + opts.expiresIn * 60 * 1000,
+        payments: {}
+      };
+
+      root.list(walletId, function(err, requests) {
+        if (err) return cb(err);
+
+        requests.unshift(request);
+        save(walletId, requests, function(err) {
+          if (err) return cb(err);
+          return cb(null, request);
+        });
+      });
+    });
+  };
+
+  root.remove = function(walletId, id, cb) {
+    root.list(walletId, function(err, requests) {
+      if (err) return cb(err);
+
+      save(walletId, lodash.reject(requests, {
+        id: id
+      }), cb);
+    });
+  };
+
+  var HISTORY_LIMIT = 50;
+
+  // Payments arriving this long after a request expired are still counted
+  var LATE_PAYMENT_GRACE = 24 * 60 * 60 * 1000;
+
+  // Block times may be off by up to two hours
+  var TIME_MARGIN = 2 * 60 * 60;
+
+  // The wallet txs from `since` (in seconds), newest first
+  var getTxsSince = function(client, since, cb) {
+    var txs = [];
+
+    var next = function(skip) {
+      client.getTxHistory({
+        skip: skip,
+        limit: HISTORY_LIMIT
+      }, function(err, page) {
+        if (err) return cb(err);
+
+        page = page || [];
+        txs = txs.concat(lodash.filter(page, function(tx) {
+          return tx.time >= since;
+        }));
+
+        var last = lodash.last(page);
+        if (page.length < HISTORY_LIMIT || last.time < since)
+          return cb(null, txs);
+        next(skip + page.length);
+      });
+    };
+    next(0);
+  };
+
+  /**
+   * Matches the outputs to the addresses of the open requests, in the wallet
+   * history since they were created, to them. Spent coins are still found.
+   * Requests expired for longer than the grace period are not looked for.
+   */
+  root.update = function(client, cb) {
+    var walletId = client.credentials.walletId;
+
+    root.list(walletId, function(err, requests) {
+      if (err) return cb(err);
+
+      var now = Date.now();
+      var open = lodash.filter(requests, function(r) {
+        return root.getStatus(r, now) != 'paid' && now < r.expiresOn + LATE_PAYMENT_GRACE;
+      });
+      if (lodash.isEmpty(open)) return cb(null, requests);
+
+      var since = Math.floor(lodash.min(lodash.pluck(open, 'createdOn')) / 1000) - TIME_MARGIN;
+
+      getTxsSince(client, since, function(err, txs) {
+        if (err) return cb(err);
+
+        var changed = false;
+        lodash.each(open, function(r) {
+          lodash.each(txs, function(tx) {
+            if (tx.time < r.createdOn / 1000 - TIME_MARGIN) return;
+
+            var amount = lodash.sum(lodash.filter(tx.outputs, {
+              address: r.address
+            }), 'amount');
+            if (!amount || r.payments[tx.txid] == amount) return;
+
+            r.payments[tx.txid] = amount;
+            changed = true;
+          });
+        });
+
+        if (!changed) return cb(null, requests);
+
+        $log.debug('Payment requests updated');
+        save(walletId, requests, function(err) {
+          if (err) return cb(err);
+          return cb(null, requests);
+        });
+      });
+    });
+  };
+
+  return root;
+});
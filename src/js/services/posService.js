@@ -0,0 +1,122 @@
+'use strict';
+
+angular.module('copayApp.services').factory('posService', function($rootScope, lodash, sjcl, gettext, configService, addressService, rateService) {
+  var root = {};
+
+  // How long the BTC amount of a request is kept, whatever the rate does
+  root.LOCK_TIME = 5 * 60 * 1000;
+
+  root.get = function() {
+    return configService.getSync().pos || {};
+  };
+
+  root.isEnabled = function() {
+    return !!root.get().enabled;
+  };
+
+  root.hashPin = function(walletId, pin) {
+    return sjcl.codec.hex.fromBits(sjcl.hash.sha256.hash('pos' + walletId + pin));
+  };
+
+  var save = function(pos, cb) {
+    configService.set({
+      pos: pos
+    }, function(err) {
+      if (err) return cb(err);
+      $rootScope.$emit('Local/PosModeChanged', pos.enabled);
+      return cb();
+    });
+  };
+
+  // Locks the app in the register of `walletId` until `pin` is entered
+  root.enable = function(walletId, pin, cb) {
+    if (!pin) return cb(gettext('A PIN is required'));
+
+    save({
+      enabled: true,
+      walletId: walletId,
+      pinHash: root.hashPin(walletId, pin)
+    }, cb);
+  };
+
+  root.disable = function(pin, cb) {
+    var pos = root.get();
+    if (root.hashPin(pos.walletId, pin) != pos.pinHash)
+      return cb(gettext('Wrong PIN'));
+
+    save({
+      enabled: false,
+      walletId: null,
+      pinHash: null
+    }, cb);
+  };
+
+  /**
+   * A payment request for `fiatAmount` in `currency`, to a fresh address
+   * of the wallet. The BTC amount is computed once and kept for LOCK_TIME.
+   */
+  root.createRequest = function(client, fiatAmount, currency, cb) {
+    if (!rateService.isAvailable())
+      return cb(gettext('Exchange rates are not available'));
+    if (!(fiatAmount > 0))
+      return cb(gettext('Invalid amount'));
+
+    var amount = parseInt(rateService.fromFiat(fiatAmount, currency).toFixed(0));
+
+    addressService.getAddress(client.credentials.walletId, true, function(err, address) {
+      if (err) return cb(err);
+
+      var now = Date.now();
+      return cb(null, {
+        address: address,
+        amount: amount,
+        fiatAmount: fiatAmount,
+        currency: currency,
+        uri: 'bitcoin:' + address + '?amount=' + (amount / 1e8).toFixed(8),
+        createdOn: now,
+        expiresOn: now + root.LOCK_TIME
+      });
+    });
+  };
+
+  root.isExpired = function(request, now) {
+    return (now || Date.now()) >= request.expiresOn;
+  };
+
+  // Whether a wallet notification tells about a payment to the request address
+  root.isPaymentNotification = function(request, n) {
+    return n && n.type == 'NewIncomingTx' && n.data && n.data.address == request.address;
+  };
+
+  /**
+   * Amount received so far by the request address, confirmed or not. The
+   * request is paid when it reaches the requested amount.
+   */
+  root.getReceived = function(client, request, cb) {
+    client.getUtxos({
+      addresses: request.address
+    }, function(err, utxos) {
+      if (err) return cb(err);
+      return cb(null, lodash.sum(utxos, 'satoshis'));
+    });
+  };
+
+  root.isPaid = function(request, received) {
+    return received >= request.amount;
+  };
+
+  /**
+   * Status of the payment of a request: 'paid', 'late' when it was paid
+   * after its amount expired, at a rate that may not hold anymore, or null
+   * while it is not paid.
+   */
+  root.getPaymentStatus = function(client, request, cb) {
+    root.getReceived(client, request, function(err, received) {
+      if (err) return cb(err);
+      if (!root.isPaid(request, received)) return cb(null, null);
+      return cb(null, root.isExpired(request) ? 'late' : 'paid');
+    });
+  };
+
+  return root;
+});
@@ -620,6 +620,7 @@ angular.module('copayApp.services')
         network: opts.networkName,
         passphrase: opts.passphrase,
         account: opts.account || 0,
+        derivationStrategy: opts.derivationStrategy || 'BIP44',
       }, function(err) {
         if (err) {
           if (err instanceof errors.NOT_AUTHORIZED)
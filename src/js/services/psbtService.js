@@ -0,0 +1,321 @@
+'use strict';
+
+angular.module('copayApp.services').factory('psbtService', function($http, $log, lodash, gettext, bitcore, bwcService, configService, walletService) {
+  var root = {};
+
+  var Buffer = bitcore.deps.Buffer;
+  var BufferReader = bitcore.encoding.BufferReader;
+  var BufferWriter = bitcore.encoding.BufferWriter;
+  var Hash = bitcore.crypto.Hash;
+
+  var MAGIC = new Buffer('70736274ff', 'hex');
+  var SIGHASH_ALL = 0x01;
+  var HARDENED = 0x80000000;
+
+  // BIP174 key types
+  var GLOBAL_UNSIGNED_TX = 0x00;
+  var GLOBAL_XPUB = 0x01;
+  var IN_NON_WITNESS_UTXO = 0x00;
+  var IN_PARTIAL_SIG = 0x02;
+  var IN_SIGHASH_TYPE = 0x03;
+  var IN_REDEEM_SCRIPT = 0x04;
+  var IN_BIP32_DERIVATION = 0x06;
+  var OUT_REDEEM_SCRIPT = 0x00;
+  var OUT_BIP32_DERIVATION = 0x02;
+
+  var fingerprint = function(publicKey) {
+    return Hash.sha256ripemd160(publicKey.toBuffer()).slice(0, 4);
+  };
+
+  var uint32 = function(n) {
+    var bw = new BufferWriter();
+    bw.writeUInt32LE(n);
+    return bw.concat();
+  };
+
+  var writeKeyValue = function(bw, type, keyData, value) {
+    var key = Buffer.concat([new Buffer([type]), keyData || new Buffer(0)]);
+    bw.writeVarintNum(key.length);
+    bw.write(key);
+    bw.writeVarintNum(value.length);
+    bw.write(value);
+  };
+
+  var writeSeparator = function(bw) {
+    bw.writeUInt8(0x00);
+  };
+
+  var serializePath = function(fp, path) {
+    var indexes = lodash.map(lodash.rest(path.split('/')), function(i) {
+      return /'$/.test(i) ? (parseInt(i) + HARDENED) >>> 0 : parseInt(i);
+    });
+    return Buffer.concat([fp].concat(lodash.map(indexes, uint32)));
+  };
+
+  /**
+   * Key origin of a copayer's extended public key. The master fingerprint
+   * and the full path are only known for the key of this device when it is
+   * not encrypted: other keys are described relative to the account xpub.
+   */
+  var getKeyOrigin = function(client, xPubKey) {
+    var c = client.credentials;
+    if (xPubKey == c.xPubKey && c.xPrivKey) {
+      return {
+        fingerprint: fingerprint(new bitcore.HDPrivateKey(c.xPrivKey).publicKey),
+        path: c.getBaseAddressDerivationPath()
+      };
+    }
+    return {
+      fingerprint: fingerprint(new bitcore.HDPublicKey(xPubKey).publicKey),
+      path: 'm'
+    };
+  };
+
+  var getOrigins = function(client) {
+    return lodash.map(client.credentials.publicKeyRing, function(item) {
+      var origin = getKeyOrigin(client, item.xPubKey);
+      origin.xPubKey = item.xPubKey;
+      return origin;
+    });
+  };
+
+  var writeDerivations = function(bw, type, origins, path) {
+    lodash.each(origins, function(origin) {
+      var pub = new bitcore.HDPublicKey(origin.xPubKey).derive(path).publicKey;
+      writeKeyValue(bw, type, pub.toBuffer(), serializePath(origin.fingerprint, origin.path + path.substring(1)));
+    });
+  };
+
+  // Transaction of the proposal with empty input scripts, as BIP174 requires
+  var getUnsignedTx = function(txp) {
+    var t = bwcService.getUtils().buildTx(txp);
+    var unsigned = new bitcore.Transaction(t.uncheckedSerialize());
+    lodash.each(unsigned.inputs, function(input) {
+      input.setScript(bitcore.Script.empty());
+    });
+    return {
+      tx: t,
+      buffer: unsigned.toBuffer()
+    };
+  };
+
+  // Signatures already sent to the server by the copayers who accepted
+  var getCurrentSignatures = function(txp) {
+    return lodash.map(lodash.filter(txp.actions, {
+      type: 'accept'
+    }), function(action) {
+      return {
+        xpub: action.xpub,
+        signatures: action.signatures
+      };
+    });
+  };
+
+  /**
+   * Previous transactions of the inputs, from the block explorer of the
+   * wallet network in the config. Wallet services do not serve raw
+   * transactions, and signers reject inputs without them, so the export
+   * fails when one can not be fetched.
+   */
+  var getPrevTxs = function(client, txp, cb) {
+    var prevTxs = {};
+    var txids = lodash.uniq(lodash.pluck(txp.inputs, 'txid'));
+    var explorer = configService.getSync().explorer || {};
+    var url = explorer[client.credentials.network];
+    var error = gettext('Could not get the previous transactions of the inputs from the block explorer');
+
+    if (!url) return cb(gettext('No block explorer is set for this network'));
+
+    var next = function() {
+      var txid = txids.shift();
+      if (!txid) return cb(null, prevTxs);
+
+      $http({
+        method: 'GET',
+        url: url + '/rawtx/' + txid
+      }).then(function(res) {
+        var raw = new Buffer(res.data.rawtx || '', 'hex');
+        if (bitcore.util.buffer.reverse(Hash.sha256sha256(raw)).toString('hex') != txid) {
+          $log.warn('Wrong transaction received for ' + txid);
+          return cb(error);
+        }
+        prevTxs[txid] = raw;
+        next();
+      }, function(res) {
+        $log.warn('Could not fetch transaction ' + txid + ': ' + res.statusText);
+        return cb(error);
+      });
+    };
+    next();
+  };
+
+  var build = function(client, txp, prevTxs) {
+    var unsigned = getUnsignedTx(txp);
+    var origins = getOrigins(client);
+    var current = getCurrentSignatures(txp);
+    var bw = new BufferWriter();
+
+    bw.write(MAGIC);
+    writeKeyValue(bw, GLOBAL_UNSIGNED_TX, null, unsigned.buffer);
+    lodash.each(origins, function(origin) {
+      writeKeyValue(bw, GLOBAL_XPUB, bitcore.encoding.Base58Check.decode(origin.xPubKey), serializePath(origin.fingerprint, origin.path));
+    });
+    writeSeparator(bw);
+
+    lodash.each(txp.inputs, function(input, i) {
+      lodash.each(current, function(x) {
+        if (!x.signatures || !x.signatures[i]) return;
+        var pub = new bitcore.HDPublicKey(x.xpub).derive(input.path).publicKey;
+        writeKeyValue(bw, IN_PARTIAL_SIG, pub.toBuffer(), Buffer.concat([new Buffer(x.signatures[i], 'hex'), new Buffer([SIGHASH_ALL])]));
+      });
+      writeKeyValue(bw, IN_NON_WITNESS_UTXO, null, prevTxs[input.txid]);
+      writeKeyValue(bw, IN_SIGHASH_TYPE, null, uint32(SIGHASH_ALL));
+      if (unsigned.tx.inputs[i].redeemScript)
+        writeKeyValue(bw, IN_REDEEM_SCRIPT, null, unsigned.tx.inputs[i].redeemScript.toBuffer());
+      writeDerivations(bw, IN_BIP32_DERIVATION, origins, input.path);
+      writeSeparator(bw);
+    });
+
+    var changeScript = txp.changeAddress ? bitcore.Script.fromAddress(txp.changeAddress.address).toString() : null;
+    lodash.each(unsigned.tx.outputs, function(output) {
+      if (changeScript && output.script.toString() == changeScript) {
+        if (txp.addressType == 'P2SH') {
+          var publicKeys = lodash.map(origins, function(origin) {
+            return new bitcore.HDPublicKey(origin.xPubKey).derive(txp.changeAddress.path).publicKey;
+          });
+          writeKeyValue(bw, OUT_REDEEM_SCRIPT, null, bitcore.Script.buildMultisigOut(publicKeys, txp.requiredSignatures).toBuffer());
+        }
+        writeDerivations(bw, OUT_BIP32_DERIVATION, origins, txp.changeAddress.path);
+      }
+      writeSeparator(bw);
+    });
+
+    return bw.concat().toString('base64');
+  };
+
+  /**
+   * Serializes a proposal as a base64 BIP174 PSBT: the unsigned transaction,
+   * the previous transaction, redeem script and public keys (with their
+   * derivation) of every input, the same for the change output, and the
+   * signatures of the copayers who already accepted it.
+   */
+  root.export = function(client, txp, cb) {
+    getPrevTxs(client, txp, function(err, prevTxs) {
+      if (err) return cb(err);
+
+      var psbt;
+      try {
+        psbt = build(client, txp, prevTxs);
+      } catch (e) {
+        $log.warn('Could not export PSBT:', e);
+        return cb(e.message || e);
+      }
+      return cb(null, psbt);
+    });
+  };
+
+  var readMap = function(br) {
+    var map = [];
+    while (true) {
+      var keyLength = br.readVarintNum();
+      if (!keyLength) return map;
+      var key = br.read(keyLength);
+      map.push({
+        type: key[0],
+        keyData: key.slice(1),
+        value: br.read(br.readVarintNum())
+      });
+    }
+  };
+
+  /**
+   * Parses a base64 (or hex) PSBT. Returns the unsigned transaction and
+   * the partial signatures of every input, by public key.
+   */
+  root.parse = function(text) {
+    var buf;
+    text = (text || '').trim();
+    try {
+      buf = /^[0-9a-fA-F]+$/.test(text) ? new Buffer(text, 'hex') : new Buffer(text, 'base64');
+    } catch (e) {
+      $log.warn(e);
+    }
+    if (!buf || buf.length < MAGIC.length || buf.slice(0, MAGIC.length).toString('hex') != MAGIC.toString('hex'))
+      throw new Error(gettext('Invalid PSBT'));
+
+    try {
+      var br = new BufferReader(buf.slice(MAGIC.length));
+      var unsignedTx = lodash.find(readMap(br), {
+        type: GLOBAL_UNSIGNED_TX
+      });
+      if (!unsignedTx) throw new Error('Missing unsigned transaction');
+
+      var tx = new bitcore.Transaction(unsignedTx.value);
+      var inputs = lodash.map(tx.inputs, function() {
+        var partialSigs = {};
+        lodash.each(readMap(br), function(entry) {
+          if (entry.type == IN_PARTIAL_SIG)
+            partialSigs[entry.keyData.toString('hex')] = entry.value;
+        });
+        return {
+          partialSigs: partialSigs
+        };
+      });
+    } catch (e) {
+      $log.warn('Could not parse PSBT:', e);
+      throw new Error(gettext('Invalid PSBT'));
+    }
+
+    return {
+      unsignedTx: unsignedTx.value,
+      inputs: inputs
+    };
+  };
+
+  /**
+   * Signatures of this copayer for every input of `txp` found in `psbt`,
+   * in the format the wallet service expects (DER, hex)
+   */
+  root.getSignatures = function(client, txp, psbt) {
+    if (psbt.unsignedTx.toString('hex') != getUnsignedTx(txp).buffer.toString('hex'))
+      throw new Error(gettext('This PSBT is for another transaction'));
+
+    var xpub = new bitcore.HDPublicKey(client.credentials.xPubKey);
+    var signatures = lodash.map(txp.inputs, function(input, i) {
+      var pub = xpub.derive(input.path).publicKey.toString();
+      var sig = psbt.inputs[i].partialSigs[pub];
+      if (!sig || sig[sig.length - 1] != SIGHASH_ALL) return null;
+      return sig.slice(0, sig.length - 1).toString('hex');
+    });
+
+    var found = lodash.compact(signatures).length;
+    if (!found)
+      throw new Error(gettext('The PSBT has no signatures of this copayer'));
+    if (found < signatures.length)
+      throw new Error(gettext('The PSBT is not signed for every input'));
+
+    return signatures;
+  };
+
+  /**
+   * Merges the signatures of this copayer found in a PSBT into the proposal,
+   * broadcasting it if no other signatures are needed
+   */
+  root.applySignatures = function(client, txp, text, cb) {
+    var signatures;
+    try {
+      signatures = root.getSignatures(client, txp, root.parse(text));
+    } catch (e) {
+      return cb(e.message);
+    }
+
+    $log.debug('Applying PSBT signatures to ' + txp.id);
+    txp.signatures = signatures;
+    walletService.signAndBroadcast(client, txp, null, function(err, signedTxp) {
+      delete txp.signatures;
+      return cb(err, signedTxp);
+    });
+  };
+
+  return root;
+});
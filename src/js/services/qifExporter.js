@@ -0,0 +1,29 @@
+'use strict';
+
+angular.module('copayApp.services').factory('qifExporter', function(lodash, moment, historyExportService) {
+  var root = {};
+
+  root.id = 'qif';
+  root.name = 'QIF';
+  root.extension = 'qif';
+
+  // QIF fields are single lines
+  var field = function(code, text) {
+    return code + ('' + text).replace(/[\r\n]+/g, ' ');
+  };
+
+  root.export = function(lines, opts) {
+    var records = lodash.map(lines, function(line) {
+      return [
+        field('D', moment.utc(line.time).format('MM/DD/YYYY')),
+        field('T', line.value),
+        field('P', line.payee),
+        field('M', historyExportService.getDescription(line)),
+        '^'
+      ].join('\n');
+    });
+    return ['!Type:Bank'].concat(records).join('\n') + '\n';
+  };
+
+  return root;
+});
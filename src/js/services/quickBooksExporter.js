@@ -0,0 +1,20 @@
+'use strict';
+
+angular.module('copayApp.services').factory('quickBooksExporter', function(lodash, moment, historyExportService) {
+  var root = {};
+
+  root.id = 'quickbooks';
+  root.name = 'QuickBooks CSV';
+  root.extension = 'csv';
+
+  // The three column layout of the QuickBooks bank transactions upload
+  root.export = function(lines, opts) {
+    var rows = lodash.map(lines, function(line) {
+      var description = lodash.compact([line.payee, historyExportService.getDescription(line)]).join(': ');
+      return [moment.utc(line.time).format('MM/DD/YYYY'), description, line.value];
+    });
+    return historyExportService.toCsv(['Date', 'Description', 'Amount'], rows);
+  };
+
+  return root;
+});
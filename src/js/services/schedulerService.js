@@ -0,0 +1,267 @@
+'use strict';
+
+angular.module('copayApp.services').factory('schedulerService', function($rootScope, $log, $interval, lodash, moment, gettext, storageService, configService, profileService, walletService, rateService, ongoingProcess, bwcError) {
+  var root = {};
+
+  var CHECK_INTERVAL = 10 * 60 * 1000;
+
+  root.periods = {
+    daily: gettext('Daily'),
+    weekly: gettext('Weekly'),
+    monthly: gettext('Monthly'),
+    yearly: gettext('Yearly')
+  };
+
+  var PERIOD_UNITS = {
+    daily: 'days',
+    weekly: 'weeks',
+    monthly: 'months',
+    yearly: 'years'
+  };
+
+  var checking = false;
+  var timer = null;
+
+  root.list = function(cb) {
+    storageService.getScheduledPayments(function(err, payments) {
+      if (err) return cb(err);
+      return cb(null, payments ? JSON.parse(payments) : []);
+    });
+  };
+
+  var save = function(payments, cb) {
+    storageService.setScheduledPayments(JSON.stringify(payments), cb);
+  };
+
+  var update = function(payment, cb) {
+    root.list(function(err, payments) {
+      if (err) return cb(err);
+      save(lodash.map(payments, function(p) {
+        return p.id == payment.id ? payment : p;
+      }), cb);
+    });
+  };
+
+  /**
+   * Adds a recurring payment template:
+   *   walletId, name, currency ('BTC' or a fiat ISO code),
+   *   recipients [{toAddress, amount, message}] with amounts in `currency`,
+   *   period (one of `root.periods`) and firstRun (timestamp)
+   */
+  root.add = function(opts, cb) {
+    if (!opts.walletId || lodash.isEmpty(opts.recipients) || !PERIOD_UNITS[opts.period])
+      return cb(gettext('Missing parameters'));
+
+    var payment = {
+      id: Date.now() + '-' + Math.floor(Math.random() * 1e6),
+      walletId: opts.walletId,
+      name: opts.name,
+      currency: opts.currency || 'BTC',
+      recipients: lodash.map(opts.recipients, function(r) {
+        return lodash.pick(r, ['toAddress', 'amount', 'message']);
+      }),
+      period: opts.period,
+      firstRun: opts.firstRun || Date.now(),
+      run: 0,
+      createdOn: Date.now()
+    };
+    payment.nextRun = payment.firstRun;
+
+    root.list(function(err, payments) {
+      if (err) return cb(err);
+      save(payments.concat([payment]), function(err) {
+        return cb(err, payment);
+      });
+    });
+  };
+
+  root.remove = function(id, cb) {
+    root.list(function(err, payments) {
+      if (err) return cb(err);
+      save(lodash.reject(payments, {
+        id: id
+      }), cb);
+    });
+  };
+
+  /**
+   * Time of the run number `run` of a payment. Runs are counted from the
+   * first one, not from the previous run, so a payment on the 31st is
+   * made on the last day of shorter months and back on the 31st after.
+   */
+  root.getRun = function(payment, run) {
+    // Payments saved before the first run was kept count from the next one
+    var firstRun = payment.firstRun || payment.nextRun;
+    return moment(firstRun).add(run, PERIOD_UNITS[payment.period]).valueOf();
+  };
+
+  /**
+   * Moves `nextRun` past `now`. Runs missed while the app was closed are
+   * not paid retroactively: only one payment is proposed and the number
+   * of skipped runs is returned.
+   */
+  root.advance = function(payment, now) {
+    var run = payment.firstRun ? payment.run || 0 : 0;
+    var nextRun = root.getRun(payment, run);
+    var due = 0;
+
+    while (nextRun <= now) {
+      nextRun = root.getRun(payment, ++run);
+      due++;
+    }
+    return {
+      firstRun: payment.firstRun || payment.nextRun,
+      run: run,
+      nextRun: nextRun,
+      missed: Math.max(due - 1, 0)
+    };
+  };
+
+  root.getDue = function(payments, now) {
+    return lodash.filter(payments, function(p) {
+      return p.nextRun <= now;
+    });
+  };
+
+  var toSatoshis = function(amount, currency) {
+    if (currency == 'BTC')
+      return parseInt((amount * 1e8).toFixed(0));
+    return parseInt(rateService.fromFiat(amount, currency).toFixed(0));
+  };
+
+  var run = function(payment, cb) {
+    var client = profileService.getClient(payment.walletId);
+    var now = Date.now();
+
+    var finish = function(status, err) {
+      payment.lastResult = {
+        status: status,
+        error: err ? bwcError.msg(err) : null,
+        on: now,
+        missed: schedule.missed
+      };
+      update(payment, function() {
+        $rootScope.$emit('Local/ScheduledPaymentsUpdated');
+        return cb();
+      });
+    };
+
+    // Left from a wallet deleted before its payments were removed with it
+    if (!client) {
+      $log.warn('Removing scheduled payment of unknown wallet: ' + payment.walletId);
+      return root.remove(payment.id, function() {
+        return cb();
+      });
+    }
+
+    // Advance first, so a payment is never proposed twice for the same run
+    var schedule = root.advance(payment, now);
+    payment.firstRun = schedule.firstRun;
+    payment.run = schedule.run;
+    payment.nextRun = schedule.nextRun;
+    payment.lastRun = now;
+
+    update(payment, function(err) {
+      if (err) return cb(err);
+      if (schedule.missed) $log.info('Scheduled payment ' + payment.id + ': ' + schedule.missed + ' missed runs skipped');
+
+      var outputs = lodash.map(payment.recipients, function(r) {
+        return {
+          toAddress: r.toAddress,
+          amount: toSatoshis(r.amount, payment.currency),
+          message: r.message
+        };
+      });
+      var message = client.credentials.sharedEncryptingKey ? payment.name : null;
+
+      var txp = {
+        outputs: outputs,
+        amount: lodash.reduce(outputs, function(sum, o) {
+          return sum + o.amount;
+        }, 0),
+        excludeUnconfirmedUtxos: !configService.getSync().wallet.spendUnconfirmed,
+        feeLevel: configService.getSync().wallet.settings.feeLevel || 'normal'
+      };
+      if (outputs.length == 1) {
+        txp.toAddress = outputs[0].toAddress;
+        txp.message = message;
+      }
+      if (!client.credentials.sharedEncryptingKey) {
+        lodash.each(outputs, function(o) {
+          delete o.message;
+        });
+      }
+
+      ongoingProcess.set('creatingTx', true);
+      walletService.createTx(client, txp, function(err, createdTxp) {
+        ongoingProcess.set('creatingTx', false);
+        if (err) return finish('failed', err);
+
+        createdTxp.feeLevel = txp.feeLevel;
+        $rootScope.$emit('Local/NeedsConfirmation', createdTxp, function(accept) {
+          if (!accept) return finish('declined');
+
+          walletService.prepare(client, function(err, password) {
+            if (err) return finish('failed', err);
+
+            ongoingProcess.set('sendingTx', true);
+            walletService.publishAndSign(client, createdTxp, password, function(err, txp) {
+              ongoingProcess.set('sendingTx', false);
+              if (err) return finish('failed', err);
+              $rootScope.$emit('Local/TxProposalAction', txp.status == 'broadcasted');
+              return finish(txp.status == 'broadcasted' ? 'sent' : 'proposed');
+            });
+          });
+        });
+      });
+    });
+  };
+
+  /**
+   * Proposes every due payment, one at a time
+   */
+  root.checkDue = function(cb) {
+    cb = cb || function() {};
+    if (checking) return cb();
+
+    // Set before listing, so concurrent checks never see the same due payment
+    checking = true;
+    var done = function(err) {
+      checking = false;
+      return cb(err);
+    };
+
+    root.list(function(err, payments) {
+      if (err) return done(err);
+
+      var due = root.getDue(payments, Date.now());
+      if (lodash.isEmpty(due)) return done();
+
+      $log.info('Scheduled payments due: ' + due.length);
+
+      var next = function() {
+        var payment = due.shift();
+        if (!payment) return done();
+
+        if (payment.currency != 'BTC' && !rateService.isAvailable()) {
+          return rateService.whenAvailable(function() {
+            run(payment, next);
+          });
+        }
+        run(payment, next);
+      };
+      next();
+    });
+  };
+
+  root.start = function() {
+    if (timer) return root.checkDue();
+
+    timer = $interval(function() {
+      root.checkDue();
+    }, CHECK_INTERVAL);
+    root.checkDue();
+  };
+
+  return root;
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+angular.module('copayApp.services').factory('spendingLimitsService', function($rootScope, $log, lodash, sjcl, gettext, gettextCatalog, configService, txHistoryStore, rateService) {
+  var root = {};
+
+  var DAY = 24 * 60 * 60 * 1000;
+
+  root.periods = {
+    perTx: gettext('Per transaction'),
+    daily: gettext('Daily'),
+    weekly: gettext('Weekly')
+  };
+
+  // Proposals already cleared in this session, so the limits are not
+  // asked for twice between confirming and signing
+  var approved = {};
+
+  root.get = function(walletId) {
+    var config = configService.getSync();
+    return config.spendingLimitsFor ? config.spendingLimitsFor[walletId] : null;
+  };
+
+  root.isEnabled = function(walletId) {
+    var limits = root.get(walletId);
+    return !!limits && lodash.any(lodash.keys(root.periods), function(p) {
+      return limits[p] > 0;
+    });
+  };
+
+  /**
+   * Saves the limits of a wallet: currency ('BTC' or a fiat ISO code),
+   * perTx, daily and weekly amounts in that currency (null for no limit)
+   * and action ('block' or 'password')
+   */
+  root.set = function(walletId, limits, cb) {
+    var opts = {
+      spendingLimitsFor: {}
+    };
+    opts.spendingLimitsFor[walletId] = limits;
+    configService.set(opts, cb);
+  };
+
+  root.hashPassword = function(walletId, password) {
+    return sjcl.codec.hex.fromBits(sjcl.hash.sha256.hash(walletId + password));
+  };
+
+  var toSatoshis = function(amount, currency) {
+    if (currency == 'BTC')
+      return parseInt((amount * 1e8).toFixed(0));
+    if (!rateService.isAvailable()) return null;
+    return parseInt(rateService.fromFiat(amount, currency).toFixed(0));
+  };
+
+  // Amount sent (with fees) since `since`, from the local tx history
+  var getSpent = function(walletId, since, cb) {
+    txHistoryStore.getSince(walletId, Math.floor(since / 1000), function(err, txs) {
+      if (err) return cb(err);
+
+      return cb(null, lodash.reduce(txs, function(sum, tx) {
+        if (tx.action != 'sent' || tx.time * 1000 < since) return sum;
+        return sum + tx.amount + (tx.fees || 0);
+      }, 0));
+    });
+  };
+
+  /**
+   * Returns the list of limits the payment of `amount` satoshis (fee
+   * included) would go over
+   */
+  root.check = function(walletId, amount, cb) {
+    var limits = root.get(walletId);
+    if (!root.isEnabled(walletId)) return cb(null, []);
+
+    var now = Date.now();
+    var exceeded = [];
+
+    var over = function(period, spent) {
+      if (!(limits[period] > 0)) return;
+      var limit = toSatoshis(limits[period], limits.currency);
+      // Without exchange rates a fiat limit can not be checked: be safe
+      if (limit === null || spent + amount > limit) exceeded.push(period);
+    };
+
+    over('perTx', 0);
+    getSpent(walletId, now - DAY, function(err, spentDay) {
+      if (err) return cb(err);
+      over('daily', spentDay);
+
+      getSpent(walletId, now - 7 * DAY, function(err, spentWeek) {
+        if (err) return cb(err);
+        over('weekly', spentWeek);
+
+        if (exceeded.length) $log.info('Spending limits exceeded: ' + exceeded.join(', '));
+        return cb(null, exceeded);
+      });
+    });
+  };
+
+  var askPassword = function(client, limits, cb) {
+    // Encrypted wallets already asked for the spending password to sign
+    if (client.hasPrivKeyEncrypted()) return cb();
+
+    if (!limits.passwordHash)
+      return cb(gettextCatalog.getString('This payment is over the spending limits of this wallet'));
+
+    $rootScope.$emit('Local/NeedsPassword', false, function(err, password) {
+      if (err) return cb(err);
+      if (root.hashPassword(client.credentials.walletId, password) != limits.passwordHash)
+        return cb(gettextCatalog.getString('Wrong spending password'));
+      return cb();
+    });
+  };
+
+  /**
+   * Checks a proposal against the limits of its wallet. Depending on the
+   * settings, going over a limit blocks the payment or asks for the
+   * spending password.
+   */
+  root.verify = function(client, txp, cb) {
+    var walletId = client.credentials.walletId;
+    if (approved[txp.id] || !root.isEnabled(walletId)) return cb();
+
+    root.check(walletId, txp.amount + (txp.fee || 0), function(err, exceeded) {
+      if (err) return cb(err);
+      if (lodash.isEmpty(exceeded)) return cb();
+
+      var limits = root.get(walletId);
+      if (limits.action != 'password')
+        return cb(gettextCatalog.getString('This payment is over the spending limits of this wallet'));
+
+      askPassword(client, limits, function(err) {
+        if (err) return cb(err);
+        approved[txp.id] = true;
+        return cb();
+      });
+    });
+  };
+
+  return root;
+});
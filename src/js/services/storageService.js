@@ -1,6 +1,6 @@
 'use strict';
 angular.module('copayApp.services')
-  .factory('storageService', function(logHeader, fileStorageService, localStorageService, sjcl, $log, lodash, platformInfo) {
+  .factory('storageService', function(logHeader, fileStorageService, localStorageService, txHistoryStore, sjcl, $log, lodash, platformInfo) {
 
     var root = {};
 
@@ -276,22 +276,9 @@ angular.module('copayApp.services')
       });
     };
 
-    root.setTxHistory = function(txs, walletId, cb) {
-      try {
-        storage.set('txsHistory-' + walletId, txs, cb);
-      } catch (e) {
-        $log.error('Error saving tx History. Size:' + txs.length);
-        $log.error(e);
-        return cb(e);
-      }
-    }
-
-    root.getTxHistory = function(walletId, cb) {
-      storage.get('txsHistory-' + walletId, cb);
-    }
-
+    // The history itself is read and written through txHistoryStore
     root.removeTxHistory = function(walletId, cb) {
-      storage.remove('txsHistory-' + walletId, cb);
+      txHistoryStore.clear(walletId, cb);
     }
 
     root.setCoinbaseTxs = function(network, ctx, cb) {
@@ -318,16 +305,126 @@ angular.module('copayApp.services')
       storage.remove('bitpayCard-' + network, cb);
     };
 
+    root.setLockedUtxos = function(walletId, utxos, cb) {
+      storage.set('lockedUtxos-' + walletId, utxos, cb);
+    };
+
+    root.getLockedUtxos = function(walletId, cb) {
+      storage.get('lockedUtxos-' + walletId, cb);
+    };
+
+    root.removeLockedUtxos = function(walletId, cb) {
+      storage.remove('lockedUtxos-' + walletId, cb);
+    };
+
+    root.setPaymentRequests = function(walletId, requests, cb) {
+      storage.set('paymentRequests-' + walletId, requests, cb);
+    };
+
+    root.getPaymentRequests = function(walletId, cb) {
+      storage.get('paymentRequests-' + walletId, cb);
+    };
+
+    root.removePaymentRequests = function(walletId, cb) {
+      storage.remove('paymentRequests-' + walletId, cb);
+    };
+
+    root.setAddressLabels = function(walletId, labels, cb) {
+      storage.set('addressLabels-' + walletId, labels, cb);
+    };
+
+    root.getAddressLabels = function(walletId, cb) {
+      storage.get('addressLabels-' + walletId, cb);
+    };
+
+    root.removeAddressLabels = function(walletId, cb) {
+      storage.remove('addressLabels-' + walletId, cb);
+    };
+
+    root.setAddressVerifications = function(walletId, verifications, cb) {
+      storage.set('addressVerifications-' + walletId, verifications, cb);
+    };
+
+    root.getAddressVerifications = function(walletId, cb) {
+      storage.get('addressVerifications-' + walletId, cb);
+    };
+
+    root.removeAddressVerifications = function(walletId, cb) {
+      storage.remove('addressVerifications-' + walletId, cb);
+    };
+
+    root.setHistoryFilter = function(walletId, filter, cb) {
+      storage.set('historyFilter-' + walletId, filter, cb);
+    };
+
+    root.getHistoryFilter = function(walletId, cb) {
+      storage.get('historyFilter-' + walletId, cb);
+    };
+
+    root.removeHistoryFilter = function(walletId, cb) {
+      storage.remove('historyFilter-' + walletId, cb);
+    };
+
+    root.setScheduledPayments = function(payments, cb) {
+      storage.set('scheduledPayments', payments, cb);
+    };
+
+    root.getScheduledPayments = function(cb) {
+      storage.get('scheduledPayments', cb);
+    };
+
+    root.removeScheduledPayments = function(walletId, cb) {
+      root.getScheduledPayments(function(err, payments) {
+        if (err || !payments) return cb(err);
+        root.setScheduledPayments(JSON.stringify(lodash.reject(JSON.parse(payments), {
+          walletId: walletId
+        })), cb);
+      });
+    };
+
+    root.setInternalTransfers = function(transfers, cb) {
+      storage.set('internalTransfers', transfers, cb);
+    };
+
+    root.getInternalTransfers = function(cb) {
+      storage.get('internalTransfers', cb);
+    };
+
+    // Transfers from or to the wallet
+    root.removeInternalTransfers = function(walletId, cb) {
+      root.getInternalTransfers(function(err, transfers) {
+        if (err || !transfers) return cb(err);
+        root.setInternalTransfers(JSON.stringify(lodash.reject(JSON.parse(transfers), function(t) {
+          return t.fromWalletId == walletId || t.toWalletId == walletId;
+        })), cb);
+      });
+    };
+
+    // Run one after another, stopping at the first error. The backup flag
+    // is cleared last
+    var WALLET_DATA_REMOVERS = [
+      'clearLastAddress',
+      'removeTxHistory',
+      'removeLockedUtxos',
+      'removePaymentRequests',
+      'removeAddressLabels',
+      'removeAddressVerifications',
+      'removeHistoryFilter',
+      'removeScheduledPayments',
+      'removeInternalTransfers',
+      'clearBackupFlag'
+    ];
+
     root.removeAllWalletData = function(walletId, cb) {
-      root.clearLastAddress(walletId, function(err) {
-        if (err) return cb(err);
-        root.removeTxHistory(walletId, function(err) {
+      var next = function(i) {
+        if (i == WALLET_DATA_REMOVERS.length) return cb();
+
+        root[WALLET_DATA_REMOVERS[i]](walletId, function(err) {
           if (err) return cb(err);
-          root.clearBackupFlag(walletId, function(err) {
-            return cb(err);
-          });
+          next(i + 1);
         });
-      });
+      };
+      next(0);
     };
 
     root.setAmazonGiftCards = function(network, gcs, cb) {
@@ -0,0 +1,181 @@
+'use strict';
+
+angular.module('copayApp.services').factory('sweepService', function($log, lodash, gettext, bitcore, bwcService) {
+  var root = {};
+
+  // Sizes in bytes of a signed P2PKH input and output, and of the rest of the tx
+  var INPUT_SIZE = 148;
+  var UNCOMPRESSED_INPUT_SIZE = 180;
+  var OUTPUT_SIZE = 34;
+  var TX_OVERHEAD = 10;
+  var DUST_AMOUNT = 546;
+
+  root.isEncrypted = function(key) {
+    return key.substring(0, 2) == '6P';
+  };
+
+  /**
+   * Splits a pasted or scanned list of WIF and BIP38 keys. Keys can be
+   * separated by spaces, commas or new lines.
+   */
+  root.parseKeys = function(text) {
+    var keys = lodash.uniq(lodash.compact((text || '').split(/[\s,;]+/)));
+
+    return lodash.map(keys, function(key) {
+      return {
+        key: key,
+        isEncrypted: root.isEncrypted(key)
+      };
+    });
+  };
+
+  // The network of a WIF key, or null if it is not a valid key
+  root.getNetwork = function(wif) {
+    try {
+      return new bitcore.PrivateKey(wif).network.name;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  var getAddressHash = function(address) {
+    return bitcore.crypto.Hash.sha256sha256(new bitcore.deps.Buffer(address, 'ascii')).toString('hex').substring(0, 8);
+  };
+
+  /**
+   * Decrypts a BIP38 key. The address hash stored in the key tells whether
+   * the passphrase is right and which network the key belongs to, so the
+   * returned WIF is encoded for that network.
+   */
+  root.decrypt = function(encryptedKey, passphrase, cb) {
+    var wif, addressHash;
+    try {
+      wif = bwcService.getBip38('livenet').decrypt(encryptedKey, passphrase);
+      addressHash = bitcore.encoding.Base58Check.decode(encryptedKey).toString('hex').substring(6, 14);
+    } catch (e) {
+      $log.warn(e);
+      return cb(new Error(gettext('Could not decrypt private key')));
+    }
+
+    var privateKey = new bitcore.PrivateKey(wif);
+    var network = lodash.find(['livenet', 'testnet'], function(network) {
+      return getAddressHash(privateKey.toAddress(network).toString()) == addressHash;
+    });
+    if (!network) return cb(new Error(gettext('Wrong passphrase')));
+
+    var buf = bitcore.encoding.Base58Check.decode(wif);
+    buf[0] = bitcore.Networks.get(network).privatekey;
+    return cb(null, bitcore.encoding.Base58Check.encode(buf));
+  };
+
+  /**
+   * Fills in `privateKey` (WIF), `address`, `compressed` and `network` of a
+   * parsed key, decrypting it first if needed.
+   */
+  root.openKey = function(key, passphrase, cb) {
+    var open = function(err, wif) {
+      if (err) return cb(err);
+      if (!root.getNetwork(wif)) return cb(new Error(gettext('Invalid private key')));
+
+      var privateKey = new bitcore.PrivateKey(wif);
+      key.privateKey = wif;
+      key.address = privateKey.toAddress().toString();
+      key.compressed = privateKey.compressed;
+      key.network = privateKey.network.name;
+      return cb(null, key);
+    };
+
+    if (!key.isEncrypted) return open(null, key.key);
+    if (!passphrase) return cb(new Error(gettext('A passphrase is needed to decrypt the key')));
+    root.decrypt(key.key, passphrase, open);
+  };
+
+  /**
+   * Checks the balance of each key with `client`, whose network must be the
+   * one of the keys. Keys are processed one at a time, calling
+   * `onProgress(key)` as each one is done.
+   */
+  root.getBalances = function(client, keys, onProgress, cb) {
+    var i = 0;
+
+    var next = function() {
+      if (i >= keys.length) return cb(null, keys);
+      var key = keys[i++];
+
+      client.getBalanceFromPrivateKey(key.privateKey, function(err, balance) {
+        if (err) return cb(err);
+        key.balance = balance;
+        onProgress(key);
+        next();
+      });
+    };
+    next();
+  };
+
+  root.estimateFee = function(utxos, keys, feePerKb) {
+    var size = TX_OVERHEAD + OUTPUT_SIZE;
+    lodash.each(utxos, function(utxo) {
+      var key = lodash.find(keys, {
+        address: utxo.address
+      });
+      size += key && !key.compressed ? UNCOMPRESSED_INPUT_SIZE : INPUT_SIZE;
+    });
+    return Math.ceil(size * feePerKb / 1000);
+  };
+
+  /**
+   * Builds a single transaction spending the funds of every key in `keys`
+   * to `toAddress`, paying `feePerKb`. Each key needs `privateKey` and
+   * `address`.
+   */
+  root.buildTx = function(client, keys, toAddress, feePerKb, cb) {
+    if (lodash.isEmpty(keys)) return cb(new Error(gettext('No funds found')));
+
+    client.getUtxos({
+      addresses: lodash.pluck(keys, 'address')
+    }, function(err, utxos) {
+      if (err) return cb(err);
+      if (lodash.isEmpty(utxos)) return cb(new Error(gettext('No funds found')));
+
+      var fee = root.estimateFee(utxos, keys, feePerKb);
+      var amount = lodash.sum(utxos, 'satoshis') - fee;
+      if (amount < DUST_AMOUNT) return cb(new Error(gettext('Not enough funds to pay the fee')));
+
+      var tx;
+      try {
+        tx = new bitcore.Transaction()
+          .from(utxos)
+          .to(toAddress, amount)
+          .fee(fee)
+          .sign(lodash.pluck(keys, 'privateKey'));
+
+        // Make sure the tx can be serialized
+        tx.serialize();
+      } catch (e) {
+        $log.warn('Could not build sweep transaction', e);
+        return cb(new Error(gettext('Could not build transaction')));
+      }
+      return cb(null, tx);
+    });
+  };
+
+  /**
+   * Sweeps every key into a single transaction to `toAddress` and
+   * broadcasts it on the network of the keys.
+   */
+  root.sweep = function(client, keys, toAddress, feePerKb, cb) {
+    root.buildTx(client, keys, toAddress, feePerKb, function(err, tx) {
+      if (err) return cb(err);
+
+      client.broadcastRawTx({
+        rawTx: tx.serialize(),
+        network: new bitcore.Address(toAddress).network.name
+      }, function(err, txid) {
+        if (err) return cb(err);
+        return cb(null, txid, tx);
+      });
+    });
+  };
+
+  return root;
+});
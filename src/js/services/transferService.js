@@ -0,0 +1,121 @@
+'use strict';
+
+angular.module('copayApp.services').factory('transferService', function($log, lodash, storageService, profileService, addressService) {
+  var root = {};
+
+  root.list = function(cb) {
+    storageService.getInternalTransfers(function(err, transfers) {
+      if (err) return cb(err);
+      return cb(null, transfers ? JSON.parse(transfers) : []);
+    });
+  };
+
+  var save = function(transfers, cb) {
+    storageService.setInternalTransfers(JSON.stringify(transfers), cb);
+  };
+
+  // A new receive address of one of our wallets
+  root.getAddress = function(walletId, cb) {
+    var client = profileService.getClient(walletId);
+    if (!client) return cb('WALLET_NOT_FOUND');
+
+    profileService.isReady(client, function(err) {
+      if (err) return cb(err);
+      addressService.getAddress(walletId, true, cb);
+    });
+  };
+
+  /**
+   * Remembers that the proposal `txp` moves funds from one of our wallets
+   * to another, so both history entries can be labeled. The txid is only
+   * known once the proposal is broadcasted.
+   */
+  root.record = function(txp, fromWalletId, toWalletId, cb) {
+    cb = cb || function() {};
+
+    root.list(function(err, transfers) {
+      if (err) return cb(err);
+
+      transfers.push({
+        txpId: txp.id,
+        txid: txp.txid || null,
+        fromWalletId: fromWalletId,
+        toWalletId: toWalletId,
+        createdOn: Math.floor(Date.now() / 1000)
+      });
+      save(transfers, cb);
+    });
+  };
+
+  root.setTxid = function(txpId, txid, cb) {
+    cb = cb || function() {};
+
+    root.list(function(err, transfers) {
+      if (err) return cb(err);
+
+      var transfer = lodash.find(transfers, {
+        txpId: txpId
+      });
+      if (!transfer || !txid) return cb();
+
+      transfer.txid = txid;
+      save(transfers, cb);
+    });
+  };
+
+  var getWalletName = function(walletId) {
+    var wallet = lodash.find(profileService.getWallets(), {
+      id: walletId
+    });
+    return wallet ? wallet.name : null;
+  };
+
+  /**
+   * Labels for the internal transfers found in the history `txs` of a
+   * wallet, by txid: {direction: 'to' | 'from', walletId, walletName}.
+   * Transfers broadcasted by another copayer are matched by proposal id.
+   */
+  root.getLabels = function(walletId, txs, cb) {
+    root.list(function(err, transfers) {
+      if (err) return cb(err);
+
+      var resolved = false;
+      lodash.each(transfers, function(t) {
+        if (t.txid || t.fromWalletId != walletId) return;
+        var tx = lodash.find(txs, {
+          proposalId: t.txpId
+        });
+        if (tx) {
+          t.txid = tx.txid;
+          resolved = true;
+        }
+      });
+
+      var labels = {};
+      lodash.each(transfers, function(t) {
+        if (!t.txid) return;
+        if (t.fromWalletId == walletId) {
+          labels[t.txid] = {
+            direction: 'to',
+            walletId: t.toWalletId,
+            walletName: getWalletName(t.toWalletId)
+          };
+        } else if (t.toWalletId == walletId) {
+          labels[t.txid] = {
+            direction: 'from',
+            walletId: t.fromWalletId,
+            walletName: getWalletName(t.fromWalletId)
+          };
+        }
+      });
+
+      if (!resolved) return cb(null, labels);
+      save(transfers, function(err) {
+        if (err) $log.warn(err);
+        return cb(null, labels);
+      });
+    });
+  };
+
+  return root;
+});
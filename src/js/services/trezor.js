@@ -1,25 +1,43 @@
 'use strict';
 
 angular.module('copayApp.services')
-  .factory('trezor', function($log, $timeout, gettext, lodash, bitcore, hwWallet) {
+  .factory('trezor', function($log, $timeout, gettext, lodash, bitcore, platformInfo, hwWallet) {
     var root = {};
 
     var SETTLE_TIME = 3000;
     root.callbacks = {};
 
-    root.getEntropySource = function(isMultisig, account, callback) {
-      root.getXPubKey(hwWallet.getEntropyPath('trezor', isMultisig, account), function(data) {
-        if (!data.success)
-          return callback(hwWallet._err(data));
+    root.id = 'trezor';
+    root.name = 'Trezor';
+    root.label = 'Trezor Hardware Wallet';
+    root.accountBase = 1;
+    root.capabilities = {
+      singleSig: true,
+      multiSig: true,
+      showAddress: true,
+      signMessage: true
+    };
 
-        return callback(null, hwWallet.pubKeyToEntropySource(data.xpubkey));
+    root.isAvailable = function() {
+      return !!(platformInfo.isChromeApp || platformInfo.isDevel);
+    };
+
+    root.getEntropySource = function(isMultisig, account, callback) {
+      root.getXPubKey(hwWallet.getEntropyPath('trezor', isMultisig, account), function(err, xPubKey) {
+        if (err) return callback(err);
+        return callback(null, hwWallet.pubKeyToEntropySource(xPubKey));
       });
     };
 
 
     root.getXPubKey = function(path, callback) {
       $log.debug('TREZOR deriving xPub path:', path);
-      TrezorConnect.getXPubKey(path, callback);
+      TrezorConnect.getXPubKey(path, function(data) {
+        if (!data.success)
+          return callback(hwWallet._err(data));
+
+        return callback(null, data.xpubkey);
+      });
     };
 
 
@@ -31,11 +49,10 @@ angular.module('copayApp.services')
         $log.debug('Waiting TREZOR to settle...');
         $timeout(function() {
 
-          root.getXPubKey(hwWallet.getAddressPath('trezor', isMultisig, account), function(data) {
-            if (!data.success)
-              return callback(hwWallet._err(data));
+          root.getXPubKey(hwWallet.getAddressPath('trezor', isMultisig, account), function(err, xPubKey) {
+            if (err) return callback(err);
 
-            opts.extendedPublicKey = data.xpubkey;
+            opts.extendedPublicKey = xPubKey;
             opts.externalSource = 'trezor';
             opts.account = account;
 
@@ -69,7 +86,17 @@ angular.module('copayApp.services')
       return lodash.pluck(sorted, 'xpub');
     };
 
-    root.signTx = function(xPubKeys, txp, account, callback) {
+    root.signTx = function(client, txp, callback) {
+      var xPubKeys = lodash.pluck(client.credentials.publicKeyRing, 'xPubKey');
+      root._signTx(xPubKeys, txp, client.credentials.account, function(err, result) {
+        if (err) return callback(err);
+
+        $log.debug('Trezor response', result);
+        return callback(null, result.signatures);
+      });
+    };
+
+    root._signTx = function(xPubKeys, txp, account, callback) {
 
       var inputs = [],
         outputs = [];
@@ -236,5 +263,31 @@ angular.module('copayApp.services')
       });
     };
 
+    // Shows the single key address of the device at `path` on its screen
+    root.showAddress = function(client, path, callback) {
+      var n = hwWallet.pathToAddressN(hwWallet.getClientAddressPath(client, path));
+      var coin = client.credentials.network == 'testnet' ? 'Testnet' : 'Bitcoin';
+
+      $log.debug('TREZOR showing address. Path:', n);
+      TrezorConnect.getAddress(n, coin, false, function(res) {
+        if (!res.success)
+          return callback(hwWallet._err(res));
+
+        callback(null, res.address);
+      });
+    };
+
+    root.signMessage = function(client, path, message, callback) {
+      var n = hwWallet.pathToAddressN(hwWallet.getClientAddressPath(client, path));
+
+      $log.debug('Signing message with TREZOR. Path:', n);
+      TrezorConnect.signMessage(n, message, function(res) {
+        if (!res.success)
+          return callback(hwWallet._err(res));
+
+        callback(null, res.signature);
+      });
+    };
+
     return root;
   });
@@ -0,0 +1,538 @@
+'use strict';
+
+/*
+ * Local cache of the transaction history of the wallets, one record per
+ * transaction, read newest first. Browsers keep the records in IndexedDB,
+ * indexed by txid and time. Elsewhere records are grouped in chunks of the
+ * key value storage (files on Cordova), each one next to an index of the
+ * txids and times it holds.
+ */
+angular.module('copayApp.services')
+  .factory('txHistoryStore', function($log, lodash, platformInfo, fileStorageService, localStorageService) {
+    var root = {};
+
+    // Records per chunk, when not in IndexedDB
+    root.CHUNK_SIZE = 100;
+
+    // Records read at once by `filter`
+    root.SCAN_SIZE = 500;
+
+    // The whole history as a single JSON string, before this store
+    var LEGACY_PREFIX = 'txsHistory-';
+
+    var kv = platformInfo.isCordova && !platformInfo.isWP ? fileStorageService : localStorageService;
+
+    // Runs the storage operations `ops` one after the other
+    var series = function(ops, cb) {
+      ops = ops.slice();
+
+      var next = function(err) {
+        if (err) return cb(err);
+        var op = ops.shift();
+        if (!op) return cb();
+        op(next);
+      };
+      next();
+    };
+
+    root.newIndexedDbBackend = function(idb) {
+      var backend = {};
+      var db = null;
+
+      var open = function(cb) {
+        if (db) return cb();
+
+        var req = idb.open('copay-txs', 1);
+        req.onupgradeneeded = function() {
+          var store = req.result.createObjectStore('txs', {
+            keyPath: ['walletId', 'txid']
+          });
+          store.createIndex('time', ['walletId', 'time']);
+        };
+        req.onsuccess = function() {
+          db = req.result;
+          return cb();
+        };
+        req.onerror = function() {
+          return cb(req.error);
+        };
+      };
+
+      // Runs `fn` in a transaction; its result is the one given to `done`
+      var run = function(mode, fn, cb) {
+        open(function(err) {
+          if (err) return cb(err);
+
+          var result;
+          var tx = db.transaction('txs', mode);
+          var end = lodash.once(cb);
+          tx.oncomplete = function() {
+            return end(null, result);
+          };
+          tx.onerror = tx.onabort = function() {
+            return end(tx.error);
+          };
+          fn(tx.objectStore('txs'), function(r) {
+            result = r;
+          });
+        });
+      };
+
+      backend.put = function(walletId, txs, cb) {
+        run('readwrite', function(store) {
+          lodash.each(txs, function(tx) {
+            store.put({
+              walletId: walletId,
+              txid: tx.txid,
+              time: tx.time,
+              tx: tx
+            });
+          });
+        }, cb);
+      };
+
+      backend.remove = function(walletId, txids, cb) {
+        run('readwrite', function(store) {
+          lodash.each(txids, function(txid) {
+            store.delete([walletId, txid]);
+          });
+        }, cb);
+      };
+
+      backend.get = function(walletId, txids, cb) {
+        run('readonly', function(store, done) {
+          var txs = [];
+          done(txs);
+          lodash.each(txids, function(txid) {
+            store.get([walletId, txid]).onsuccess = function(e) {
+              if (e.target.result) txs.push(e.target.result.tx);
+            };
+          });
+        }, cb);
+      };
+
+      backend.count = function(walletId, cb) {
+        run('readonly', function(store, done) {
+          var range = IDBKeyRange.bound([walletId, -Infinity], [walletId, Infinity]);
+          store.index('time').count(range).onsuccess = function(e) {
+            done(e.target.result);
+          };
+        }, cb);
+      };
+
+      backend.page = function(walletId, opts, cb) {
+        run('readonly', function(store, done) {
+          var txs = [];
+          var skipped = !opts.skip;
+          done(txs);
+
+          var range = IDBKeyRange.bound([walletId, opts.minTime], [walletId, Infinity]);
+          store.index('time').openCursor(range, 'prev').onsuccess = function(e) {
+            var cursor = e.target.result;
+            if (!cursor || txs.length >= opts.limit) return;
+            if (!skipped) {
+              skipped = true;
+              return cursor.advance(opts.skip);
+            }
+            txs.push(cursor.value.tx);
+            cursor.continue();
+          };
+        }, cb);
+      };
+
+      backend.clear = function(walletId, cb) {
+        run('readwrite', function(store) {
+          // Every [walletId, txid] key
+          store.delete(IDBKeyRange.bound([walletId], [walletId, []]));
+        }, cb);
+      };
+
+      return backend;
+    };
+
+    root.newChunkBackend = function(kv) {
+      var backend = {};
+      var indexes = {};
+
+      // The numbers of the chunks of a wallet
+      var chunksKey = function(walletId) {
+        return 'txsChunks-' + walletId;
+      };
+
+      // The txid and time of the records of a chunk
+      var indexKey = function(walletId, chunk) {
+        return 'txsIndex-' + walletId + '-' + chunk;
+      };
+
+      var chunkKey = function(walletId, chunk) {
+        return 'txsChunk-' + walletId + '-' + chunk;
+      };
+
+      var getJSON = function(key, cb) {
+        kv.get(key, function(err, data) {
+          if (err) return cb(err);
+          if (!data) return cb();
+          try {
+            return cb(null, JSON.parse(data));
+          } catch (e) {
+            $log.warn('Could not parse ' + key, e);
+            return cb();
+          }
+        });
+      };
+
+      var sortIndex = function(index) {
+        index.records = lodash.sortByOrder(index.records, ['time', 'txid'], [false, true]);
+      };
+
+      // The txid, time and chunk of every record, newest first
+      var getIndex = function(walletId, cb) {
+        if (indexes[walletId]) return cb(null, indexes[walletId]);
+
+        getJSON(chunksKey(walletId), function(err, chunks) {
+          if (err) return cb(err);
+
+          var index = {
+            chunks: chunks || [],
+            records: []
+          };
+          series(lodash.map(index.chunks, function(chunk) {
+            return function(done) {
+              getJSON(indexKey(walletId, chunk), function(err, entries) {
+                if (err) return done(err);
+
+                index.records = index.records.concat(lodash.map(entries, function(e) {
+                  return {
+                    txid: e[0],
+                    time: e[1],
+                    chunk: chunk
+                  };
+                }));
+                return done();
+              });
+            };
+          }), function(err) {
+            if (err) return cb(err);
+
+            index.byTxid = lodash.indexBy(index.records, 'txid');
+            sortIndex(index);
+            return cb(null, indexes[walletId] = index);
+          });
+        });
+      };
+
+      // Writes the index of the chunks of `chunks` only, and the chunk list if it changed
+      var saveIndex = function(walletId, index, chunks, cb) {
+        var byChunk = lodash.groupBy(index.records, 'chunk');
+
+        var ops = lodash.map(chunks, function(chunk) {
+          var key = indexKey(walletId, chunk);
+          return function(done) {
+            if (!byChunk[chunk]) return kv.remove(key, done);
+            kv.set(key, JSON.stringify(lodash.map(byChunk[chunk], function(r) {
+              return [r.txid, r.time];
+            })), done);
+          };
+        });
+
+        var all = lodash.sortBy(lodash.map(lodash.keys(byChunk), Number));
+        if (!lodash.isEqual(all, index.chunks)) {
+          index.chunks = all;
+          ops.push(function(done) {
+            if (lodash.isEmpty(all)) return kv.remove(chunksKey(walletId), done);
+            kv.set(chunksKey(walletId), JSON.stringify(all), done);
+          });
+        }
+        series(ops, cb);
+      };
+
+      // Applies `fn` to the records of each chunk of `chunks`, one after the other
+      var updateChunks = function(walletId, chunks, fn, cb) {
+        chunks = chunks.slice();
+
+        var next = function() {
+          var chunk = chunks.shift();
+          if (lodash.isUndefined(chunk)) return cb();
+
+          var key = chunkKey(walletId, chunk);
+          getJSON(key, function(err, records) {
+            if (err) return cb(err);
+
+            records = records || {};
+            fn(chunk, records);
+
+            var done = function(err) {
+              if (err) return cb(err);
+              next();
+            };
+            if (lodash.isEmpty(records)) kv.remove(key, done);
+            else kv.set(key, JSON.stringify(records), done);
+          });
+        };
+        next();
+      };
+
+      // Reads the records of `records`, from index entries, in their order
+      var read = function(walletId, records, cb) {
+        var chunks = lodash.uniq(lodash.pluck(records, 'chunk'));
+        var loaded = {};
+
+        var next = function() {
+          var chunk = chunks.shift();
+          if (lodash.isUndefined(chunk)) {
+            return cb(null, lodash.compact(lodash.map(records, function(r) {
+              return loaded[r.chunk][r.txid];
+            })));
+          }
+
+          getJSON(chunkKey(walletId, chunk), function(err, txs) {
+            if (err) return cb(err);
+            loaded[chunk] = txs || {};
+            next();
+          });
+        };
+        next();
+      };
+
+      backend.put = function(walletId, txs, cb) {
+        getIndex(walletId, function(err, index) {
+          if (err) return cb(err);
+
+          // New records fill the last chunk, then new ones
+          var sizes = lodash.countBy(index.records, 'chunk');
+          var last = index.records.length ? lodash.max(lodash.pluck(index.records, 'chunk')) : 0;
+          var changed = {};
+
+          lodash.each(txs, function(tx) {
+            var record = index.byTxid[tx.txid];
+            if (record) {
+              record.time = tx.time;
+            } else {
+              if ((sizes[last] || 0) >= root.CHUNK_SIZE) last++;
+              sizes[last] = (sizes[last] || 0) + 1;
+              record = index.byTxid[tx.txid] = {
+                txid: tx.txid,
+                time: tx.time,
+                chunk: last
+              };
+              index.records.push(record);
+            }
+            changed[record.chunk] = changed[record.chunk] || {};
+            changed[record.chunk][tx.txid] = tx;
+          });
+          sortIndex(index);
+
+          var chunks = lodash.keys(changed);
+          updateChunks(walletId, chunks, function(chunk, records) {
+            lodash.assign(records, changed[chunk]);
+          }, function(err) {
+            if (err) return cb(err);
+            saveIndex(walletId, index, chunks, cb);
+          });
+        });
+      };
+
+      backend.remove = function(walletId, txids, cb) {
+        getIndex(walletId, function(err, index) {
+          if (err) return cb(err);
+
+          var removed = lodash.compact(lodash.map(txids, function(txid) {
+            return index.byTxid[txid];
+          }));
+          if (!removed.length) return cb();
+
+          lodash.each(removed, function(r) {
+            delete index.byTxid[r.txid];
+          });
+          index.records = lodash.difference(index.records, removed);
+
+          var byChunk = lodash.groupBy(removed, 'chunk');
+          var chunks = lodash.keys(byChunk);
+          updateChunks(walletId, chunks, function(chunk, records) {
+            lodash.each(byChunk[chunk], function(r) {
+              delete records[r.txid];
+            });
+          }, function(err) {
+            if (err) return cb(err);
+            saveIndex(walletId, index, chunks, cb);
+          });
+        });
+      };
+
+      backend.get = function(walletId, txids, cb) {
+        getIndex(walletId, function(err, index) {
+          if (err) return cb(err);
+          read(walletId, lodash.compact(lodash.map(txids, function(txid) {
+            return index.byTxid[txid];
+          })), cb);
+        });
+      };
+
+      backend.count = function(walletId, cb) {
+        getIndex(walletId, function(err, index) {
+          if (err) return cb(err);
+          return cb(null, index.records.length);
+        });
+      };
+
+      backend.page = function(walletId, opts, cb) {
+        getIndex(walletId, function(err, index) {
+          if (err) return cb(err);
+
+          var records = lodash.takeWhile(index.records, function(r) {
+            return r.time >= opts.minTime;
+          });
+          read(walletId, records.slice(opts.skip, opts.skip + opts.limit), cb);
+        });
+      };
+
+      backend.clear = function(walletId, cb) {
+        getIndex(walletId, function(err, index) {
+          if (err) return cb(err);
+
+          var keys = lodash.flatten(lodash.map(index.chunks, function(chunk) {
+            return [chunkKey(walletId, chunk), indexKey(walletId, chunk)];
+          })).concat(chunksKey(walletId));
+          delete indexes[walletId];
+
+          series(lodash.map(keys, function(key) {
+            return function(done) {
+              kv.remove(key, done);
+            };
+          }), cb);
+        });
+      };
+
+      return backend;
+    };
+
+    var backend = !platformInfo.isCordova && window.indexedDB ? root.newIndexedDbBackend(window.indexedDB) : root.newChunkBackend(kv);
+
+    // Keeps the records in `b`, one of the backends above, from now on
+    root.setBackend = function(b) {
+      backend = b;
+    };
+
+    // The operation `method` of the backend in use
+    var call = function(method) {
+      return function() {
+        return backend[method].apply(backend, arguments);
+      };
+    };
+
+    // Operations on the records of a wallet run one after the other
+    var queues = {};
+    var enqueue = function(walletId, op, cb) {
+      var queue = queues[walletId] = queues[walletId] || [];
+      queue.push(function() {
+        op(function() {
+          queue.shift();
+          if (queue.length) queue[0]();
+          return cb.apply(null, arguments);
+        });
+      });
+      if (queue.length == 1) queue[0]();
+    };
+
+    // Moves the history of a wallet out of its old single key, once
+    var migrated = {};
+    var migrate = function(walletId, cb) {
+      if (migrated[walletId]) return cb();
+
+      kv.get(LEGACY_PREFIX + walletId, function(err, data) {
+        if (err) return cb(err);
+        if (!data) {
+          migrated[walletId] = true;
+          return cb();
+        }
+
+        var txs = [];
+        try {
+          txs = lodash.filter(JSON.parse(data), 'txid');
+        } catch (e) {
+          $log.warn(e);
+        }
+
+        $log.info('Moving ' + txs.length + ' cached txs of wallet ' + walletId + ' to one record each');
+        backend.put(walletId, txs, function(err) {
+          if (err) return cb(err);
+          kv.remove(LEGACY_PREFIX + walletId, function(err) {
+            if (err) return cb(err);
+            migrated[walletId] = true;
+            return cb();
+          });
+        });
+      });
+    };
+
+    var operation = function(fn) {
+      return function(walletId) {
+        var args = lodash.toArray(arguments);
+        var cb = args.pop();
+
+        enqueue(walletId, function(done) {
+          migrate(walletId, function(err) {
+            if (err) return done(err);
+            fn.apply(null, args.concat(done));
+          });
+        }, cb);
+      };
+    };
+
+    // Adds or replaces the records of `txs`
+    root.put = operation(call('put'));
+
+    root.remove = operation(call('remove'));
+
+    // The records of `txids` found, in no particular order
+    root.get = operation(call('get'));
+
+    root.count = operation(call('count'));
+
+    // `limit` records, newest first, after the `skip` newest ones
+    root.getPage = operation(function(walletId, skip, limit, cb) {
+      backend.page(walletId, {
+        skip: skip,
+        limit: limit,
+        minTime: -Infinity
+      }, cb);
+    });
+
+    // The records from `minTime` (in seconds) on, newest first
+    root.getSince = operation(function(walletId, minTime, cb) {
+      backend.page(walletId, {
+        skip: 0,
+        limit: Infinity,
+        minTime: minTime
+      }, cb);
+    });
+
+    root.getAll = function(walletId, cb) {
+      root.getSince(walletId, -Infinity, cb);
+    };
+
+    /**
+     * The records matching `predicate`, newest first. Records are read
+     * `SCAN_SIZE` at a time, so only the matches are kept in memory.
+     */
+    root.filter = function(walletId, predicate, cb) {
+      var found = [];
+
+      var next = function(skip) {
+        root.getPage(walletId, skip, root.SCAN_SIZE, function(err, txs) {
+          if (err) return cb(err);
+
+          found = found.concat(lodash.filter(txs, predicate));
+          if (txs.length < root.SCAN_SIZE) return cb(null, found);
+          next(skip + txs.length);
+        });
+      };
+      next(0);
+    };
+
+    root.clear = operation(function(walletId, cb) {
+      backend.clear(walletId, cb);
+    });
+
+    return root;
+  });
@@ -0,0 +1,174 @@
+'use strict';
+
+angular.module('copayApp.services').factory('walletDiscoveryService', function($log, lodash, bwcService, derivationPathHelper, hwWallet, profileService) {
+  var root = {};
+  var errors = bwcService.getErrors();
+
+  // Accounts walked for each derivation strategy
+  root.DEFAULT_ACCOUNTS = 5;
+
+  // Every path a recovery phrase could have been used with
+  root.getMnemonicCandidates = function(nbAccounts) {
+    var candidates = [];
+    lodash.each(['livenet', 'testnet'], function(network) {
+      lodash.each(['BIP44', 'BIP48'], function(derivationStrategy) {
+        lodash.times(nbAccounts, function(account) {
+          candidates.push({
+            network: network,
+            derivationStrategy: derivationStrategy,
+            account: account,
+            path: derivationPathHelper.format(derivationStrategy, network, account)
+          });
+        });
+      });
+
+      // BIP45 has no accounts
+      candidates.push({
+        network: network,
+        derivationStrategy: 'BIP45',
+        account: 0,
+        path: derivationPathHelper.format('BIP45', network, 0)
+      });
+    });
+    return candidates;
+  };
+
+  // Only the kinds of wallet the device can create are walked
+  root.getHardwareCandidates = function(device, nbAccounts) {
+    var capabilities = hwWallet.getDriver(device).capabilities;
+    var candidates = [];
+    var kinds = lodash.filter([false, true], function(isMultisig) {
+      return isMultisig ? capabilities.multiSig : capabilities.singleSig;
+    });
+    lodash.each(kinds, function(isMultisig) {
+      lodash.times(nbAccounts, function(account) {
+        candidates.push({
+          isMultisig: isMultisig,
+          account: account,
+          path: 'm/' + hwWallet.getAddressPath(device, isMultisig, account)
+        });
+      });
+    });
+    return candidates;
+  };
+
+  var describe = function(client, candidate) {
+    var c = client.credentials;
+    return {
+      client: client,
+      path: candidate.path,
+      walletId: c.walletId,
+      walletName: c.walletName,
+      m: c.m,
+      n: c.n,
+      network: c.network,
+      account: c.account,
+      derivationStrategy: c.derivationStrategy,
+      alreadyImported: !!profileService.getClient(c.walletId)
+    };
+  };
+
+  var isNotFound = function(err) {
+    return err instanceof errors.WALLET_DOES_NOT_EXIST || err instanceof errors.NOT_AUTHORIZED;
+  };
+
+  /*
+   * Runs `check` on each candidate, one after the other, and collects the
+   * clients of the wallets found. Stops at the first error other than the
+   * wallet not being found.
+   */
+  var walk = function(candidates, check, onProgress, cb) {
+    var found = [];
+    var i = 0;
+
+    var next = function() {
+      if (i >= candidates.length) return cb(null, found);
+
+      var candidate = candidates[i++];
+      onProgress(i, candidates.length);
+      check(candidate, function(err, client) {
+        if (err && !isNotFound(err)) return cb(err);
+        if (!err) found.push(describe(client, candidate));
+        next();
+      });
+    };
+    next();
+  };
+
+  /**
+   * Looks for the wallets of a recovery phrase on both networks, for
+   * accounts 0 to `opts.nbAccounts` - 1 of BIP44 and BIP48, and for BIP45.
+   * Each wallet found comes with its client, ready to be added to the
+   * profile with `importWallets`.
+   */
+  root.discoverMnemonic = function(words, opts, onProgress, cb) {
+    var candidates = root.getMnemonicCandidates(opts.nbAccounts || root.DEFAULT_ACCOUNTS);
+    words = profileService._normalizeMnemonic(words);
+
+    walk(candidates, function(candidate, cb) {
+      var client = bwcService.getClient(null, {
+        bwsurl: opts.bwsurl
+      });
+      $log.debug('Looking for wallet at ' + candidate.path + ' (' + candidate.network + ')');
+
+      client.importFromMnemonic(words, {
+        network: candidate.network,
+        passphrase: opts.passphrase,
+        account: candidate.account,
+        derivationStrategy: candidate.derivationStrategy
+      }, function(err) {
+        if (err) return cb(err);
+        return cb(null, client);
+      });
+    }, onProgress, cb);
+  };
+
+  /**
+   * Same as `discoverMnemonic` for the hardware wallet `device`, any
+   * registered driver. Hardware wallets are always on livenet.
+   */
+  root.discoverHardware = function(device, opts, onProgress, cb) {
+    var candidates = root.getHardwareCandidates(device, opts.nbAccounts || root.DEFAULT_ACCOUNTS);
+
+    walk(candidates, function(candidate, cb) {
+      hwWallet.getDriver(device).getInfoForNewWallet(candidate.isMultisig, candidate.account, function(err, lopts) {
+        if (err) return cb(err);
+
+        var client = bwcService.getClient(null, {
+          bwsurl: opts.bwsurl
+        });
+        $log.debug('Looking for wallet at ' + candidate.path);
+
+        client.importFromExtendedPublicKey(lopts.extendedPublicKey, device, lopts.entropySource, {
+          account: candidate.account,
+          derivationStrategy: lopts.derivationStrategy || 'BIP44'
+        }, function(err) {
+          if (err) return cb(err);
+          return cb(null, client);
+        });
+      });
+    }, onProgress, cb);
+  };
+
+  // Adds the wallets found, except the ones already in the profile
+  root.importWallets = function(wallets, bwsurl, cb) {
+    var walletIds = [];
+    var pending = lodash.reject(wallets, 'alreadyImported');
+
+    var next = function() {
+      var wallet = pending.shift();
+      if (!wallet) return cb(null, walletIds);
+
+      profileService.addAndBindWalletClient(wallet.client, {
+        bwsurl: bwsurl
+      }, function(err, walletId) {
+        if (err) return cb(err, walletIds);
+        walletIds.push(walletId);
+        next();
+      });
+    };
+    next();
+  };
+
+  return root;
+});
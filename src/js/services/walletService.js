@@ -1,35 +1,24 @@
 'use strict';
 
 // DO NOT INCLUDE STORAGE HERE \/ \/
-angular.module('copayApp.services').factory('walletService', function($log, lodash, trezor, ledger, storageService, configService, uxLanguage) {
+angular.module('copayApp.services').factory('walletService', function($rootScope, $log, $injector, lodash, hwWallet, storageService, configService, uxLanguage, spendingLimitsService, fingerprintService) {
 // DO NOT INCLUDE STORAGE HERE ^^
   
   var root = {};
 
-  var _signWithLedger = function(client, txp, cb) {
-    $log.info('Requesting Ledger Chrome app to sign the transaction');
-
-    ledger.signTx(txp, client.credentials.account, function(result) {
-      $log.debug('Ledger response', result);
-      if (!result.success)
-        return cb(result.message || result.error);
-
-      txp.signatures = lodash.map(result.signatures, function(s) {
-        return s.substring(0, s.length - 2);
-      });
-      return client.signTxProposal(txp, cb);
-    });
-  };
-
-  var _signWithTrezor = function(client, txp, cb) {
-    $log.info('Requesting Trezor  to sign the transaction');
+  var _signWithDevice = function(client, txp, cb) {
+    var driver = hwWallet.getClientDriver(client);
+    if (!driver) {
+      var msg = 'Unsupported External Key:' + client.getPrivKeyExternalSourceName();
+      $log.error(msg);
+      return cb(msg);
+    }
 
-    var xPubKeys = lodash.pluck(client.credentials.publicKeyRing, 'xPubKey');
-    trezor.signTx(xPubKeys, txp, client.credentials.account, function(err, result) {
+    $log.info('Requesting ' + driver.name + ' to sign the transaction');
+    driver.signTx(client, txp, function(err, signatures) {
       if (err) return cb(err);
 
-      $log.debug('Trezor response', result);
-      txp.signatures = result.signatures;
+      txp.signatures = signatures;
       return client.signTxProposal(txp, cb);
     });
   };
@@ -75,36 +64,27 @@ angular.module('copayApp.services').factory('walletService', function($log, loda
     if (lodash.isEmpty(txp) || lodash.isEmpty(client))
       return cb('MISSING_PARAMETER');
 
-    if (txp.sendMax) {
+    var create = function() {
       client.createTxProposal(txp, function(err, createdTxp) {
         if (err) return cb(err);
-        else return cb(null, createdTxp);
+        else {
+          $log.debug('Transaction created');
+          return cb(null, createdTxp);
+        }
       });
-    } else {
-      client.getFeeLevels(client.credentials.network, function(err, levels) {
-        if (err) return cb(err);
-
-        var feeLevelValue = lodash.find(levels, {
-          level: txp.feeLevel
-        });
+    };
 
-        if (!feeLevelValue || !feeLevelValue.feePerKB)
-          return cb({
-            message: 'Could not get dynamic fee for level: ' + feeLevel
-          });
+    // Fee already set: send max, or a custom fee for this transaction
+    if (txp.sendMax || lodash.isNumber(txp.fee) || lodash.isNumber(txp.feePerKb))
+      return create();
 
-        $log.debug('Dynamic fee: ' + txp.feeLevel + ' ' + feeLevelValue.feePerKB + ' SAT');
+    // feeService depends on profileService, which depends on this service
+    $injector.get('feeService').getFeePerKb(client, txp.feeLevel, function(err, feePerKb) {
+      if (err) return cb(err);
 
-        txp.feePerKb = feeLevelValue.feePerKB;
-        client.createTxProposal(txp, function(err, createdTxp) {
-          if (err) return cb(err);
-          else {
-            $log.debug('Transaction created');
-            return cb(null, createdTxp);
-          }
-        });
-      });
-    }
+      txp.feePerKb = feePerKb;
+      return create();
+    });
   };
 
   root.publishTx = function(client, txp, cb) {
@@ -126,29 +106,25 @@ angular.module('copayApp.services').factory('walletService', function($log, loda
     if (lodash.isEmpty(txp) || lodash.isEmpty(client))
       return cb('MISSING_PARAMETER');
 
-    if (client.isPrivKeyExternal()) {
-      switch (client.getPrivKeyExternalSourceName()) {
-        case 'ledger':
-          return _signWithLedger(client, txp, cb);
-        case 'trezor':
-          return _signWithTrezor(client, txp, cb);
-        default:
-          var msg = 'Unsupported External Key:' + client.getPrivKeyExternalSourceName();
-          $log.error(msg);
-          return cb(msg);
-      }
-    } else {
-
-      try {
-        client.signTxProposal(txp, function(err, signedTxp) {
-          $log.debug('Transaction signed');
-          return cb(err, signedTxp);
-        });
-      } catch (e) {
-        $log.warn('Error at signTxProposal:', e);
-        return cb(e);
+    spendingLimitsService.verify(client, txp, function(err) {
+      if (err) return cb(err);
+
+      // Signatures made elsewhere (e.g. imported from a PSBT) are sent as they are
+      if (client.isPrivKeyExternal() && !txp.signatures) {
+        return _signWithDevice(client, txp, cb);
+      } else {
+
+        try {
+          client.signTxProposal(txp, function(err, signedTxp) {
+            $log.debug('Transaction signed');
+            return cb(err, signedTxp);
+          });
+        } catch (e) {
+          $log.warn('Error at signTxProposal:', e);
+          return cb(e);
+        }
       }
-    }
+    });
   };
 
   root.broadcastTx = function(client, txp, cb) {
@@ -169,6 +145,63 @@ angular.module('copayApp.services').factory('walletService', function($log, loda
     });
   };
 
+  // Asks for the password of an encrypted wallet
+  root.handleEncryptedWallet = function(client, cb) {
+    if (!root.isEncrypted(client)) return cb();
+    $rootScope.$emit('Local/NeedsPassword', false, function(err, password) {
+      if (err) return cb(err);
+      return cb(null, password);
+    });
+  };
+
+  /**
+   * Checks the fingerprint, when required, and gets the password of the
+   * wallet, before using its key. Nothing is asked to wallets without a key.
+   */
+  root.prepare = function(client, cb) {
+    if (!client.canSign() && !client.isPrivKeyExternal()) return cb();
+
+    fingerprintService.check(client, function(err) {
+      if (err) return cb(err);
+      root.handleEncryptedWallet(client, cb);
+    });
+  };
+
+  /**
+   * Signs `txp`, unlocking the wallet with `password` from `prepare` for
+   * that time only, and broadcasts it once it has every signature needed
+   */
+  root.signAndBroadcast = function(client, txp, password, cb) {
+    if (password) {
+      var err = root.unlock(client, password);
+      if (err) return cb(err);
+    }
+
+    root.signTx(client, txp, function(err, signedTxp) {
+      if (password) root.lock(client);
+      if (err) return cb(err);
+
+      if (signedTxp.status != 'accepted') return cb(null, signedTxp);
+
+      root.broadcastTx(client, signedTxp, cb);
+    });
+  };
+
+  /**
+   * Publishes a created proposal, then signs and broadcasts it as
+   * `signAndBroadcast` does. Wallets without a key leave it published.
+   */
+  root.publishAndSign = function(client, txp, password, cb) {
+    root.publishTx(client, txp, function(err, publishedTxp) {
+      if (err) return cb(err);
+
+      if (!client.canSign() && !client.isPrivKeyExternal())
+        return cb(null, publishedTxp);
+
+      root.signAndBroadcast(client, publishedTxp, password, cb);
+    });
+  };
+
   root.rejectTx = function(client, txp, cb) {
     if (lodash.isEmpty(txp) || lodash.isEmpty(client))
       return cb('MISSING_PARAMETER');
@@ -0,0 +1,26 @@
+'use strict';
+
+angular.module('copayApp.services').factory('xeroExporter', function(lodash, moment, historyExportService) {
+  var root = {};
+
+  root.id = 'xero';
+  root.name = 'Xero CSV';
+  root.extension = 'csv';
+
+  // The columns of the Xero bank statement import
+  root.export = function(lines, opts) {
+    var rows = lodash.map(lines, function(line) {
+      return [
+        moment.utc(line.time).format('DD/MM/YYYY'),
+        line.value,
+        line.payee,
+        historyExportService.getDescription(line),
+        line.txid,
+        line.isFee ? 'FEE' : (line.amount < 0 ? 'DEBIT' : 'CREDIT')
+      ];
+    });
+    return historyExportService.toCsv(['*Date', '*Amount', 'Payee', 'Description', 'Reference', 'Transaction Type'], rows);
+  };
+
+  return root;
+});
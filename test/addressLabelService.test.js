@@ -0,0 +1,126 @@
+describe('addressLabelService', function() {
+
+  var addressLabelService, $rootScope, lodash;
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_addressLabelService_, _$rootScope_, _lodash_, storageService) {
+    addressLabelService = _addressLabelService_;
+    $rootScope = _$rootScope_;
+    lodash = _lodash_;
+    storageService.removeAddressLabels('walletId1', function() {});
+  }));
+
+  it('should set and remove labels', function(done) {
+    var spy = sinon.spy($rootScope, '$emit');
+
+    addressLabelService.setLabel('walletId1', 'addr1', ' Alice ', function(err) {
+      should.not.exist(err);
+      addressLabelService.setLabel('walletId1', 'addr2', 'Bob', function(err) {
+        should.not.exist(err);
+        addressLabelService.setLabel('walletId1', 'addr2', '', function(err, labels) {
+          should.not.exist(err);
+          labels.should.deep.equal({
+            addr1: 'Alice'
+          });
+          spy.lastCall.args[0].should.equal('Local/AddressLabelsUpdated');
+          spy.lastCall.args[1].should.equal('walletId1');
+
+          addressLabelService.getLabels('walletId1', function(err, labels) {
+            should.not.exist(err);
+            labels.should.deep.equal({
+              addr1: 'Alice'
+            });
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should label the history entries paying to labeled addresses', function() {
+    var txs = [{
+      txid: 'tx1',
+      action: 'received',
+      outputs: [{
+        address: 'addr1'
+      }, {
+        address: 'addr2'
+      }]
+    }, {
+      txid: 'tx2',
+      action: 'received',
+      outputs: [{
+        address: 'addr3'
+      }]
+    }, {
+      txid: 'tx3',
+      action: 'moved',
+      addressTo: 'addr2'
+    }];
+
+    addressLabelService.getTxLabels(txs, {
+      addr1: 'Alice',
+      addr2: 'Bob'
+    }).should.deep.equal({
+      tx1: 'Alice, Bob',
+      tx3: 'Bob'
+    });
+  });
+
+  it('should list main and change addresses with their balance', function(done) {
+    var client = {
+      getMainAddresses: sinon.stub().yields(null, [{
+        address: 'addr1',
+        path: 'm/0/1'
+      }, {
+        address: 'addr0',
+        path: 'm/0/0'
+      }])
+    };
+    var byAddress = [{
+      address: 'addr1',
+      path: 'm/0/1',
+      amount: 1000
+    }, {
+      address: 'change0',
+      path: 'm/1/0',
+      amount: 500
+    }];
+    var txs = [{
+      txid: 'tx1',
+      outputs: [{
+        address: 'addr1'
+      }]
+    }, {
+      txid: 'tx2',
+      outputs: [{
+        address: 'addr1'
+      }]
+    }];
+
+    addressLabelService.list(client, byAddress, txs, {
+      addr1: 'Alice'
+    }, function(err, addresses) {
+      should.not.exist(err);
+      lodash.pluck(addresses, 'address').should.deep.equal(['addr0', 'addr1', 'change0']);
+      addresses[1].should.deep.equal({
+        address: 'addr1',
+        path: 'm/0/1',
+        isChange: false,
+        balance: 1000,
+        txCount: 2,
+        label: 'Alice'
+      });
+      addresses[0].balance.should.equal(0);
+      addresses[2].isChange.should.equal(true);
+      done();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+describe('addressVerificationService', function() {
+
+  var addressVerificationService, emulatedDevice, bitcore, xPubKey, publicKey, address;
+
+  var newClient = function(serverAddress) {
+    return {
+      credentials: {
+        walletId: 'walletId1',
+        addressType: 'P2PKH',
+        network: 'testnet',
+        account: 0,
+        m: 1,
+        xPubKey: xPubKey,
+        publicKeyRing: [{
+          xPubKey: xPubKey
+        }]
+      },
+      isPrivKeyExternal: sinon.stub().returns(true),
+      getPrivKeyExternalSourceName: sinon.stub().returns('emulated'),
+      getMainAddresses: sinon.stub().yields(null, [{
+        address: serverAddress,
+        path: 'm/0/3'
+      }])
+    };
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_addressVerificationService_, _emulatedDevice_, _bitcore_, storageService) {
+    addressVerificationService = _addressVerificationService_;
+    emulatedDevice = _emulatedDevice_;
+    bitcore = _bitcore_;
+    storageService.removeAddressVerifications('walletId1', function() {});
+
+    var deviceKey = new bitcore.HDPrivateKey('testnet');
+    emulatedDevice.setKey(deviceKey.toString());
+    xPubKey = deviceKey.derive("m/44'/0'/0'").hdPublicKey.toString();
+    publicKey = new bitcore.HDPublicKey(xPubKey).derive('m/0/3').publicKey;
+    address = publicKey.toAddress('testnet').toString();
+  }));
+
+  it('should match the address shown by the device', function(done) {
+    sinon.spy(emulatedDevice, 'showAddress');
+
+    addressVerificationService.verify(newClient(address), address, function(err, result) {
+      should.not.exist(err);
+      emulatedDevice.showAddress.firstCall.args[1].should.equal('m/0/3');
+      result.matched.should.equal(true);
+      result.deviceAddress.should.equal(address);
+
+      addressVerificationService.list('walletId1', function(err, verifications) {
+        should.not.exist(err);
+        verifications[address].matched.should.equal(true);
+        done();
+      });
+    });
+  });
+
+  it('should show the address at its full path on a Trezor', function(done) {
+    var client = newClient(address);
+    client.getPrivKeyExternalSourceName.returns('trezor');
+    window.TrezorConnect = {
+      getAddress: sinon.stub().callsArgWith(3, {
+        success: true,
+        address: address
+      })
+    };
+
+    addressVerificationService.verify(client, address, function(err, result) {
+      var getAddress = window.TrezorConnect.getAddress;
+      delete window.TrezorConnect;
+      should.not.exist(err);
+      getAddress.firstCall.args[0].should.deep.equal([44 | 0x80000000, 0 | 0x80000000, 0 | 0x80000000, 0, 3]);
+      getAddress.firstCall.args[1].should.equal('Testnet');
+      result.matched.should.equal(true);
+      done();
+    });
+  });
+
+  it('should detect an address substituted by the server', function(done) {
+    var other = new bitcore.PrivateKey(null, 'testnet').toAddress().toString();
+
+    addressVerificationService.verify(newClient(other), other, function(err, result) {
+      should.not.exist(err);
+      result.matched.should.equal(false);
+      result.deviceAddress.should.equal(address);
+
+      addressVerificationService.list('walletId1', function(err, verifications) {
+        should.not.exist(err);
+        verifications[other].matched.should.equal(false);
+        done();
+      });
+    });
+  });
+
+  it('should not verify on a device that can not show addresses', function(done) {
+    emulatedDevice.capabilities.showAddress = false;
+
+    addressVerificationService.verify(newClient(address), address, function(err) {
+      emulatedDevice.capabilities.showAddress = true;
+      err.should.equal('This hardware wallet can not show addresses');
+      done();
+    });
+  });
+
+  it('should not verify the addresses of a multisig wallet', function(done) {
+    var client = newClient(address);
+    client.credentials.addressType = 'P2SH';
+    sinon.spy(emulatedDevice, 'showAddress');
+
+    addressVerificationService.isSupported(client).should.equal(false);
+    addressVerificationService.verify(client, address, function(err) {
+      err.should.equal('Only the addresses of single signature wallets can be verified on the device');
+      emulatedDevice.showAddress.called.should.equal(false);
+      done();
+    });
+  });
+});
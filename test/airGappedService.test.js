@@ -0,0 +1,93 @@
+describe('airGappedService', function() {
+
+  var airGappedService;
+  var client;
+  var txp = {
+    id: 'b0ae3b4a-7f11-4c2b-a1a4-2d9a33c3b5a1',
+    amount: 100000,
+    fee: 2260,
+    message: 'Rent',
+    encryptedMessage: '{"iv":"..."}',
+    outputs: [{
+      toAddress: 'mxbGzpcn5kKWd7Xc5LJpGtjKNfHXbGfHwv',
+      amount: 100000,
+      amountStr: '1,000 bits'
+    }],
+    amountStr: '1,000 bits',
+    actions: []
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_airGappedService_) {
+    airGappedService = _airGappedService_;
+    client = {
+      credentials: {
+        walletId: 'w1',
+        network: 'testnet',
+        m: 2,
+        n: 3,
+        xPubKey: 'xpub1',
+        publicKeyRing: [{
+          xPubKey: 'xpub1'
+        }]
+      }
+    };
+  }));
+
+  it('should export a proposal without clear text messages', function() {
+    var pkg = airGappedService.parse(airGappedService.exportTxp(client, txp), 'txp');
+
+    pkg.walletId.should.equal('w1');
+    pkg.m.should.equal(2);
+    pkg.xPubKey.should.equal('xpub1');
+    pkg.txp.id.should.equal(txp.id);
+    pkg.txp.message.should.equal(txp.encryptedMessage);
+    should.not.exist(pkg.txp.amountStr);
+    should.not.exist(pkg.txp.outputs[0].amountStr);
+  });
+
+  it('should reject a package of the wrong type', function() {
+    var text = airGappedService.exportTxp(client, txp);
+
+    (function() {
+      airGappedService.parse(text, 'signatures');
+    }).should.throw('Invalid file or QR code');
+    (function() {
+      airGappedService.parse('not json', 'txp');
+    }).should.throw('Invalid file or QR code');
+  });
+
+  it('should join QR parts scanned in any order', function() {
+    var text = new Array(1001).join('x') + 'end';
+    var parts = airGappedService.split(text);
+    parts.length.should.equal(3);
+
+    var scanned = {};
+    should.not.exist(airGappedService.addPart(scanned, parts[2]));
+    should.not.exist(airGappedService.addPart(scanned, parts[0]));
+    should.not.exist(airGappedService.addPart(scanned, parts[2]));
+    scanned.count.should.equal(2);
+    airGappedService.addPart(scanned, parts[1]).should.equal(text);
+  });
+
+  it('should refuse signatures of another wallet', function(done) {
+    client.getTxProposals = sinon.stub();
+    airGappedService.applySignatures(client, {
+      walletId: 'w2',
+      xPubKey: 'xpub1',
+      txpId: txp.id,
+      signatures: []
+    }, function(err) {
+      err.should.equal('These signatures belong to another wallet');
+      client.getTxProposals.called.should.equal(false);
+      done();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+describe('batchPaymentService', function() {
+
+  var batchPaymentService;
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_batchPaymentService_, configService) {
+    batchPaymentService = _batchPaymentService_;
+    configService.get(function() {});
+  }));
+
+  it('should parse CSV rows', function() {
+    var res = batchPaymentService.parse([
+      'address,amount,unit,memo',
+      'mqxPAtiNaoL4ERWN9JfVisfuGpFwACVcJ3,0.001,BTC,rent',
+      '"mtevLzhkNMeV1T8px5aghSjT5WeeXQVT2i",250,bits,"invoice 12, march"',
+    ].join('\n'), 'testnet');
+
+    res.rejected.length.should.equal(0);
+    res.recipients.length.should.equal(2);
+    res.recipients[0].amount.should.equal(100000);
+    res.recipients[0].message.should.equal('rent');
+    res.recipients[1].amount.should.equal(25000);
+    res.recipients[1].message.should.equal('invoice 12, march');
+    res.total.should.equal(125000);
+  });
+
+  it('should parse bitcoin URIs', function() {
+    var res = batchPaymentService.parse([
+      'bitcoin:n2mwd1JeJWCaLTfTAZMJtiWVyC3y1Wbfid?amount=0.5&message=salary',
+      'bitcoin:mmvNFchzzpWX5Yzx3j5A1vLf5KV9KtGEfo',
+    ].join('\n'), 'testnet');
+
+    res.recipients.length.should.equal(1);
+    res.recipients[0].amount.should.equal(50000000);
+    res.recipients[0].message.should.equal('salary');
+    res.rejected.length.should.equal(1);
+    res.rejected[0].line.should.equal(2);
+    res.rejected[0].error.should.equal('Missing amount');
+  });
+
+  it('should reject invalid rows', function() {
+    var res = batchPaymentService.parse([
+      'mqxPAtiNaoL4ERWN9JfVisfuGpFwACVcJ3,0.001,BTC',
+      '1BitcoinEaterAddressDontSendf59kuE,0.001,BTC',
+      'mtevLzhkNMeV1T8px5aghSjT5WeeXQVT2i,-1,BTC',
+      'mtevLzhkNMeV1T8px5aghSjT5WeeXQVT2i,1,XYZ',
+    ].join('\n'), 'testnet');
+
+    res.recipients.length.should.equal(1);
+    res.rejected.length.should.equal(3);
+    res.rejected[0].error.should.equal('Invalid address');
+    res.rejected[1].error.should.equal('Invalid amount');
+    res.rejected[2].line.should.equal(4);
+  });
+});
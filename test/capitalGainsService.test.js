@@ -0,0 +1,173 @@
+describe('capitalGainsService', function() {
+
+  var capitalGainsService, profileService, txHistoryStore, historyExportService;
+
+  // 1 BTC bought at 400 and 1 BTC at 500, then 1.5 BTC sold at 1000 and
+  // 0.1 BTC moved to another wallet of the profile
+  var histories = {
+    wallet1: [{
+      txid: 'a',
+      action: 'received',
+      amount: 1e8,
+      time: 1451606400
+    }, {
+      txid: 'b',
+      action: 'received',
+      amount: 1e8,
+      time: 1454284800
+    }, {
+      txid: 'c',
+      action: 'sent',
+      amount: 1.5e8,
+      fees: 1e4,
+      time: 1484438400
+    }, {
+      txid: 'd',
+      action: 'sent',
+      amount: 1e7,
+      fees: 2e4,
+      time: 1485907200
+    }],
+    wallet2: [{
+      txid: 'd',
+      action: 'received',
+      amount: 1e7,
+      time: 1485907200
+    }]
+  };
+  var rates = {
+    1451606400: 400,
+    1454284800: 500,
+    1484438400: 1000,
+    1485907200: 1000
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_capitalGainsService_, _profileService_, _txHistoryStore_, _historyExportService_) {
+    capitalGainsService = _capitalGainsService_;
+    profileService = _profileService_;
+    txHistoryStore = _txHistoryStore_;
+    historyExportService = _historyExportService_;
+  }));
+
+  it('should only count the fee of payments between wallets of the profile', function() {
+    var movements = capitalGainsService.getMovements(histories);
+
+    movements.map(function(m) {
+      return m.txid + ':' + m.amount;
+    }).should.deep.equal(['a:100000000', 'b:100000000', 'c:-150010000', 'd:-20000']);
+  });
+
+  it('should match disposals first in first out', function() {
+    var report = capitalGainsService.compute(capitalGainsService.getMovements(histories), rates, 'fifo');
+
+    report.disposals[0].proceeds.should.equal(1500);
+    report.disposals[0].costBasis.should.be.closeTo(650.05, 1e-9);
+    report.years.length.should.equal(1);
+    report.years[0].year.should.equal(2017);
+    report.years[0].gain.should.be.closeTo(849.85, 1e-9);
+    report.holdings.amount.should.equal(49970000);
+    report.holdings.costBasis.should.be.closeTo(249.85, 1e-9);
+    report.uncovered.should.equal(0);
+  });
+
+  it('should match disposals last in first out or at the average cost', function() {
+    var movements = capitalGainsService.getMovements(histories);
+
+    var lifo = capitalGainsService.compute(movements, rates, 'lifo');
+    lifo.years[0].costBasis.should.be.closeTo(700.12, 1e-9);
+    lifo.holdings.costBasis.should.be.closeTo(199.88, 1e-9);
+
+    var average = capitalGainsService.compute(movements, rates, 'average');
+    average.years[0].costBasis.should.be.closeTo(675.135, 1e-9);
+    average.holdings.costBasis.should.be.closeTo(224.865, 1e-9);
+  });
+
+  it('should report bitcoin sent without being received', function() {
+    var report = capitalGainsService.compute([{
+      txid: 'x',
+      time: 1484438400,
+      amount: -1e8,
+      fees: 0
+    }], rates, 'fifo');
+
+    report.uncovered.should.equal(1e8);
+    report.years[0].gain.should.equal(1000);
+  });
+
+  it('should report every livenet wallet of the profile', function(done) {
+    sinon.stub(profileService, 'getWallets').returns([{
+      id: 'wallet1'
+    }, {
+      id: 'wallet2'
+    }]);
+    sinon.stub(txHistoryStore, 'getAll', function(walletId, cb) {
+      return cb(null, histories[walletId]);
+    });
+    sinon.stub(historyExportService, 'getFiatRates').yields(null, rates);
+
+    capitalGainsService.getReport('fifo', 'USD', function(err, report) {
+      should.not.exist(err);
+      profileService.getWallets.firstCall.args[0].should.equal('livenet');
+      historyExportService.getFiatRates.firstCall.args[1].length.should.equal(4);
+      report.unsynced.length.should.equal(0);
+
+      var csv = capitalGainsService.getCsv(report);
+      csv.content.length.should.equal(4);
+      csv.content[0].should.deep.equal({
+        'Date': '2017-01-15T00:00:00.000Z',
+        'Txid': 'c',
+        'Amount': '1.50010000',
+        'Proceeds': '1500.00',
+        'Cost Basis': '650.05',
+        'Gain': '849.95',
+        'Currency': 'USD',
+        'Tax Year': 2017
+      });
+      csv.content[3]['Date'].should.equal('Holdings');
+      csv.content[3]['Amount'].should.equal('0.49970000');
+      done();
+    });
+  });
+
+  it('should list the wallets whose history was never synced', function(done) {
+    sinon.stub(profileService, 'getWallets').returns([{
+      id: 'wallet1',
+      name: 'Personal'
+    }, {
+      id: 'wallet3',
+      name: 'Savings'
+    }, {
+      id: 'wallet4',
+      name: 'Unused'
+    }]);
+    sinon.stub(txHistoryStore, 'getAll', function(walletId, cb) {
+      return cb(null, histories[walletId] || []);
+    });
+    sinon.stub(profileService, 'getClient', function(walletId) {
+      return {
+        getTxHistory: sinon.stub().yields(null, walletId == 'wallet3' ? [{
+          txid: 'e'
+        }] : [])
+      };
+    });
+    sinon.stub(historyExportService, 'getFiatRates').yields(null, rates);
+
+    capitalGainsService.getReport('fifo', 'USD', function(err, report) {
+      should.not.exist(err);
+      profileService.getClient.calledWith('wallet1').should.equal(false);
+      report.unsynced.should.deep.equal([{
+        id: 'wallet3',
+        name: 'Savings'
+      }]);
+      done();
+    });
+  });
+});
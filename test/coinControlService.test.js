@@ -0,0 +1,44 @@
+describe('coinControlService', function() {
+
+  var coinControlService;
+  var client = {
+    credentials: {
+      m: 1,
+      n: 1,
+      walletId: 'walletId1'
+    }
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_coinControlService_) {
+    coinControlService = _coinControlService_;
+  }));
+
+  it('should estimate the fee of a transaction', function() {
+    coinControlService.getEstimatedSize(client, 1, 1).should.equal(258);
+    coinControlService.getEstimatedFee(client, 1, 1, 10000).should.equal(2580);
+  });
+
+  it('should store locked coins per wallet', function(done) {
+    var utxo = {
+      txid: 'bf31ecaa8e10ce57f9a889fc4c893b40ff57b016dd763957d942e21ed55fc62c',
+      vout: 1
+    };
+    var key = coinControlService.getKey(utxo);
+    coinControlService.setLocked(client.credentials.walletId, [key, key], function(err) {
+      should.not.exist(err);
+      coinControlService.getLocked(client.credentials.walletId, function(err, locked) {
+        should.not.exist(err);
+        locked.should.deep.equal([key]);
+        done();
+      });
+    });
+  });
+});
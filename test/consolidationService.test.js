@@ -0,0 +1,68 @@
+describe('consolidationService', function() {
+
+  var consolidationService;
+  var client;
+
+  var utxo = function(i, satoshis) {
+    return {
+      txid: 'tx' + i,
+      vout: 0,
+      satoshis: satoshis,
+      confirmations: 6
+    };
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_consolidationService_) {
+    consolidationService = _consolidationService_;
+    client = {
+      credentials: {
+        m: 1,
+        n: 1
+      }
+    };
+  }));
+
+  it('should merge coins into a single output and report the savings', function() {
+    var utxos = [utxo(1, 5000), utxo(2, 20000), utxo(3, 30000), utxo(4, 100)];
+    var plan = consolidationService.plan(client, utxos, 10000);
+
+    plan.txs.length.should.equal(1);
+    plan.nbInputs.should.equal(3);
+    plan.skipped.should.equal(1);
+    plan.txs[0].amount.should.equal(55000 - plan.txs[0].fee);
+    plan.fee.should.equal(consolidationService.getSpendFee(client, 3, 10000));
+    plan.savings.should.equal(consolidationService.getSpendFee(client, 3, 10000) - consolidationService.getSpendFee(client, 1, 10000));
+  });
+
+  it('should split the coins in transactions within the maximum size', function() {
+    var max = consolidationService.getMaxInputs(client);
+    var utxos = [];
+    for (var i = 0; i < max + 10; i++)
+      utxos.push(utxo(i, 100000));
+
+    var plan = consolidationService.plan(client, utxos, 1000);
+    plan.txs.length.should.equal(2);
+    plan.txs[0].inputs.length.should.equal(max);
+    plan.txs[1].inputs.length.should.equal(10);
+
+    consolidationService.getCosts(client, utxos, [{
+      level: 'normal',
+      feePerKB: 1000
+    }])[0].exceedsMaxSize.should.equal(true);
+  });
+
+  it('should not plan anything when there is nothing to merge', function() {
+    var plan = consolidationService.plan(client, [utxo(1, 50000)], 10000);
+
+    plan.txs.length.should.equal(0);
+    plan.savings.should.equal(0);
+  });
+});
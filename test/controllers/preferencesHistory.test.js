@@ -1,6 +1,6 @@
 describe('Preferences History Controller', function() {
 
-  var walletService;
+  var walletService, getHistoricRates;
 
   var txHistory = '[{"txid":"bf31ecaa8e10ce57f9a889fc4c893b40ff57b016dd763957d942e21ed55fc62c","action":"received","amount":120000,"fees":4862,"time":1464969291,"confirmations":8,"outputs":[{"amount":120000,"address":"2N4HgtF9cJSzxhVkj5gbKxwJSKWBmnb9FNJ","message":null}],"note":{"body":"just a comment","editedBy":"31a8c3c0be9ffbb9f257c95f3fd2f73a59cf81e40199ba5918417270db8c4cdb","editedByName":"2-2","editedOn":1464969101},"message":null,"creatorName":"","hasUnconfirmedInputs":false,"amountStr":"1,200 bits","alternativeAmountStr":"0.68 USD","feeStr":"49 bits","safeConfirmed":"6+"}]';
 
@@ -11,10 +11,16 @@ describe('Preferences History Controller', function() {
         loadStorage: {
           'txsHistory-66d3afc9-7d76-4b25-850e-aa62fcc53a7d': txHistory,
         },
-      }, done);
+      }, function() {
+        inject(function(rateService) {
+          getHistoricRates = sinon.stub(rateService, 'getHistoricRates');
+        });
+        done();
+      });
     });
 
     afterEach(function(done) {
+      getHistoricRates.restore();
       mocks.clear({}, done);
     });
 
@@ -23,12 +29,64 @@ describe('Preferences History Controller', function() {
     });
 
     it('should export csv', function(done) {
+      getHistoricRates.yields(null, [{
+        ts: 1464969291000,
+        rate: 568.32
+      }]);
+
       scope.csvHistory(function(err) {
+        getHistoricRates.firstCall.args[0].should.equal('USD');
+        getHistoricRates.firstCall.args[1].should.deep.equal([1464969291000]);
         should.not.exist(err);
         should.exist(scope.csvReady);
         scope.csvReady.should.equal(true);
         should.exist(scope.csvContent);
-        JSON.stringify(scope.csvContent).should.equal('[{"Date":"2016-06-03T15:54:51.000Z","Destination":"","Description":"","Amount":"0.00120000","Currency":"BTC","Txid":"bf31ecaa8e10ce57f9a889fc4c893b40ff57b016dd763957d942e21ed55fc62c","Creator":"","Copayers":"","Comment":"just a comment"}]');
+        JSON.stringify(scope.csvContent).should.equal('[{"Date":"2016-06-03T15:54:51.000Z","Destination":"","Description":"","Amount":"0.00120000","Currency":"BTC","Fiat Amount":"0.68","Fiat Currency":"USD","Txid":"bf31ecaa8e10ce57f9a889fc4c893b40ff57b016dd763957d942e21ed55fc62c","Creator":"","Copayers":"","Comment":"just a comment"}]');
+        done();
+      });
+    });
+
+    it('should export with a registered exporter', function(done) {
+      getHistoricRates.yields(null, [{
+        ts: 1464969291000,
+        rate: 568.32
+      }]);
+
+      inject(function(backupService, historyExportService) {
+        var download = sinon.stub(backupService, 'download').yields();
+
+        scope.csvHistory(function() {
+          scope.exporters.length.should.equal(4);
+          scope.exportAs(historyExportService.getExporter('qif'), function() {
+            download.firstCall.args[0].should.equal('!Type:Bank\nD06/03/2016\nT0.68\nMjust a comment\n^\n');
+            download.firstCall.args[1].should.match(/\.qif$/);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should export csv without fiat values if rates are not available', function(done) {
+      getHistoricRates.yields('Service unavailable');
+
+      scope.csvHistory(function(err) {
+        should.not.exist(err);
+        should.exist(scope.ratesError);
+        scope.csvContent.length.should.equal(1);
+        scope.csvContent[0]['Amount'].should.equal('0.00120000');
+        scope.csvContent[0]['Fiat Amount'].should.equal('');
+        done();
+      });
+    });
+
+    it('should only export transactions in the date range', function(done) {
+      scope.exportOpts.from = new Date(2016, 6, 1);
+
+      scope.csvHistory(function(err) {
+        should.not.exist(err);
+        scope.csvReady.should.equal(true);
+        scope.csvContent.should.deep.equal([]);
+        getHistoricRates.called.should.equal(false);
         done();
       });
     });
@@ -16,4 +16,24 @@ describe('walletHome', function() {
     should.exist(ctrl);
   });
 
+  it('should keep a running total of the recipients', function() {
+    ctrl.recipients = [{
+      toAddress: 'mxa8F1GhYbinKyNDQq7HiHqasAYj5pNkBp',
+      amount: 1000,
+    }, {
+      toAddress: 'mnWZ4CSvPX1rMYiTmVn1UW6TiNZeNw8p4E',
+      amount: 2000,
+    }];
+    ctrl.updateTotal();
+    ctrl.totalAmountStr.should.equal('30 bits');
+
+    ctrl.removeRecipient(0);
+    ctrl.recipients.length.should.equal(1);
+    ctrl.recipients[0].amount.should.equal(2000);
+    ctrl.totalAmountStr.should.equal('20 bits');
+
+    ctrl.removeRecipient(0);
+    should.not.exist(ctrl.totalAmountStr);
+  });
+
 });
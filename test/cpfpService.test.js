@@ -0,0 +1,80 @@
+describe('cpfpService', function() {
+
+  var cpfpService;
+  var client;
+  var btx = {
+    txid: 'bf31ecaa8e10ce57f9a889fc4c893b40ff57b016dd763957d942e21ed55fc62c',
+    action: 'sent',
+    confirmations: 0,
+    fees: 2260,
+    size: 226
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_cpfpService_) {
+    cpfpService = _cpfpService_;
+    client = {
+      credentials: {
+        m: 1,
+        n: 1
+      },
+      getUtxos: sinon.stub().yields(null, [{
+        txid: btx.txid,
+        vout: 1,
+        satoshis: 100000
+      }, {
+        txid: 'other',
+        vout: 0,
+        satoshis: 500000
+      }])
+    };
+  }));
+
+  it('should pay the fee level for parent and child together', function(done) {
+    cpfpService.getInfo(client, btx, 50000, function(err, info) {
+      should.not.exist(err);
+      info.inputs.length.should.equal(1);
+      info.fee.should.equal(21940);
+      info.amount.should.equal(78060);
+      info.effectiveFeeRate.should.equal('50.0');
+      info.parentFeeRate.should.equal('10.0');
+      done();
+    });
+  });
+
+  it('should not speed up a transaction already paying the fee level', function(done) {
+    cpfpService.getInfo(client, btx, 5000, function(err, info) {
+      should.exist(err);
+      should.not.exist(info);
+      done();
+    });
+  });
+
+  it('should estimate the size of a multisig parent from its inputs and outputs', function(done) {
+    client.credentials = {
+      m: 2,
+      n: 3
+    };
+    cpfpService.getInfo(client, {
+      txid: btx.txid,
+      action: 'sent',
+      confirmations: 0,
+      fees: 2260,
+      inputs: [{}, {}],
+      outputs: [{}]
+    }, 50000, function(err, info) {
+      should.not.exist(err);
+      info.parentSize.should.equal(720);
+      info.estimatedParentSize.should.equal(true);
+      info.fee.should.equal(Math.ceil((720 + info.size) * 50) - 2260);
+      done();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+describe('emulatedDevice', function() {
+
+  var emulatedDevice, hwWallet, messageService, bwcService, bitcore, deviceKey;
+
+  var newClient = function(addressType, account) {
+    return {
+      credentials: {
+        addressType: addressType,
+        network: 'testnet',
+        account: account
+      },
+      isPrivKeyExternal: sinon.stub().returns(true),
+      getPrivKeyExternalSourceName: sinon.stub().returns('emulated')
+    };
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_emulatedDevice_, _hwWallet_, _messageService_, _bwcService_) {
+    emulatedDevice = _emulatedDevice_;
+    hwWallet = _hwWallet_;
+    messageService = _messageService_;
+    bwcService = _bwcService_;
+    bitcore = bwcService.getBitcore();
+
+    deviceKey = new bitcore.HDPrivateKey('testnet');
+    emulatedDevice.setKey(deviceKey.toString());
+  }));
+
+  it('should be registered as a hardware wallet driver', function() {
+    hwWallet.getDriver('emulated').should.equal(emulatedDevice);
+    hwWallet.getClientDriver(newClient('P2PKH', 0)).should.equal(emulatedDevice);
+    should.not.exist(hwWallet.getDriver('unknown'));
+
+    var client = newClient('P2PKH', 0);
+    client.isPrivKeyExternal.returns(false);
+    should.not.exist(hwWallet.getClientDriver(client));
+  });
+
+  it('should give the keys of a new shared wallet', function(done) {
+    emulatedDevice.getInfoForNewWallet(true, 2, function(err, opts) {
+      should.not.exist(err);
+      opts.externalSource.should.equal('emulated');
+      opts.derivationStrategy.should.equal('BIP48');
+      opts.account.should.equal(2);
+      opts.extendedPublicKey.should.equal(deviceKey.derive("m/48'/0'/2'").hdPublicKey.toString());
+      opts.entropySource.should.equal(deviceKey.derive("m/0xb11e/48'/2'").publicKey.toString());
+      done();
+    });
+  });
+
+  it('should sign transactions with the key of the wallet account', function(done) {
+    sinon.stub(bwcService.Client, 'signTxp').returns(['signature']);
+
+    emulatedDevice.signTx(newClient('P2SH', 1), {}, function(err, signatures) {
+      bwcService.Client.signTxp.restore();
+      should.not.exist(err);
+      signatures.should.deep.equal(['signature']);
+      bwcService.Client.signTxp.firstCall.args[1].toString().should.equal(deviceKey.derive("m/48'/0'/1'").toString());
+      done();
+    });
+  });
+
+  it('should fail without a key instead of making up one', function(done) {
+    emulatedDevice.setKey(null);
+
+    emulatedDevice.signTx(newClient('P2PKH', 0), {}, function(err) {
+      err.should.contain('no key');
+      emulatedDevice.showAddress(newClient('P2PKH', 0), 'm/0/3', function(err, address) {
+        err.should.contain('no key');
+        should.not.exist(address);
+        emulatedDevice.signMessage(newClient('P2PKH', 0), 'm/0/3', 'hello', function(err) {
+          err.should.contain('no key');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should only hold testnet keys', function() {
+    (function() {
+      emulatedDevice.setKey(new bitcore.HDPrivateKey('livenet').toString());
+    }).should.throw('testnet');
+    emulatedDevice.network.should.equal('testnet');
+  });
+
+  it('should show and sign with the key of a wallet address', function(done) {
+    var client = newClient('P2PKH', 0);
+    var expected = deviceKey.derive("m/44'/0'/0'/0/3").publicKey.toAddress('testnet').toString();
+
+    emulatedDevice.showAddress(client, 'm/0/3', function(err, address) {
+      should.not.exist(err);
+      address.should.equal(expected);
+
+      messageService.signWithWallet(client, {
+        address: address,
+        path: 'm/0/3'
+      }, 'I own this address', function(err, signature) {
+        should.not.exist(err);
+        messageService.verify(address, signature, 'I own this address').should.equal(true);
+        done();
+      });
+    });
+  });
+});
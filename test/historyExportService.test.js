@@ -0,0 +1,164 @@
+describe('historyExportService', function() {
+
+  var historyExportService, rateService;
+
+  var txs = [{
+    txid: 'a',
+    action: 'received',
+    amount: 100000,
+    time: 1464969291
+  }, {
+    txid: 'b',
+    action: 'moved',
+    amount: 50000,
+    time: 1465228491
+  }, {
+    txid: 'c',
+    action: 'sent',
+    amount: 20000,
+    time: 1465487691
+  }];
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_historyExportService_, _rateService_) {
+    historyExportService = _historyExportService_;
+    rateService = _rateService_;
+  }));
+
+  afterEach(function() {
+    if (rateService.getHistoricRates.restore)
+      rateService.getHistoricRates.restore();
+  });
+
+  var txids = function(txs) {
+    return txs.map(function(tx) {
+      return tx.txid;
+    });
+  };
+
+  it('should leave out moved funds unless asked', function() {
+    txids(historyExportService.filter(txs, {})).should.deep.equal(['a', 'c']);
+    txids(historyExportService.filter(txs, {
+      includeMoved: true
+    })).should.deep.equal(['a', 'b', 'c']);
+  });
+
+  it('should include both days of the date range', function() {
+    var day = function(time) {
+      var d = new Date(time * 1000);
+      return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    };
+
+    txids(historyExportService.filter(txs, {
+      from: day(txs[1].time),
+      to: day(txs[2].time),
+      includeMoved: true
+    })).should.deep.equal(['b', 'c']);
+    txids(historyExportService.filter(txs, {
+      to: day(txs[0].time)
+    })).should.deep.equal(['a']);
+  });
+
+  it('should get the rates in batches, by transaction time', function(done) {
+    historyExportService.RATES_PER_REQUEST = 2;
+    sinon.stub(rateService, 'getHistoricRates', function(code, dates, cb) {
+      return cb(null, dates.map(function(ts) {
+        return {
+          ts: ts,
+          rate: ts / 1e10
+        };
+      }));
+    });
+
+    historyExportService.getFiatRates('EUR', txs, function(err, rates) {
+      historyExportService.RATES_PER_REQUEST = 50;
+      should.not.exist(err);
+      rateService.getHistoricRates.callCount.should.equal(2);
+      rateService.getHistoricRates.firstCall.args[0].should.equal('EUR');
+      rateService.getHistoricRates.secondCall.args[1].should.deep.equal([1465487691000]);
+      rates[1464969291].should.equal(146.4969291);
+      historyExportService.toFiat(txs[0].amount, rates[txs[0].time]).should.equal('0.15');
+      historyExportService.toFiat(txs[0].amount, undefined).should.equal('');
+      done();
+    });
+  });
+
+  describe('exporters', function() {
+    var sent = {
+      txid: 'f0e1',
+      action: 'sent',
+      amount: 120000,
+      fees: 4862,
+      time: 1464969291,
+      addressTo: 'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati',
+      message: 'Rent, June',
+      note: {
+        body: 'paid "early"'
+      }
+    };
+    var lines;
+
+    beforeEach(function() {
+      lines = historyExportService.getLines([sent], {
+        1464969291: 500
+      }, {
+        'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati': 'Landlord & Co'
+      });
+    });
+
+    it('should list the registered exporters', function() {
+      historyExportService.getExporters().map(function(e) {
+        return e.id;
+      }).should.deep.equal(['ofx', 'qif', 'quickbooks', 'xero']);
+      should.not.exist(historyExportService.getExporter('unknown'));
+    });
+
+    it('should give the fee of a payment its own line', function() {
+      lines.length.should.equal(2);
+      lines[0].value.should.equal('-0.60');
+      lines[0].payee.should.equal('Landlord & Co');
+      historyExportService.getDescription(lines[0]).should.equal('Rent, June - paid "early"');
+      lines[1].isFee.should.equal(true);
+      lines[1].value.should.equal('-0.02');
+
+      historyExportService.getLines([sent], null)[1].value.should.equal('-0.00004862');
+    });
+
+    it('should export QIF and OFX statements', function() {
+      var opts = {
+        walletId: 'walletId1',
+        currency: 'USD'
+      };
+
+      var qif = historyExportService.getExporter('qif').export(lines, opts);
+      qif.should.equal('!Type:Bank\nD06/03/2016\nT-0.60\nPLandlord & Co\nMRent, June - paid "early"\n^\n' +
+        'D06/03/2016\nT-0.02\nPBitcoin Network Fees\n^\n');
+
+      var ofx = historyExportService.getExporter('ofx').export(lines, opts);
+      ofx.should.contain('<CURDEF>USD</CURDEF>');
+      ofx.should.contain('<TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20160603155451</DTPOSTED><TRNAMT>-0.60</TRNAMT><FITID>f0e1</FITID>' +
+        '<NAME>Landlord &amp; Co</NAME><MEMO>Rent, June - paid "early"</MEMO>');
+      ofx.should.contain('<TRNTYPE>FEE</TRNTYPE>');
+    });
+
+    it('should export QuickBooks and Xero CSV files', function() {
+      var quickBooks = historyExportService.getExporter('quickbooks').export(lines, {});
+      quickBooks.split('\r\n').should.deep.equal([
+        'Date,Description,Amount',
+        '06/03/2016,"Landlord & Co: Rent, June - paid ""early""",-0.60',
+        '06/03/2016,Bitcoin Network Fees,-0.02',
+        ''
+      ]);
+
+      var xero = historyExportService.getExporter('xero').export(lines, {});
+      xero.split('\r\n')[1].should.equal('03/06/2016,-0.60,Landlord & Co,"Rent, June - paid ""early""",f0e1,DEBIT');
+    });
+  });
+});
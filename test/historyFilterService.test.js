@@ -0,0 +1,170 @@
+describe('historyFilterService', function() {
+
+  var historyFilterService, txHistoryStore, rateService;
+  var walletId = 'walletId1';
+
+  var txs = [{
+    txid: 'a',
+    action: 'received',
+    amount: 100000,
+    time: 1464969291,
+    confirmations: 20,
+    amountStr: '1,000 bits',
+    outputs: [{
+      address: 'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati'
+    }]
+  }, {
+    txid: 'b',
+    action: 'sent',
+    amount: 5000000,
+    time: 1465228491,
+    confirmations: 3,
+    amountStr: '50,000 bits',
+    addressTo: '2N4HgtF9cJSzxhVkj5gbKxwJSKWBmnb9FNJ',
+    note: {
+      body: 'Rent'
+    }
+  }, {
+    txid: 'c',
+    action: 'moved',
+    amount: 20000,
+    time: 1465487691,
+    confirmations: 0,
+    amountStr: '200 bits'
+  }];
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_historyFilterService_, _txHistoryStore_, _rateService_) {
+    historyFilterService = _historyFilterService_;
+    txHistoryStore = _txHistoryStore_;
+    rateService = _rateService_;
+  }));
+
+  afterEach(function(done) {
+    if (rateService.isAvailable.restore) rateService.isAvailable.restore();
+    if (rateService.fromFiat.restore) rateService.fromFiat.restore();
+    localStorage.removeItem('historyFilter-' + walletId);
+    txHistoryStore.clear(walletId, done);
+  });
+
+  var find = function(criteria, opts) {
+    var filter = angular.extend(historyFilterService.getDefaults(), criteria);
+    var range = historyFilterService.getAmountRange(filter);
+    return historyFilterService.sort(txs.filter(function(tx) {
+      return historyFilterService.matches(tx, filter, range, opts);
+    }), filter).map(function(tx) {
+      return tx.txid;
+    });
+  };
+
+  it('should filter by direction, comment and confirmation', function() {
+    find({}).should.deep.equal(['c', 'b', 'a']);
+    find({
+      direction: 'sent'
+    }).should.deep.equal(['b']);
+    find({
+      hasNote: false
+    }).should.deep.equal(['c', 'a']);
+    find({
+      status: 'unconfirmed'
+    }).should.deep.equal(['c']);
+    find({
+      contact: '2N4HgtF9cJSzxhVkj5gbKxwJSKWBmnb9FNJ'
+    }).should.deep.equal(['b']);
+  });
+
+  it('should filter by an amount range in BTC or fiat', function() {
+    find({
+      minAmount: 0.0002,
+      maxAmount: 0.001
+    }).should.deep.equal(['c', 'a']);
+
+    sinon.stub(rateService, 'isAvailable').returns(true);
+    sinon.stub(rateService, 'fromFiat', function(amount) {
+      return amount / 500 * 1e8;
+    });
+    find({
+      minAmount: 1,
+      amountCurrency: 'USD'
+    }).should.deep.equal(['b']);
+  });
+
+  it('should not filter by fiat amount without rates', function() {
+    sinon.stub(rateService, 'isAvailable').returns(false);
+    should.not.exist(historyFilterService.getAmountRange(angular.extend(historyFilterService.getDefaults(), {
+      minAmount: 1,
+      amountCurrency: 'USD'
+    })));
+  });
+
+  it('should combine the filters with free text and sort', function() {
+    find({
+      sortBy: 'amount'
+    }, {
+      text: 'bits'
+    }).should.deep.equal(['b', 'a', 'c']);
+    find({
+      ascending: true
+    }, {
+      text: 'landlord',
+      addressbook: {
+        '2N4HgtF9cJSzxhVkj5gbKxwJSKWBmnb9FNJ': 'Landlord'
+      }
+    }).should.deep.equal(['b']);
+    find({}, {
+      text: 'savings',
+      labels: {
+        'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati': 'Savings'
+      }
+    }).should.deep.equal(['a']);
+  });
+
+  it('should keep the filters of each wallet', function(done) {
+    historyFilterService.get(walletId, function(err, filter) {
+      should.not.exist(err);
+      historyFilterService.isActive(filter).should.equal(false);
+
+      filter.direction = 'received';
+      filter.from = new Date(2016, 5, 1);
+      filter.sortBy = 'amount';
+      historyFilterService.set(walletId, filter, function(err) {
+        should.not.exist(err);
+        historyFilterService.get(walletId, function(err, saved) {
+          saved.direction.should.equal('received');
+          saved.from.getTime().should.equal(filter.from.getTime());
+          saved.sortBy.should.equal('amount');
+          historyFilterService.isActive(saved).should.equal(true);
+          historyFilterService.get('walletId2', function(err, other) {
+            should.not.exist(other.direction);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should find the matching cached transactions', function(done) {
+    txHistoryStore.put(walletId, txs, function() {
+      var filter = angular.extend(historyFilterService.getDefaults(), {
+        to: new Date(txs[1].time * 1000),
+        ascending: true
+      });
+      historyFilterService.find(walletId, filter, {
+        text: 'bits'
+      }, function(err, found) {
+        should.not.exist(err);
+        found.map(function(tx) {
+          return tx.txid;
+        }).should.deep.equal(['a', 'b']);
+        done();
+      });
+    });
+  });
+});
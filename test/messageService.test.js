@@ -0,0 +1,64 @@
+describe('messageService', function() {
+
+  var messageService, bitcore;
+  var wif = 'cPBn5A4ikZvBTQ8D7NnvHZYCAxzDZ5Z2TSGW2LkyPiLxqYaJPBW4';
+  var address = 'n1ZCYg9YXtB5XCZazLxSmPDa8iwJRZHhGx';
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_messageService_, bwcService) {
+    messageService = _messageService_;
+    bitcore = bwcService.getBitcore();
+  }));
+
+  it('should verify a message signed by another implementation', function() {
+    var signature = 'H85CmqZSXaXAZPQA2Bv4tV40GX/E+pbQY9++6IWcfpOFVJC91s24S/yojO4rWmjdcWNBsElW+E/i07oSW8TRvuw=';
+
+    messageService.verify(address, signature, 'Copay ünïcode').should.equal(true);
+    messageService.verify(address, signature, 'Copay unicode').should.equal(false);
+  });
+
+  it('should sign a message that verifies with its address only', function() {
+    var signature = messageService.sign(bitcore.PrivateKey.fromWIF(wif), 'hello, world');
+
+    messageService.verify(address, signature, 'hello, world').should.equal(true);
+    messageService.verify('mmRcrB5fTwgxaFJmVLNtaG8SV454y1E3kC', signature, 'hello, world').should.equal(false);
+    (function() {
+      messageService.verify(address, 'not base64!', 'hello, world');
+    }).should.throw('Invalid signature');
+  });
+
+  it('should sign with the key of a wallet address', function(done) {
+    var xPrivKey = new bitcore.HDPrivateKey(null, 'testnet');
+    var walletAddress = {
+      address: xPrivKey.derive('m/0/3').privateKey.toAddress().toString(),
+      path: 'm/0/3'
+    };
+    var client = {
+      credentials: {
+        getDerivedXPrivKey: function() {
+          return xPrivKey;
+        }
+      },
+      isPrivKeyExternal: sinon.stub().returns(false),
+      canSign: sinon.stub().returns(true)
+    };
+
+    messageService.signWithWallet(client, walletAddress, 'I own this address', function(err, signature) {
+      should.not.exist(err);
+      messageService.verify(walletAddress.address, signature, 'I own this address').should.equal(true);
+
+      walletAddress.path = 'm/0/4';
+      messageService.signWithWallet(client, walletAddress, 'I own this address', function(err) {
+        err.should.equal('This address does not belong to the wallet');
+        done();
+      });
+    });
+  });
+});
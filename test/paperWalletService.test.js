@@ -0,0 +1,53 @@
+describe('paperWalletService', function() {
+
+  var paperWalletService, bwcService, bitcore, $timeout;
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_paperWalletService_, _bwcService_, _$timeout_) {
+    paperWalletService = _paperWalletService_;
+    bwcService = _bwcService_;
+    bitcore = bwcService.getBitcore();
+    $timeout = _$timeout_;
+  }));
+
+  it('should create a key and its address', function() {
+    var paperWallet = paperWalletService.generate('testnet');
+    var privateKey = bitcore.PrivateKey.fromWIF(paperWallet.privateKey);
+
+    privateKey.network.name.should.equal('testnet');
+    privateKey.toAddress().toString().should.equal(paperWallet.address);
+  });
+
+  it('should encrypt every key and forget the clear ones', function(done) {
+    var encrypt = sinon.stub().returns('6PRencrypted');
+    sinon.stub(bwcService, 'getBip38').returns({
+      encrypt: encrypt
+    });
+    var progress = [];
+
+    paperWalletService.generateAll(3, 'livenet', 'passphrase', function(n, count) {
+      progress.push(n + '/' + count);
+    }, function(err, paperWallets) {
+      should.not.exist(err);
+      paperWallets.length.should.equal(3);
+      progress.should.deep.equal(['1/3', '2/3', '3/3']);
+      encrypt.callCount.should.equal(3);
+      encrypt.firstCall.args[1].should.equal('passphrase');
+      encrypt.firstCall.args[2].should.equal(paperWallets[0].address);
+      paperWallets[0].encryptedKey.should.equal('6PRencrypted');
+      should.not.exist(paperWallets[0].privateKey);
+      done();
+    });
+
+    $timeout.flush();
+    $timeout.flush();
+    $timeout.flush();
+  });
+});
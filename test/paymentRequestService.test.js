@@ -0,0 +1,163 @@
+describe('paymentRequestService', function() {
+
+  var paymentRequestService, rateService, addressService, storageService;
+  var address = 'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati';
+
+  var newClient = function(txs) {
+    return {
+      credentials: {
+        walletId: 'walletId1'
+      },
+      getTxHistory: sinon.stub().yields(null, txs || [])
+    };
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_paymentRequestService_, _rateService_, _addressService_, _storageService_) {
+    paymentRequestService = _paymentRequestService_;
+    rateService = _rateService_;
+    addressService = _addressService_;
+    storageService = _storageService_;
+    storageService.removePaymentRequests('walletId1', function() {});
+  }));
+
+  var create = function(client, cb) {
+    sinon.stub(rateService, 'isAvailable').returns(true);
+    sinon.stub(rateService, 'fromFiat').returns(30000.4);
+    sinon.stub(addressService, 'getAddress').yields(null, address);
+
+    paymentRequestService.create(client, {
+      fiatAmount: 12,
+      currency: 'USD',
+      label: 'Invoice 42',
+      message: 'Thanks & see you',
+      expiresIn: 60
+    }, cb);
+  };
+
+  it('should create a request paid to a new address', function(done) {
+    var client = newClient();
+    create(client, function(err, request) {
+      should.not.exist(err);
+      addressService.getAddress.firstCall.args[1].should.equal(true);
+      request.amount.should.equal(30000);
+      request.expiresOn.should.equal(request.createdOn + 60 * 60 * 1000);
+      paymentRequestService.getUri(request).should.equal('bitcoin:' + address + '?amount=0.00030000&label=Invoice%2042&message=Thanks%20%26%20see%20you');
+
+      paymentRequestService.list('walletId1', function(err, requests) {
+        should.not.exist(err);
+        requests.length.should.equal(1);
+        requests[0].id.should.equal(request.id);
+        done();
+      });
+    });
+  });
+
+  it('should compute the status of a request', function() {
+    var request = {
+      amount: 30000,
+      expiresOn: 1000,
+      payments: {}
+    };
+    paymentRequestService.getStatus(request, 999).should.equal('pending');
+    paymentRequestService.getStatus(request, 1000).should.equal('expired');
+
+    request.payments.tx1 = 10000;
+    paymentRequestService.getStatus(request, 999).should.equal('partiallyPaid');
+    paymentRequestService.getStatus(request, 1000).should.equal('expired');
+
+    request.payments.tx2 = 20000;
+    paymentRequestService.getStatus(request, 999).should.equal('paid');
+    paymentRequestService.getStatus(request, 1000).should.equal('paid');
+  });
+
+  it('should keep track of the payments to the request address', function(done) {
+    create(newClient(), function(err, request) {
+      should.not.exist(err);
+
+      var now = Math.floor(Date.now() / 1000);
+      var tx1 = {
+        txid: 'tx1',
+        action: 'received',
+        time: now,
+        outputs: [{
+          address: address,
+          amount: 10000
+        }, {
+          address: address,
+          amount: 5000
+        }]
+      };
+      var client = newClient([tx1, {
+        txid: 'tx2',
+        action: 'received',
+        time: now,
+        outputs: [{
+          address: 'n1ZCYg9YXtB5XCZazLxSmPDa8iwJRZHhGx',
+          amount: 20000
+        }]
+      }, {
+        txid: 'tx0',
+        action: 'received',
+        time: now - 24 * 60 * 60,
+        outputs: [{
+          address: address,
+          amount: 20000
+        }]
+      }]);
+
+      paymentRequestService.update(client, function(err, requests) {
+        should.not.exist(err);
+        client.getTxHistory.firstCall.args[0].skip.should.equal(0);
+        requests[0].payments.should.deep.equal({
+          tx1: 15000
+        });
+        paymentRequestService.getStatus(requests[0]).should.equal('partiallyPaid');
+
+        // The coins of tx1 may be spent by now, it is still in the history
+        client = newClient([{
+          txid: 'tx3',
+          action: 'received',
+          time: now,
+          outputs: [{
+            address: address,
+            amount: 15000
+          }]
+        }, tx1]);
+        paymentRequestService.update(client, function(err, requests) {
+          should.not.exist(err);
+          paymentRequestService.getReceived(requests[0]).should.equal(30000);
+          paymentRequestService.getStatus(requests[0]).should.equal('paid');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should not look for the payments of requests expired long ago', function(done) {
+    var expiresOn = Date.now() - 2 * 24 * 60 * 60 * 1000;
+    storageService.setPaymentRequests('walletId1', JSON.stringify([{
+      id: 'old',
+      address: address,
+      amount: 30000,
+      createdOn: expiresOn - 60 * 60 * 1000,
+      expiresOn: expiresOn,
+      payments: {}
+    }]), function() {
+      var client = newClient();
+      paymentRequestService.update(client, function(err, requests) {
+        should.not.exist(err);
+        client.getTxHistory.called.should.equal(false);
+        paymentRequestService.getStatus(requests[0]).should.equal('expired');
+        done();
+      });
+    });
+  });
+});
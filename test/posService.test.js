@@ -0,0 +1,118 @@
+describe('posService', function() {
+
+  var posService, rateService, addressService;
+  var client = {
+    credentials: {
+      walletId: 'walletId1'
+    }
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_posService_, _rateService_, _addressService_, configService) {
+    posService = _posService_;
+    rateService = _rateService_;
+    addressService = _addressService_;
+    configService.get(function() {});
+  }));
+
+  it('should only leave the mode with the right PIN', function(done) {
+    posService.enable('walletId1', '1234', function(err) {
+      should.not.exist(err);
+      posService.isEnabled().should.equal(true);
+
+      posService.disable('4321', function(err) {
+        err.should.equal('Wrong PIN');
+        posService.isEnabled().should.equal(true);
+
+        posService.disable('1234', function(err) {
+          should.not.exist(err);
+          posService.isEnabled().should.equal(false);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should lock the BTC amount of a request to a new address', function(done) {
+    sinon.stub(rateService, 'isAvailable').returns(true);
+    sinon.stub(rateService, 'fromFiat').returns(1234567.8);
+    sinon.stub(addressService, 'getAddress').yields(null, 'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati');
+
+    posService.createRequest(client, 5.5, 'EUR', function(err, request) {
+      should.not.exist(err);
+      addressService.getAddress.firstCall.args[1].should.equal(true);
+      request.amount.should.equal(1234568);
+      request.uri.should.equal('bitcoin:mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati?amount=0.01234568');
+      posService.isExpired(request, request.createdOn + 60 * 1000).should.equal(false);
+      posService.isExpired(request, request.createdOn + posService.LOCK_TIME).should.equal(true);
+      done();
+    });
+  });
+
+  it('should detect when the request is paid', function(done) {
+    var request = {
+      address: 'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati',
+      amount: 30000
+    };
+    var payingClient = {
+      getUtxos: sinon.stub().yields(null, [{
+        satoshis: 10000
+      }, {
+        satoshis: 20000
+      }])
+    };
+
+    posService.isPaymentNotification(request, {
+      type: 'NewIncomingTx',
+      data: {
+        address: request.address
+      }
+    }).should.equal(true);
+
+    posService.getReceived(payingClient, request, function(err, received) {
+      should.not.exist(err);
+      payingClient.getUtxos.firstCall.args[0].addresses.should.equal(request.address);
+      posService.isPaid(request, received).should.equal(true);
+      posService.isPaid(request, received - 1).should.equal(false);
+      done();
+    });
+  });
+
+  it('should tell a payment arriving after the request expired', function(done) {
+    var now = Date.now();
+    var request = {
+      address: 'mxn7irQ1UHvaUp5WMAn6eVBHfsmiTM7ati',
+      amount: 30000,
+      createdOn: now - posService.LOCK_TIME - 1000,
+      expiresOn: now - 1000
+    };
+    var payingClient = {
+      getUtxos: sinon.stub().yields(null, [{
+        satoshis: 30000
+      }])
+    };
+
+    posService.getPaymentStatus(payingClient, request, function(err, status) {
+      should.not.exist(err);
+      status.should.equal('late');
+
+      request.expiresOn = now + 60 * 1000;
+      posService.getPaymentStatus(payingClient, request, function(err, status) {
+        status.should.equal('paid');
+
+        payingClient.getUtxos = sinon.stub().yields(null, []);
+        posService.getPaymentStatus(payingClient, request, function(err, status) {
+          should.not.exist(status);
+          done();
+        });
+      });
+    });
+  });
+});
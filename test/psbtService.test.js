@@ -0,0 +1,193 @@
+describe('psbtService', function() {
+
+  var psbtService, walletService, $httpBackend;
+  var bitcore, Client, Utils;
+  var keys, ring, txp, prevTx;
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_psbtService_, _walletService_, _$httpBackend_, bwcService, configService) {
+    psbtService = _psbtService_;
+    walletService = _walletService_;
+    $httpBackend = _$httpBackend_;
+    bitcore = bwcService.getBitcore();
+    Client = bwcService.Client;
+    Utils = bwcService.getUtils();
+
+    configService.get(function() {});
+
+    keys = [0, 1, 2].map(function() {
+      return new bitcore.HDPrivateKey('testnet');
+    });
+    ring = keys.map(function(k) {
+      return {
+        xPubKey: k.derive("m/45'").hdPublicKey.toString()
+      };
+    });
+
+    var address = Utils.deriveAddress('P2SH', ring, 'm/0/0', 2, 'testnet');
+
+    // The transaction paying the input, as served by the block explorer
+    prevTx = new bitcore.Transaction();
+    prevTx.addInput(new bitcore.Transaction.Input({
+      prevTxId: new Array(65).join('0'),
+      outputIndex: 0,
+      script: bitcore.Script.empty()
+    }));
+    prevTx.addOutput(new bitcore.Transaction.Output({
+      script: bitcore.Script.empty(),
+      satoshis: 1000
+    }));
+    prevTx.addOutput(new bitcore.Transaction.Output({
+      script: bitcore.Script.fromAddress(address.address),
+      satoshis: 100000
+    }));
+    $httpBackend.whenGET(/test-insight.*rawtx\/[0-9a-f]+$/).respond({
+      rawtx: prevTx.uncheckedSerialize()
+    });
+
+    txp = {
+      id: 'b0ae3b4a-7f11-4c2b-a1a4-2d9a33c3b5a1',
+      addressType: 'P2SH',
+      requiredSignatures: 2,
+      version: '2.0.0',
+      fee: 10000,
+      inputs: [{
+        txid: prevTx.id,
+        vout: 1,
+        satoshis: 100000,
+        scriptPubKey: bitcore.Script.fromAddress(address.address).toHex(),
+        address: address.address,
+        path: 'm/0/0',
+        publicKeys: address.publicKeys
+      }],
+      outputs: [{
+        toAddress: new bitcore.PrivateKey('testnet').toAddress().toString(),
+        amount: 50000
+      }],
+      changeAddress: Utils.deriveAddress('P2SH', ring, 'm/1/0', 2, 'testnet'),
+      outputOrder: [1, 0],
+      actions: []
+    };
+  }));
+
+  var getClient = function(i) {
+    return {
+      credentials: {
+        network: 'testnet',
+        xPubKey: ring[i].xPubKey,
+        publicKeyRing: ring,
+        getBaseAddressDerivationPath: function() {
+          return "m/45'";
+        }
+      }
+    };
+  };
+
+  var sign = function(i) {
+    return Client.signTxp(txp, keys[i].derive("m/45'").toString());
+  };
+
+  var exportTxp = function(client, cb) {
+    psbtService.export(client, txp, cb);
+    $httpBackend.flush();
+  };
+
+  it('should export the signatures of the copayers who accepted', function(done) {
+    txp.actions = [{
+      type: 'accept',
+      xpub: ring[0].xPubKey,
+      signatures: sign(0)
+    }];
+
+    exportTxp(getClient(1), function(err, psbt) {
+      should.not.exist(err);
+      psbt.should.match(/^cHNidP8/);
+
+      var parsed = psbtService.parse(psbt);
+      var pub = keys[0].derive("m/45'/0/0").publicKey.toString();
+      parsed.inputs.length.should.equal(1);
+      should.exist(parsed.inputs[0].partialSigs[pub]);
+      done();
+    });
+  });
+
+  it('should merge the signatures of this copayer', function(done) {
+    var sigs = sign(1);
+    txp.actions = [{
+      type: 'accept',
+      xpub: ring[1].xPubKey,
+      signatures: sigs
+    }];
+    var signTx = sinon.stub(walletService, 'signAndBroadcast', function(client, txp, password, cb) {
+      txp.signatures.should.deep.equal(sigs);
+      return cb(null, {
+        status: 'accepted'
+      });
+    });
+
+    exportTxp(getClient(0), function(err, psbt) {
+      txp.actions = [];
+      psbtService.applySignatures(getClient(1), txp, psbt, function(err, signedTxp) {
+        should.not.exist(err);
+        signedTxp.status.should.equal('accepted');
+        signTx.calledOnce.should.equal(true);
+        should.not.exist(txp.signatures);
+        done();
+      });
+    });
+  });
+
+  it('should refuse a PSBT without signatures of this copayer', function(done) {
+    txp.actions = [{
+      type: 'accept',
+      xpub: ring[0].xPubKey,
+      signatures: sign(0)
+    }];
+
+    exportTxp(getClient(1), function(err, psbt) {
+      (function() {
+        psbtService.getSignatures(getClient(2), txp, psbtService.parse(psbt));
+      }).should.throw('The PSBT has no signatures of this copayer');
+      done();
+    });
+  });
+
+  it('should refuse a PSBT of another transaction', function(done) {
+    exportTxp(getClient(0), function(err, psbt) {
+      txp.outputs[0].amount = 60000;
+      (function() {
+        psbtService.getSignatures(getClient(0), txp, psbtService.parse(psbt));
+      }).should.throw('This PSBT is for another transaction');
+      (function() {
+        psbtService.parse('not a psbt');
+      }).should.throw('Invalid PSBT');
+      done();
+    });
+  });
+
+  it('should not export a PSBT without the previous transactions', function(done) {
+    // The explorer answers with a transaction of another txid
+    txp.inputs[0].txid = new Array(65).join('1');
+
+    exportTxp(getClient(0), function(err, psbt) {
+      err.should.equal('Could not get the previous transactions of the inputs from the block explorer');
+      should.not.exist(psbt);
+      done();
+    });
+  });
+
+  it('should include the previous transaction of each input', function(done) {
+    exportTxp(getClient(0), function(err, psbt) {
+      should.not.exist(err);
+      new bitcore.deps.Buffer(psbt, 'base64').toString('hex').should.contain(prevTx.uncheckedSerialize());
+      done();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+describe('schedulerService', function() {
+
+  var schedulerService, storageService;
+  var DAY = 24 * 60 * 60 * 1000;
+
+  beforeEach(function() {
+    module('ionic');
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_schedulerService_, _storageService_) {
+    schedulerService = _schedulerService_;
+    storageService = _storageService_;
+  }));
+
+  it('should advance a payment to its next run', function() {
+    var now = Date.now();
+    var res = schedulerService.advance({
+      nextRun: now - 1000,
+      period: 'daily'
+    }, now);
+
+    res.nextRun.should.equal(now - 1000 + DAY);
+    res.missed.should.equal(0);
+  });
+
+  it('should skip the runs missed while the app was closed', function() {
+    var now = Date.now();
+    var res = schedulerService.advance({
+      nextRun: now - 3 * 7 * DAY - 1000,
+      period: 'weekly'
+    }, now);
+
+    res.nextRun.should.be.above(now);
+    res.missed.should.equal(3);
+  });
+
+  it('should keep month-end payments on the last day of the month', function() {
+    var payment = {
+      firstRun: new Date(2016, 0, 31, 9).getTime(),
+      run: 0,
+      period: 'monthly'
+    };
+
+    var res = schedulerService.advance(payment, new Date(2016, 0, 31, 10).getTime());
+    new Date(res.nextRun).getDate().should.equal(29);
+    res.run.should.equal(1);
+
+    payment.run = res.run;
+    res = schedulerService.advance(payment, new Date(2016, 1, 29, 10).getTime());
+    new Date(res.nextRun).getDate().should.equal(31);
+
+    // Missed runs do not move the day either
+    payment.run = 0;
+    res = schedulerService.advance(payment, new Date(2016, 3, 1).getTime());
+    res.missed.should.equal(2);
+    new Date(res.nextRun).getMonth().should.equal(3);
+    new Date(res.nextRun).getDate().should.equal(30);
+  });
+
+  it('should store payment templates', function(done) {
+    schedulerService.add({
+      walletId: 'walletId1',
+      name: 'rent',
+      currency: 'USD',
+      period: 'monthly',
+      firstRun: Date.now() + DAY,
+      recipients: [{
+        toAddress: 'mqxPAtiNaoL4ERWN9JfVisfuGpFwACVcJ3',
+        amount: 100
+      }]
+    }, function(err, payment) {
+      should.not.exist(err);
+      schedulerService.list(function(err, payments) {
+        should.not.exist(err);
+        var stored = payments.filter(function(p) {
+          return p.id == payment.id;
+        })[0];
+        stored.name.should.equal('rent');
+        stored.recipients[0].amount.should.equal(100);
+        schedulerService.getDue([stored], Date.now()).length.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  it('should not check due payments twice at the same time', function() {
+    var listed = [];
+    sinon.stub(schedulerService, 'list', function(cb) {
+      listed.push(cb);
+    });
+
+    schedulerService.checkDue();
+    schedulerService.checkDue();
+    listed.length.should.equal(1);
+
+    listed[0](null, []);
+    schedulerService.checkDue();
+    listed.length.should.equal(2);
+    schedulerService.list.restore();
+  });
+
+  it('should remove the payments of a deleted wallet', function(done) {
+    storageService.setScheduledPayments(JSON.stringify([{
+      id: '1',
+      walletId: 'walletId1'
+    }, {
+      id: '2',
+      walletId: 'walletId2'
+    }]), function() {
+      storageService.removeScheduledPayments('walletId1', function(err) {
+        should.not.exist(err);
+        schedulerService.list(function(err, payments) {
+          payments.map(function(p) {
+            return p.id;
+          }).should.deep.equal(['2']);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+describe('spendingLimitsService', function() {
+
+  var spendingLimitsService, txHistoryStore;
+  var walletId = 'walletId1';
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_spendingLimitsService_, _txHistoryStore_, configService) {
+    spendingLimitsService = _spendingLimitsService_;
+    txHistoryStore = _txHistoryStore_;
+    configService.get(function() {});
+  }));
+
+  beforeEach(function(done) {
+    var now = Math.floor(Date.now() / 1000);
+    var txs = [{
+      txid: 'a',
+      action: 'sent',
+      amount: 40000000,
+      fees: 10000,
+      time: now - 3600
+    }, {
+      txid: 'b',
+      action: 'received',
+      amount: 90000000,
+      time: now - 3600
+    }, {
+      txid: 'c',
+      action: 'sent',
+      amount: 50000000,
+      fees: 10000,
+      time: now - 3 * 24 * 3600
+    }];
+
+    txHistoryStore.put(walletId, txs, function() {
+      spendingLimitsService.set(walletId, {
+        currency: 'BTC',
+        perTx: 0.5,
+        daily: 1,
+        weekly: 1.2,
+        action: 'block'
+      }, done);
+    });
+  });
+
+  it('should accept payments within the limits', function(done) {
+    spendingLimitsService.check(walletId, 10000000, function(err, exceeded) {
+      should.not.exist(err);
+      exceeded.length.should.equal(0);
+      done();
+    });
+  });
+
+  it('should report the limits a payment goes over', function(done) {
+    spendingLimitsService.check(walletId, 45000000, function(err, exceeded) {
+      should.not.exist(err);
+      exceeded.should.deep.equal(['weekly']);
+      done();
+    });
+  });
+
+  it('should block payments over the limits', function(done) {
+    var client = {
+      credentials: {
+        walletId: walletId
+      }
+    };
+    spendingLimitsService.verify(client, {
+      id: 'txp1',
+      amount: 60000000,
+      fee: 10000
+    }, function(err) {
+      should.exist(err);
+      done();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+describe('sweepService', function() {
+
+  var sweepService, bitcore;
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_sweepService_, bwcService) {
+    sweepService = _sweepService_;
+    bitcore = bwcService.getBitcore();
+  }));
+
+  var openKeys = function(text) {
+    var keys = sweepService.parseKeys(text);
+    keys.forEach(function(key) {
+      sweepService.openKey(key, null, function(err) {
+        should.not.exist(err);
+      });
+    });
+    return keys;
+  };
+
+  it('should parse a list of keys', function() {
+    var keys = sweepService.parseKeys(' 5Kabc,\n6PRdef  5Kabc\n\n');
+
+    keys.should.deep.equal([{
+      key: '5Kabc',
+      isEncrypted: false
+    }, {
+      key: '6PRdef',
+      isEncrypted: true
+    }]);
+  });
+
+  it('should open a key with its network and address', function(done) {
+    var privateKey = new bitcore.PrivateKey(null, 'testnet');
+    var key = sweepService.parseKeys(privateKey.toWIF())[0];
+
+    sweepService.openKey(key, null, function(err) {
+      should.not.exist(err);
+      key.network.should.equal('testnet');
+      key.address.should.equal(privateKey.toAddress().toString());
+
+      sweepService.openKey({
+        key: 'not a key'
+      }, null, function(err) {
+        err.message.should.equal('Invalid private key');
+        done();
+      });
+    });
+  });
+
+  it('should sweep every key in a single transaction', function(done) {
+    var keys = openKeys([new bitcore.PrivateKey(null, 'testnet').toWIF(), new bitcore.PrivateKey(null, 'testnet').toWIF()].join('\n'));
+    var toAddress = new bitcore.PrivateKey(null, 'testnet').toAddress().toString();
+    var utxos = keys.map(function(key, i) {
+      return {
+        txid: new Array(65).join(i + 1),
+        vout: 0,
+        address: key.address,
+        scriptPubKey: bitcore.Script.buildPublicKeyHashOut(key.address).toHex(),
+        satoshis: 100000
+      };
+    });
+    var client = {
+      getUtxos: sinon.stub().yields(null, utxos),
+      broadcastRawTx: sinon.stub().yields(null, 'txid')
+    };
+
+    sweepService.sweep(client, keys, toAddress, 10000, function(err, txid, tx) {
+      should.not.exist(err);
+      txid.should.equal('txid');
+      client.getUtxos.firstCall.args[0].addresses.should.deep.equal([keys[0].address, keys[1].address]);
+      client.broadcastRawTx.firstCall.args[0].network.should.equal('testnet');
+
+      tx.inputs.length.should.equal(2);
+      tx.outputs.length.should.equal(1);
+      tx.outputs[0].toObject().satoshis.should.equal(200000 - 3400);
+      tx.isFullySigned().should.equal(true);
+      done();
+    });
+  });
+
+  it('should not sweep if funds do not cover the fee', function(done) {
+    var keys = openKeys(new bitcore.PrivateKey(null, 'testnet').toWIF());
+    var client = {
+      getUtxos: sinon.stub().yields(null, [{
+        txid: new Array(65).join('1'),
+        vout: 0,
+        address: keys[0].address,
+        scriptPubKey: bitcore.Script.buildPublicKeyHashOut(keys[0].address).toHex(),
+        satoshis: 2000
+      }])
+    };
+
+    sweepService.buildTx(client, keys, keys[0].address, 10000, function(err) {
+      err.message.should.equal('Not enough funds to pay the fee');
+      done();
+    });
+  });
+});
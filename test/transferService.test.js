@@ -0,0 +1,94 @@
+describe('transferService', function() {
+
+  var transferService, profileService, storageService;
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_transferService_, _profileService_, _storageService_) {
+    transferService = _transferService_;
+    profileService = _profileService_;
+    storageService = _storageService_;
+    sinon.stub(profileService, 'getWallets').returns([{
+      id: 'checking',
+      name: 'Checking'
+    }, {
+      id: 'savings',
+      name: 'Savings'
+    }]);
+  }));
+
+  it('should label a broadcasted transfer on both wallets', function(done) {
+    var txid = 'tx-' + Date.now();
+
+    transferService.record({
+      id: 'txp-' + txid,
+      txid: txid
+    }, 'checking', 'savings', function(err) {
+      should.not.exist(err);
+
+      transferService.getLabels('checking', [], function(err, labels) {
+        should.not.exist(err);
+        labels[txid].direction.should.equal('to');
+        labels[txid].walletName.should.equal('Savings');
+
+        transferService.getLabels('savings', [], function(err, labels) {
+          labels[txid].direction.should.equal('from');
+          labels[txid].walletName.should.equal('Checking');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should find the txid of a transfer broadcasted by another copayer', function(done) {
+    var txpId = 'txp-' + Date.now();
+    var txid = 'tx-' + txpId;
+
+    transferService.record({
+      id: txpId
+    }, 'checking', 'savings', function(err) {
+      transferService.getLabels('savings', [], function(err, labels) {
+        should.not.exist(labels[txid]);
+
+        transferService.getLabels('checking', [{
+          txid: txid,
+          proposalId: txpId
+        }], function(err, labels) {
+          labels[txid].direction.should.equal('to');
+
+          transferService.getLabels('savings', [], function(err, labels) {
+            labels[txid].direction.should.equal('from');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should forget the transfers of a deleted wallet', function(done) {
+    var txid = 'tx-' + Date.now();
+
+    transferService.record({
+      id: 'txp-' + txid,
+      txid: txid
+    }, 'checking', 'savings', function(err) {
+      storageService.removeAllWalletData('savings', function(err) {
+        should.not.exist(err);
+
+        transferService.list(function(err, transfers) {
+          should.not.exist(err);
+          transfers.filter(function(t) {
+            return t.txid == txid;
+          }).length.should.equal(0);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+describe('txHistoryStore', function() {
+
+  var txHistoryStore;
+  var walletId;
+
+  var txs = [1, 2, 3, 4, 5].map(function(i) {
+    return {
+      txid: 'tx' + i,
+      action: 'received',
+      amount: i * 1000,
+      time: 1464969291 + i * 3600
+    };
+  });
+
+  var txids = function(txs) {
+    return txs.map(function(tx) {
+      return tx.txid;
+    });
+  };
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  // Each backend runs the same cases
+  var backends = {
+    chunks: function(localStorageService) {
+      return txHistoryStore.newChunkBackend(localStorageService);
+    }
+  };
+  if (window.indexedDB) {
+    backends.indexedDB = function() {
+      return txHistoryStore.newIndexedDbBackend(window.indexedDB);
+    };
+  }
+
+  angular.forEach(backends, function(newBackend, name) {
+    describe('in ' + name, function() {
+
+      beforeEach(inject(function(_txHistoryStore_, localStorageService) {
+        txHistoryStore = _txHistoryStore_;
+        txHistoryStore.setBackend(newBackend(localStorageService));
+        txHistoryStore.CHUNK_SIZE = 2;
+        txHistoryStore.SCAN_SIZE = 2;
+        walletId = 'wallet-' + Date.now() + '-' + Math.random();
+      }));
+
+      afterEach(function(done) {
+        txHistoryStore.clear(walletId, done);
+      });
+
+      it('should read the records newest first, a page at a time', function(done) {
+        txHistoryStore.put(walletId, txs, function(err) {
+          should.not.exist(err);
+          txHistoryStore.count(walletId, function(err, count) {
+            count.should.equal(5);
+            txHistoryStore.getPage(walletId, 0, 2, function(err, page) {
+              txids(page).should.deep.equal(['tx5', 'tx4']);
+              txHistoryStore.getPage(walletId, 4, 2, function(err, page) {
+                txids(page).should.deep.equal(['tx1']);
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('should update and remove records', function(done) {
+        txHistoryStore.put(walletId, txs, function() {
+          txHistoryStore.put(walletId, [{
+            txid: 'tx1',
+            time: txs[0].time,
+            note: {
+              body: 'rent'
+            }
+          }], function() {
+            txHistoryStore.remove(walletId, ['tx2', 'tx4'], function(err) {
+              should.not.exist(err);
+              txHistoryStore.getAll(walletId, function(err, all) {
+                txids(all).should.deep.equal(['tx5', 'tx3', 'tx1']);
+                all[2].note.body.should.equal('rent');
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('should find the records from a time or matching a predicate', function(done) {
+        txHistoryStore.put(walletId, txs, function() {
+          txHistoryStore.getSince(walletId, txs[3].time, function(err, since) {
+            txids(since).should.deep.equal(['tx5', 'tx4']);
+            txHistoryStore.filter(walletId, function(tx) {
+              return tx.amount % 2000 == 0;
+            }, function(err, found) {
+              txids(found).should.deep.equal(['tx4', 'tx2']);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should move the history out of the old single key', function(done) {
+        localStorage.setItem('txsHistory-' + walletId, JSON.stringify(txs));
+
+        txHistoryStore.getPage(walletId, 0, 10, function(err, page) {
+          should.not.exist(err);
+          txids(page).should.deep.equal(['tx5', 'tx4', 'tx3', 'tx2', 'tx1']);
+          should.not.exist(localStorage.getItem('txsHistory-' + walletId));
+          done();
+        });
+      });
+
+      it('should clear the records of a wallet only', function(done) {
+        var otherId = walletId + '-other';
+        txHistoryStore.put(walletId, txs, function() {
+          txHistoryStore.put(otherId, txs.slice(0, 1), function() {
+            txHistoryStore.clear(walletId, function(err) {
+              should.not.exist(err);
+              txHistoryStore.count(walletId, function(err, count) {
+                count.should.equal(0);
+                txHistoryStore.count(otherId, function(err, count) {
+                  count.should.equal(1);
+                  txHistoryStore.clear(otherId, done);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('chunk index', function() {
+    var kv;
+
+    beforeEach(inject(function(_txHistoryStore_, localStorageService) {
+      txHistoryStore = _txHistoryStore_;
+      kv = localStorageService;
+      txHistoryStore.setBackend(txHistoryStore.newChunkBackend(kv));
+      txHistoryStore.CHUNK_SIZE = 2;
+      walletId = 'wallet-' + Date.now() + '-' + Math.random();
+    }));
+
+    afterEach(function(done) {
+      if (kv.set.restore) kv.set.restore();
+      txHistoryStore.clear(walletId, done);
+    });
+
+    it('should only write the index of the chunks changed', function(done) {
+      txHistoryStore.put(walletId, txs, function() {
+        sinon.spy(kv, 'set');
+        txHistoryStore.put(walletId, [{
+          txid: 'tx5',
+          time: txs[4].time,
+          amount: 6000
+        }], function(err) {
+          should.not.exist(err);
+          kv.set.args.map(function(args) {
+            return args[0];
+          }).should.deep.equal(['txsChunk-' + walletId + '-2', 'txsIndex-' + walletId + '-2']);
+          done();
+        });
+      });
+    });
+  });
+});
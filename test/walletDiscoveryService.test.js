@@ -0,0 +1,91 @@
+describe('walletDiscoveryService', function() {
+
+  var walletDiscoveryService, bwcService, derivationPathHelper, lodash, errors;
+  var words = 'dizzy cycle skirt decrease exotic fork sure mixture hair vapor copper hero';
+
+  beforeEach(function() {
+    module('ngLodash');
+    module('gettext');
+    module('angularMoment');
+    module('bwcModule');
+    module('copayApp.services');
+  });
+
+  beforeEach(inject(function(_walletDiscoveryService_, _bwcService_, _derivationPathHelper_, _lodash_) {
+    walletDiscoveryService = _walletDiscoveryService_;
+    bwcService = _bwcService_;
+    derivationPathHelper = _derivationPathHelper_;
+    lodash = _lodash_;
+    errors = bwcService.getErrors();
+  }));
+
+  // A client that only finds a wallet at the given network and path
+  var stubClients = function(network, path, err) {
+    sinon.stub(bwcService, 'getClient', function() {
+      var client = {};
+      client.importFromMnemonic = sinon.spy(function(words, opts, cb) {
+        var candidatePath = derivationPathHelper.format(opts.derivationStrategy, opts.network, opts.account);
+        if (err) return cb(err);
+        if (opts.network != network || candidatePath != path)
+          return cb(new errors.WALLET_DOES_NOT_EXIST);
+
+        client.credentials = {
+          walletId: 'walletId1',
+          walletName: 'Savings',
+          m: 2,
+          n: 3,
+          network: opts.network,
+          account: opts.account,
+          derivationStrategy: opts.derivationStrategy
+        };
+        return cb();
+      });
+      return client;
+    });
+  };
+
+  it('should format the paths it parses', function() {
+    lodash.each(["m/44'/0'/0'", "m/44'/1'/3'", "m/48'/0'/2'", "m/45'"], function(path) {
+      var data = derivationPathHelper.parse(path);
+      derivationPathHelper.format(data.derivationStrategy, data.networkName, data.account).should.equal(path);
+    });
+  });
+
+  it('should walk every account and derivation strategy on both networks', function() {
+    var candidates = walletDiscoveryService.getMnemonicCandidates(2);
+    lodash.pluck(candidates, 'path').should.deep.equal([
+      "m/44'/0'/0'", "m/44'/0'/1'", "m/48'/0'/0'", "m/48'/0'/1'", "m/45'",
+      "m/44'/1'/0'", "m/44'/1'/1'", "m/48'/1'/0'", "m/48'/1'/1'", "m/45'"
+    ]);
+    lodash.uniq(lodash.pluck(candidates.slice(5), 'network')).should.deep.equal(['testnet']);
+  });
+
+  it('should list the wallets found for a recovery phrase', function(done) {
+    stubClients('testnet', "m/48'/1'/3'");
+    var progress = sinon.spy();
+
+    walletDiscoveryService.discoverMnemonic(words, {
+      passphrase: 'secret'
+    }, progress, function(err, wallets) {
+      should.not.exist(err);
+      progress.callCount.should.equal(22);
+      progress.lastCall.args.should.deep.equal([22, 22]);
+      wallets.length.should.equal(1);
+      wallets[0].walletName.should.equal('Savings');
+      wallets[0].path.should.equal("m/48'/1'/3'");
+      wallets[0].alreadyImported.should.equal(false);
+      wallets[0].client.importFromMnemonic.firstCall.args[1].passphrase.should.equal('secret');
+      done();
+    });
+  });
+
+  it('should stop on other errors', function(done) {
+    stubClients('livenet', "m/44'/0'/0'", new errors.CONNECTION_ERROR);
+
+    walletDiscoveryService.discoverMnemonic(words, {}, function() {}, function(err, wallets) {
+      err.should.be.an.instanceOf(errors.CONNECTION_ERROR);
+      bwcService.getClient.callCount.should.equal(1);
+      done();
+    });
+  });
+});
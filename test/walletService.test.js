@@ -13,12 +13,110 @@ describe('walletService', function() {
   });
 
 
-  beforeEach(inject(function(_walletService_) {
+  beforeEach(inject(function(_walletService_, configService) {
     walletService = _walletService_;
+    configService.get(function() {});
   }));
 
   it('should be defined', function() {
     should.exist(walletService);
   });
 
+  describe('#createTx', function() {
+    var client;
+
+    beforeEach(function() {
+      client = {
+        credentials: {
+          network: 'livenet'
+        },
+        getFeeLevels: sinon.stub().yields(null, [{
+          level: 'normal',
+          feePerKB: 20000
+        }]),
+        createTxProposal: sinon.stub().yields(null, {
+          id: 'txp1'
+        })
+      };
+    });
+
+    it('should fall back to the normal fee level', function(done) {
+      walletService.createTx(client, {
+        amount: 1000,
+        feeLevel: 'superEconomy'
+      }, function(err, txp) {
+        should.not.exist(err);
+        client.createTxProposal.getCall(0).args[0].feePerKb.should.equal(20000);
+        done();
+      });
+    });
+
+    it('should use a fee rate set for the transaction', function(done) {
+      walletService.createTx(client, {
+        amount: 1000,
+        feeLevel: 'custom',
+        feePerKb: 5000
+      }, function(err, txp) {
+        should.not.exist(err);
+        client.getFeeLevels.called.should.equal(false);
+        client.createTxProposal.getCall(0).args[0].feePerKb.should.equal(5000);
+        done();
+      });
+    });
+  });
+
+  describe('#publishAndSign', function() {
+    var client;
+
+    beforeEach(function() {
+      client = {
+        credentials: {
+          walletId: 'walletId1'
+        },
+        canSign: sinon.stub().returns(true),
+        isPrivKeyExternal: sinon.stub().returns(false),
+        unlock: sinon.stub(),
+        lock: sinon.stub(),
+        publishTxProposal: sinon.stub().yields(null, {
+          id: 'txp1',
+          status: 'pending'
+        }),
+        signTxProposal: sinon.stub().yields(null, {
+          id: 'txp1',
+          status: 'accepted'
+        }),
+        broadcastTxProposal: sinon.stub().yields(null, {
+          id: 'txp1',
+          status: 'broadcasted'
+        })
+      };
+    });
+
+    it('should sign with the wallet unlocked only meanwhile and broadcast', function(done) {
+      walletService.publishAndSign(client, {
+        id: 'txp1'
+      }, 'pass', function(err, txp) {
+        should.not.exist(err);
+        txp.status.should.equal('broadcasted');
+        client.unlock.calledWith('pass').should.equal(true);
+        client.unlock.calledBefore(client.signTxProposal).should.equal(true);
+        client.lock.calledAfter(client.signTxProposal).should.equal(true);
+        done();
+      });
+    });
+
+    it('should leave the proposal published for a wallet without a key', function(done) {
+      client.canSign.returns(false);
+
+      walletService.publishAndSign(client, {
+        id: 'txp1'
+      }, null, function(err, txp) {
+        should.not.exist(err);
+        txp.status.should.equal('pending');
+        client.signTxProposal.called.should.equal(false);
+        done();
+      });
+    });
+  });
+
 });